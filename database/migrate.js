@@ -0,0 +1,195 @@
+/**
+ * Database Migrations
+ * Applies the ordered files in database/migrations and records them in
+ * schema_migrations. Each file exports async up(db) and down(db).
+ *
+ * Usage:
+ *   npm run migrate                 Apply pending migrations
+ *   npm run migrate -- status       List applied and pending migrations
+ *   npm run migrate -- down [n]     Roll back the last n migrations (default 1)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Load migration files sorted by their numeric prefix
+ */
+function loadMigrations() {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => {
+            const match = file.match(FILE_PATTERN);
+            if (!match) return null;
+            return {
+                version: parseInt(match[1]),
+                name: match[2],
+                ...require(path.join(MIGRATIONS_DIR, file))
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.version - b.version);
+    
+    migrations.forEach((migration, index) => {
+        if (index > 0 && migration.version === migrations[index - 1].version) {
+            throw new Error(`Duplicate migration version ${migration.version}`);
+        }
+        if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+            throw new Error(`Migration ${label(migration)} must export up() and down()`);
+        }
+    });
+    
+    return migrations;
+}
+
+// 1 -> "001_initial_schema", matching the file name
+function label(migration) {
+    return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+async function ensureMigrationsTable(client) {
+    await client.execute(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function getAppliedVersions(client) {
+    const result = await client.execute('SELECT version FROM schema_migrations ORDER BY version ASC');
+    return result.rows.map(row => Number(row.version));
+}
+
+/**
+ * Apply all pending migrations, each in its own transaction.
+ * Safe to call from several processes: a migration another instance
+ * already applied is skipped inside the write lock.
+ */
+async function migrateUp(client, { log = console.log } = {}) {
+    await ensureMigrationsTable(client);
+    
+    const applied = await getAppliedVersions(client);
+    const pending = loadMigrations().filter(m => !applied.includes(m.version));
+    const done = [];
+    
+    for (const migration of pending) {
+        const tx = await client.transaction('write');
+        try {
+            const existing = await tx.execute({
+                sql: 'SELECT version FROM schema_migrations WHERE version = ?',
+                args: [migration.version]
+            });
+            
+            if (existing.rows.length === 0) {
+                await migration.up(tx);
+                await tx.execute({
+                    sql: 'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                    args: [migration.version, migration.name]
+                });
+                done.push(migration);
+            }
+            
+            await tx.commit();
+        } catch (error) {
+            await tx.rollback();
+            throw new Error(`Migration ${label(migration)} failed: ${error.message}`);
+        } finally {
+            tx.close();
+        }
+        
+        if (done.includes(migration)) {
+            log(`✅ Migrated ${label(migration)}`);
+        }
+    }
+    
+    return done.map(m => m.version);
+}
+
+/**
+ * Roll back the most recently applied migrations
+ */
+async function migrateDown(client, steps = 1, { log = console.log } = {}) {
+    await ensureMigrationsTable(client);
+    
+    const applied = await getAppliedVersions(client);
+    const migrations = loadMigrations();
+    const targets = applied.slice(-steps).reverse();
+    
+    for (const version of targets) {
+        const migration = migrations.find(m => m.version === version);
+        if (!migration) {
+            throw new Error(`Migration file for version ${version} not found`);
+        }
+        
+        const tx = await client.transaction('write');
+        try {
+            await migration.down(tx);
+            await tx.execute({
+                sql: 'DELETE FROM schema_migrations WHERE version = ?',
+                args: [version]
+            });
+            await tx.commit();
+        } catch (error) {
+            await tx.rollback();
+            throw new Error(`Rollback of ${label(migration)} failed: ${error.message}`);
+        } finally {
+            tx.close();
+        }
+        
+        log(`↩️  Rolled back ${label(migration)}`);
+    }
+    
+    return targets;
+}
+
+/**
+ * List every migration with its applied state
+ */
+async function migrationStatus(client) {
+    await ensureMigrationsTable(client);
+    
+    const applied = await getAppliedVersions(client);
+    return loadMigrations().map(m => ({
+        version: m.version,
+        name: m.name,
+        applied: applied.includes(m.version)
+    }));
+}
+
+module.exports = { migrateUp, migrateDown, migrationStatus };
+
+// CLI: npm run migrate [-- status | down [n]]
+if (require.main === module) {
+    require('dotenv').config();
+    const { getClient } = require('./init');
+    const [command = 'up', arg] = process.argv.slice(2);
+    
+    (async () => {
+        const client = getClient();
+        
+        if (command === 'up') {
+            const versions = await migrateUp(client);
+            console.log(versions.length > 0 ? `Applied ${versions.length} migration(s)` : 'Database is up to date');
+        } else if (command === 'down') {
+            const steps = parseInt(arg) || 1;
+            await migrateDown(client, steps);
+        } else if (command === 'status') {
+            const migrations = await migrationStatus(client);
+            migrations.forEach(m => {
+                console.log(`${m.applied ? '✅' : '⏳'} ${label(m)}`);
+            });
+        } else {
+            console.error(`Unknown command: ${command} (use up, down [n] or status)`);
+            process.exitCode = 1;
+        }
+        
+        client.close();
+    })().catch(error => {
+        console.error('❌', error.message);
+        process.exit(1);
+    });
+}
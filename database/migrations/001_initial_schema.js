@@ -0,0 +1,219 @@
+/**
+ * 001 - Initial schema
+ * Tables that existed before versioned migrations. Uses IF NOT EXISTS so
+ * databases created by the old initializer are adopted without changes.
+ */
+
+module.exports = {
+    async up(db) {
+        // Users table
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                email TEXT UNIQUE NOT NULL,
+                password TEXT NOT NULL,
+                name TEXT NOT NULL,
+                role TEXT NOT NULL DEFAULT 'owner',
+                cafe_id INTEGER,
+                is_active INTEGER DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        // Cafes table
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS cafes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                slug TEXT UNIQUE NOT NULL,
+                tagline TEXT,
+                description TEXT,
+                logo TEXT,
+                cover_image TEXT,
+                phone TEXT,
+                email TEXT,
+                address TEXT,
+                website TEXT,
+                google_link TEXT,
+                instagram TEXT,
+                facebook TEXT,
+                currency TEXT DEFAULT '₹',
+                primary_color TEXT DEFAULT '#2C5F2D',
+                secondary_color TEXT DEFAULT '#97BC62',
+                accent_color TEXT DEFAULT '#DAA520',
+                background_color TEXT DEFAULT '#FDFBF7',
+                text_color TEXT DEFAULT '#2D3436',
+                is_published INTEGER DEFAULT 0,
+                is_deployed INTEGER DEFAULT 0,
+                deployed_url TEXT,
+                qr_code_path TEXT,
+                created_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        // Categories table
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS categories (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                cafe_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                icon TEXT DEFAULT '🍽️',
+                description TEXT,
+                sort_order INTEGER DEFAULT 0,
+                is_active INTEGER DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        // Menu Items table
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS menu_items (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                cafe_id INTEGER NOT NULL,
+                category_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                description TEXT,
+                price REAL,
+                original_price REAL,
+                image TEXT,
+                calories INTEGER,
+                is_vegan INTEGER DEFAULT 0,
+                is_vegetarian INTEGER DEFAULT 0,
+                is_gluten_free INTEGER DEFAULT 0,
+                is_spicy INTEGER DEFAULT 0,
+                is_bestseller INTEGER DEFAULT 0,
+                is_popular INTEGER DEFAULT 0,
+                is_new INTEGER DEFAULT 0,
+                is_available INTEGER DEFAULT 1,
+                sort_order INTEGER DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        // Item Variants table (e.g. small/medium/large, each with its own price)
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS item_variants (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                cafe_id INTEGER NOT NULL,
+                item_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                price REAL NOT NULL,
+                is_available INTEGER DEFAULT 1,
+                sort_order INTEGER DEFAULT 0
+            )
+        `);
+        
+        // Modifier Groups table (reusable, e.g. "Milk" with min/max selections)
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS modifier_groups (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                cafe_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                min_select INTEGER DEFAULT 0,
+                max_select INTEGER DEFAULT 1,
+                sort_order INTEGER DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        // Modifier Options table (e.g. "Oat milk" +30)
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS modifier_options (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                group_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                price_delta REAL DEFAULT 0,
+                is_available INTEGER DEFAULT 1,
+                sort_order INTEGER DEFAULT 0
+            )
+        `);
+        
+        // Item <-> Modifier Group links
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS item_modifier_groups (
+                item_id INTEGER NOT NULL,
+                group_id INTEGER NOT NULL,
+                sort_order INTEGER DEFAULT 0,
+                PRIMARY KEY (item_id, group_id)
+            )
+        `);
+        
+        // Cafe Tables table (one QR code per physical table)
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS cafe_tables (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                cafe_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                token TEXT UNIQUE NOT NULL,
+                sort_order INTEGER DEFAULT 0,
+                is_active INTEGER DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        // Orders table (placed by guests from the public menu)
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS orders (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                cafe_id INTEGER NOT NULL,
+                table_id INTEGER,
+                table_name TEXT,
+                public_token TEXT UNIQUE NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                customer_name TEXT,
+                notes TEXT,
+                total REAL NOT NULL DEFAULT 0,
+                accepted_at DATETIME,
+                ready_at DATETIME,
+                completed_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        // Order Items table (snapshot of name/price at order time)
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS order_items (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                order_id INTEGER NOT NULL,
+                menu_item_id INTEGER,
+                name TEXT NOT NULL,
+                unit_price REAL NOT NULL,
+                quantity INTEGER NOT NULL DEFAULT 1,
+                variant_name TEXT,
+                modifiers TEXT,
+                notes TEXT,
+                line_total REAL NOT NULL
+            )
+        `);
+        
+        // Activity Log table
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS activity_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER,
+                cafe_id INTEGER,
+                action TEXT NOT NULL,
+                details TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    },
+    
+    async down(db) {
+        const tables = [
+            'activity_log', 'order_items', 'orders', 'cafe_tables',
+            'item_modifier_groups', 'modifier_options', 'modifier_groups', 'item_variants',
+            'menu_items', 'categories', 'cafes', 'users'
+        ];
+        
+        for (const table of tables) {
+            await db.execute(`DROP TABLE IF EXISTS ${table}`);
+        }
+    }
+};
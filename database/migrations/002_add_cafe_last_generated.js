@@ -0,0 +1,13 @@
+/**
+ * 002 - Track when static menu files were last generated
+ */
+
+module.exports = {
+    async up(db) {
+        await db.execute('ALTER TABLE cafes ADD COLUMN last_generated DATETIME');
+    },
+    
+    async down(db) {
+        await db.execute('ALTER TABLE cafes DROP COLUMN last_generated');
+    }
+};
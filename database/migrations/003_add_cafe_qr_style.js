@@ -0,0 +1,13 @@
+/**
+ * 003 - Saved QR code style (JSON: module/finder shapes, colors, logo)
+ */
+
+module.exports = {
+    async up(db) {
+        await db.execute('ALTER TABLE cafes ADD COLUMN qr_style TEXT');
+    },
+    
+    async down(db) {
+        await db.execute('ALTER TABLE cafes DROP COLUMN qr_style');
+    }
+};
@@ -0,0 +1,27 @@
+/**
+ * 004 - Scan events recorded by the /m/:slug short link
+ */
+
+module.exports = {
+    async up(db) {
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS scan_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                cafe_id INTEGER NOT NULL,
+                table_id INTEGER,
+                source TEXT,
+                device TEXT NOT NULL DEFAULT 'unknown',
+                referrer TEXT,
+                visitor_hash TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        await db.execute('CREATE INDEX IF NOT EXISTS idx_scan_events_cafe_created ON scan_events (cafe_id, created_at)');
+    },
+    
+    async down(db) {
+        await db.execute('DROP INDEX IF EXISTS idx_scan_events_cafe_created');
+        await db.execute('DROP TABLE IF EXISTS scan_events');
+    }
+};
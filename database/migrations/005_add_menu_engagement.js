@@ -0,0 +1,24 @@
+/**
+ * 005 - Daily menu engagement counters (item views, category clicks/dwell, searches)
+ */
+
+module.exports = {
+    async up(db) {
+        // subject_id is the item or category id (0 for searches), term is the search term ('' otherwise)
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS menu_engagement_daily (
+                cafe_id INTEGER NOT NULL,
+                day TEXT NOT NULL,
+                event TEXT NOT NULL,
+                subject_id INTEGER NOT NULL DEFAULT 0,
+                term TEXT NOT NULL DEFAULT '',
+                count INTEGER NOT NULL DEFAULT 0,
+                PRIMARY KEY (cafe_id, day, event, subject_id, term)
+            )
+        `);
+    },
+    
+    async down(db) {
+        await db.execute('DROP TABLE IF EXISTS menu_engagement_daily');
+    }
+};
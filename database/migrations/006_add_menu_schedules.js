@@ -0,0 +1,17 @@
+/**
+ * 006 - Cafe timezone and time-based schedules (JSON) for categories and items
+ */
+
+module.exports = {
+    async up(db) {
+        await db.execute('ALTER TABLE cafes ADD COLUMN timezone TEXT');
+        await db.execute('ALTER TABLE categories ADD COLUMN schedule TEXT');
+        await db.execute('ALTER TABLE menu_items ADD COLUMN schedule TEXT');
+    },
+    
+    async down(db) {
+        await db.execute('ALTER TABLE menu_items DROP COLUMN schedule');
+        await db.execute('ALTER TABLE categories DROP COLUMN schedule');
+        await db.execute('ALTER TABLE cafes DROP COLUMN timezone');
+    }
+};
@@ -0,0 +1,30 @@
+/**
+ * 007 - Time-bound price rules (happy hour, discounts, promotions)
+ */
+
+module.exports = {
+    async up(db) {
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS price_rules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                cafe_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                scope TEXT NOT NULL DEFAULT 'menu',
+                target_id INTEGER,
+                discount_type TEXT NOT NULL DEFAULT 'percent',
+                amount REAL NOT NULL,
+                schedule TEXT,
+                is_active INTEGER DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        await db.execute('CREATE INDEX IF NOT EXISTS idx_price_rules_cafe ON price_rules (cafe_id)');
+    },
+    
+    async down(db) {
+        await db.execute('DROP INDEX IF EXISTS idx_price_rules_cafe');
+        await db.execute('DROP TABLE IF EXISTS price_rules');
+    }
+};
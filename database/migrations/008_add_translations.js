@@ -0,0 +1,32 @@
+/**
+ * 008 - Menu languages and per-field translations of cafe, category and item texts
+ */
+
+module.exports = {
+    async up(db) {
+        await db.execute('ALTER TABLE cafes ADD COLUMN default_language TEXT');
+        await db.execute('ALTER TABLE cafes ADD COLUMN languages TEXT');
+        
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS translations (
+                cafe_id INTEGER NOT NULL,
+                entity_type TEXT NOT NULL,
+                entity_id INTEGER NOT NULL,
+                field TEXT NOT NULL,
+                language TEXT NOT NULL,
+                value TEXT NOT NULL,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (entity_type, entity_id, field, language)
+            )
+        `);
+        
+        await db.execute('CREATE INDEX IF NOT EXISTS idx_translations_cafe_language ON translations (cafe_id, language)');
+    },
+    
+    async down(db) {
+        await db.execute('DROP INDEX IF EXISTS idx_translations_cafe_language');
+        await db.execute('DROP TABLE IF EXISTS translations');
+        await db.execute('ALTER TABLE cafes DROP COLUMN languages');
+        await db.execute('ALTER TABLE cafes DROP COLUMN default_language');
+    }
+};
@@ -0,0 +1,15 @@
+/**
+ * 009 - Source text of each translation, for stale detection and translation memory
+ */
+
+module.exports = {
+    async up(db) {
+        await db.execute('ALTER TABLE translations ADD COLUMN source TEXT');
+        await db.execute('CREATE INDEX IF NOT EXISTS idx_translations_memory ON translations (language, source)');
+    },
+    
+    async down(db) {
+        await db.execute('DROP INDEX IF EXISTS idx_translations_memory');
+        await db.execute('ALTER TABLE translations DROP COLUMN source');
+    }
+};
@@ -0,0 +1,13 @@
+/**
+ * 010 - Allergen declarations of menu items (see services/allergens)
+ */
+
+module.exports = {
+    async up(db) {
+        await db.execute('ALTER TABLE menu_items ADD COLUMN allergens TEXT');
+    },
+    
+    async down(db) {
+        await db.execute('ALTER TABLE menu_items DROP COLUMN allergens');
+    }
+};
@@ -0,0 +1,15 @@
+/**
+ * 011 - Nutrition facts and ingredient lists of menu items (see services/nutrition)
+ */
+
+module.exports = {
+    async up(db) {
+        await db.execute('ALTER TABLE menu_items ADD COLUMN nutrition TEXT');
+        await db.execute('ALTER TABLE menu_items ADD COLUMN ingredients TEXT');
+    },
+    
+    async down(db) {
+        await db.execute('ALTER TABLE menu_items DROP COLUMN ingredients');
+        await db.execute('ALTER TABLE menu_items DROP COLUMN nutrition');
+    }
+};
@@ -0,0 +1,33 @@
+/**
+ * 012 - Cafe memberships with roles (owner, manager, editor, staff); existing
+ * owners become the owner member of their cafe
+ */
+
+module.exports = {
+    async up(db) {
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS cafe_members (
+                cafe_id INTEGER NOT NULL,
+                user_id INTEGER NOT NULL,
+                role TEXT NOT NULL,
+                invited_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (cafe_id, user_id)
+            )
+        `);
+        
+        await db.execute('CREATE INDEX IF NOT EXISTS idx_cafe_members_user ON cafe_members (user_id)');
+        
+        await db.execute(`
+            INSERT OR IGNORE INTO cafe_members (cafe_id, user_id, role)
+            SELECT cafe_id, id, 'owner' FROM users
+            WHERE role = 'owner' AND cafe_id IS NOT NULL
+        `);
+    },
+    
+    async down(db) {
+        await db.execute('DROP INDEX IF EXISTS idx_cafe_members_user');
+        await db.execute('DROP TABLE IF EXISTS cafe_members');
+    }
+};
@@ -0,0 +1,43 @@
+/**
+ * 013 - Brands: chains whose branches share a master menu. Branch categories
+ * and items copied from the master keep a link to it (master_id); items
+ * remember which fields the branch overrode and can be hidden per branch.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS brands (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                slug TEXT UNIQUE NOT NULL,
+                master_cafe_id INTEGER,
+                created_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        await db.execute('ALTER TABLE cafes ADD COLUMN brand_id INTEGER');
+        await db.execute('ALTER TABLE categories ADD COLUMN master_id INTEGER');
+        await db.execute('ALTER TABLE menu_items ADD COLUMN master_id INTEGER');
+        await db.execute('ALTER TABLE menu_items ADD COLUMN overrides TEXT');
+        await db.execute('ALTER TABLE menu_items ADD COLUMN is_hidden INTEGER DEFAULT 0');
+        
+        await db.execute('CREATE INDEX IF NOT EXISTS idx_cafes_brand ON cafes (brand_id)');
+        await db.execute('CREATE INDEX IF NOT EXISTS idx_categories_master ON categories (cafe_id, master_id)');
+        await db.execute('CREATE INDEX IF NOT EXISTS idx_menu_items_master ON menu_items (cafe_id, master_id)');
+    },
+    
+    async down(db) {
+        await db.execute('DROP INDEX IF EXISTS idx_menu_items_master');
+        await db.execute('DROP INDEX IF EXISTS idx_categories_master');
+        await db.execute('DROP INDEX IF EXISTS idx_cafes_brand');
+        await db.execute('ALTER TABLE menu_items DROP COLUMN is_hidden');
+        await db.execute('ALTER TABLE menu_items DROP COLUMN overrides');
+        await db.execute('ALTER TABLE menu_items DROP COLUMN master_id');
+        await db.execute('ALTER TABLE categories DROP COLUMN master_id');
+        await db.execute('ALTER TABLE cafes DROP COLUMN brand_id');
+        await db.execute('DROP TABLE IF EXISTS brands');
+    }
+};
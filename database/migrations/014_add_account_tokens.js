@@ -0,0 +1,30 @@
+/**
+ * 014 - Single-use account tokens (password reset, email verification) and
+ * verified emails; existing accounts count as verified
+ */
+
+module.exports = {
+    async up(db) {
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS account_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                purpose TEXT NOT NULL,
+                token_hash TEXT UNIQUE NOT NULL,
+                expires_at DATETIME NOT NULL,
+                used_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        await db.execute('CREATE INDEX IF NOT EXISTS idx_account_tokens_user ON account_tokens (user_id, purpose)');
+        
+        await db.execute('ALTER TABLE users ADD COLUMN email_verified INTEGER DEFAULT 1');
+    },
+    
+    async down(db) {
+        await db.execute('ALTER TABLE users DROP COLUMN email_verified');
+        await db.execute('DROP INDEX IF EXISTS idx_account_tokens_user');
+        await db.execute('DROP TABLE IF EXISTS account_tokens');
+    }
+};
@@ -0,0 +1,33 @@
+/**
+ * 015 - Login sessions with rotating refresh tokens (stored as hashes), the
+ * device and IP they were started from, and revocation
+ */
+
+module.exports = {
+    async up(db) {
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS sessions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                refresh_token_hash TEXT UNIQUE NOT NULL,
+                previous_token_hash TEXT,
+                user_agent TEXT,
+                ip TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                rotated_at DATETIME,
+                expires_at DATETIME NOT NULL,
+                revoked_at DATETIME
+            )
+        `);
+        
+        await db.execute('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (user_id)');
+        await db.execute('CREATE INDEX IF NOT EXISTS idx_sessions_previous ON sessions (previous_token_hash)');
+    },
+    
+    async down(db) {
+        await db.execute('DROP INDEX IF EXISTS idx_sessions_previous');
+        await db.execute('DROP INDEX IF EXISTS idx_sessions_user');
+        await db.execute('DROP TABLE IF EXISTS sessions');
+    }
+};
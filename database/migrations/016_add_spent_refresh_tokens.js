@@ -0,0 +1,28 @@
+/**
+ * 016 - Refresh tokens a session has replaced, so any of them coming back -
+ * not only the last one - ends the session
+ */
+
+module.exports = {
+    async up(db) {
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS spent_refresh_tokens (
+                token_hash TEXT PRIMARY KEY,
+                session_id INTEGER NOT NULL,
+                spent_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        await db.execute('CREATE INDEX IF NOT EXISTS idx_spent_refresh_tokens_session ON spent_refresh_tokens (session_id)');
+        
+        await db.execute(`
+            INSERT OR IGNORE INTO spent_refresh_tokens (token_hash, session_id, spent_at)
+            SELECT previous_token_hash, id, rotated_at FROM sessions WHERE previous_token_hash IS NOT NULL
+        `);
+    },
+    
+    async down(db) {
+        await db.execute('DROP INDEX IF EXISTS idx_spent_refresh_tokens_session');
+        await db.execute('DROP TABLE IF EXISTS spent_refresh_tokens');
+    }
+};
@@ -4,23 +4,43 @@
 
 const jwt = require('jsonwebtoken');
 const { getDb } = require('../database/init');
+const { roleCan, getCafeRole } = require('../services/cafeRoles');
+const { JWT_SECRET, isSessionActive } = require('../services/sessions');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
-
-// Verify JWT token
+// Verify JWT token and that its session was not ended (see services/sessions).
+// The session id is kept on req.sessionId.
 async function authenticateToken(req, res, next) {
     const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+    let token = authHeader && authHeader.split(' ')[1];
+    
+    // EventSource cannot send headers, so event streams may pass the token in the query
+    if (!token && req.headers.accept === 'text/event-stream') {
+        token = req.query.access_token;
+    }
     
     if (!token) {
         return res.status(401).json({ error: 'Access token required' });
     }
     
+    let user;
+    try {
+        user = jwt.verify(token, JWT_SECRET);
+    } catch (err) {
+        // Clients refresh expired access tokens and try again
+        if (err.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Access token expired', code: 'token_expired' });
+        }
+        return res.status(403).json({ error: 'Invalid or expired token' });
+    }
+    
     try {
-        const user = jwt.verify(token, JWT_SECRET);
+        const db = await getDb();
+        
+        if (!user.sid || !await isSessionActive(db, user.sid, user.id)) {
+            return res.status(401).json({ error: 'Session ended, please sign in again', code: 'session_revoked' });
+        }
         
         // Get fresh user data
-        const db = await getDb();
         const dbUser = await db.prepare('SELECT * FROM users WHERE id = ? AND is_active = 1').get(user.id);
         
         if (!dbUser) {
@@ -28,9 +48,11 @@ async function authenticateToken(req, res, next) {
         }
         
         req.user = dbUser;
+        req.sessionId = user.sid;
         next();
     } catch (err) {
-        return res.status(403).json({ error: 'Invalid or expired token' });
+        console.error('Authentication error:', err);
+        return res.status(500).json({ error: 'Authentication failed' });
     }
 }
 
@@ -42,19 +64,34 @@ function requireAdmin(req, res, next) {
     next();
 }
 
-// Check if user owns the cafe or is admin
-function requireCafeAccess(req, res, next) {
-    const cafeId = req.params.cafeId || req.body.cafeId;
-    
-    if (req.user.role === 'admin') {
-        return next();
-    }
-    
-    if (req.user.cafe_id !== parseInt(cafeId)) {
-        return res.status(403).json({ error: 'Access denied to this cafe' });
-    }
-    
-    next();
+// Check the user's role in the cafe allows `permission` (see services/cafeRoles).
+// The role is kept on req.cafeRole for the route.
+function requireCafePermission(permission) {
+    return async (req, res, next) => {
+        const cafeId = parseInt(req.params.cafeId || req.params.id || req.body.cafeId);
+        
+        try {
+            const db = await getDb();
+            const role = await getCafeRole(db, req.user, cafeId);
+            
+            if (!role) {
+                return res.status(403).json({ error: 'Access denied to this cafe' });
+            }
+            
+            if (!roleCan(role, permission)) {
+                return res.status(403).json({ error: 'Your role in this cafe does not allow this' });
+            }
+            
+            req.cafeRole = role;
+            next();
+        } catch (error) {
+            console.error('Cafe access check error:', error);
+            res.status(500).json({ error: 'Failed to check cafe access' });
+        }
+    };
 }
 
-module.exports = { authenticateToken, requireAdmin, requireCafeAccess };
+// Check if user is a member of the cafe or admin
+const requireCafeAccess = requireCafePermission('view');
+
+module.exports = { authenticateToken, requireAdmin, requireCafeAccess, requireCafePermission };
@@ -8,6 +8,10 @@ const bcrypt = require('bcryptjs');
 const { getDb } = require('../database/init');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const { v4: uuidv4 } = require('uuid');
+const { assignOwner, resetCurrentCafe } = require('../services/cafeRoles');
+const { sendVerificationEmail } = require('../services/accountTokens');
+const { revokeAllSessions } = require('../services/sessions');
+const { getBaseUrl } = require('../services/qrGenerator');
 
 // Apply auth middleware to all admin routes
 router.use(authenticateToken);
@@ -44,9 +48,10 @@ router.get('/stats', async (req, res) => {
         
         // Recent cafes
         const recentCafes = await db.prepare(`
-            SELECT c.*, u.name as owner_name
+            SELECT c.*,
+                (SELECT group_concat(u.name, ', ') FROM cafe_members m JOIN users u ON u.id = m.user_id
+                    WHERE m.cafe_id = c.id AND m.role = 'owner') as owner_name
             FROM cafes c
-            LEFT JOIN users u ON c.id = u.cafe_id
             ORDER BY c.created_at DESC
             LIMIT 5
         `).all();
@@ -74,9 +79,12 @@ router.get('/cafes', async (req, res) => {
     try {
         const db = await getDb();
         const cafes = await db.prepare(`
-            SELECT c.*, u.name as owner_name, u.email as owner_email
+            SELECT c.*,
+                (SELECT group_concat(u.name, ', ') FROM cafe_members m JOIN users u ON u.id = m.user_id
+                    WHERE m.cafe_id = c.id AND m.role = 'owner') as owner_name,
+                (SELECT group_concat(u.email, ', ') FROM cafe_members m JOIN users u ON u.id = m.user_id
+                    WHERE m.cafe_id = c.id AND m.role = 'owner') as owner_email
             FROM cafes c
-            LEFT JOIN users u ON c.id = u.cafe_id
             ORDER BY c.created_at DESC
         `).all();
         
@@ -87,12 +95,29 @@ router.get('/cafes', async (req, res) => {
     }
 });
 
+// cafeIds from the request ([1, "2"]) -> unique ids, or { error } when a cafe does not exist
+async function readCafeIds(db, cafeIds) {
+    if (!Array.isArray(cafeIds)) {
+        return { error: 'cafeIds must be a list' };
+    }
+    const ids = [...new Set(cafeIds.map(id => parseInt(id)))];
+    if (ids.some(id => !Number.isInteger(id))) {
+        return { error: 'Invalid cafe id' };
+    }
+    for (const id of ids) {
+        if (!await db.prepare('SELECT id FROM cafes WHERE id = ?').get(id)) {
+            return { error: `Cafe ${id} not found` };
+        }
+    }
+    return { ids };
+}
+
 // Get all owners
 router.get('/owners', async (req, res) => {
     try {
         const db = await getDb();
         const owners = await db.prepare(`
-            SELECT u.id, u.email, u.name, u.is_active, u.created_at,
+            SELECT u.id, u.email, u.name, u.is_active, u.email_verified, u.created_at,
                    c.id as cafe_id, c.name as cafe_name, c.slug as cafe_slug
             FROM users u
             LEFT JOIN cafes c ON u.cafe_id = c.id
@@ -100,6 +125,21 @@ router.get('/owners', async (req, res) => {
             ORDER BY u.created_at DESC
         `).all();
         
+        // Every cafe each owner owns; cafe_id above is the one they are working in
+        const memberships = await db.prepare(`
+            SELECT m.user_id, c.id, c.name, c.slug
+            FROM cafe_members m
+            JOIN cafes c ON c.id = m.cafe_id
+            JOIN users u ON u.id = m.user_id
+            WHERE m.role = 'owner' AND u.role = 'owner'
+            ORDER BY m.created_at ASC, c.id ASC
+        `).all();
+        owners.forEach(owner => {
+            owner.cafes = memberships
+                .filter(m => m.user_id === owner.id)
+                .map(({ id, name, slug }) => ({ id, name, slug }));
+        });
+        
         res.json({ owners });
     } catch (error) {
         console.error('Get owners error:', error);
@@ -107,6 +147,17 @@ router.get('/owners', async (req, res) => {
     }
 });
 
+// Email an owner their verification link; a mail failure is reported, not fatal
+async function sendOwnerVerification(db, owner, req) {
+    try {
+        await sendVerificationEmail(db, owner, getBaseUrl(req));
+        return true;
+    } catch (error) {
+        console.error('Send verification error:', error);
+        return false;
+    }
+}
+
 // Create new cafe owner
 router.post('/owners', async (req, res) => {
     try {
@@ -118,6 +169,12 @@ router.post('/owners', async (req, res) => {
         
         const db = await getDb();
         
+        // Cafes to own: cafeIds, or the single cafeId
+        const cafes = await readCafeIds(db, req.body.cafeIds || (cafeId ? [cafeId] : []));
+        if (cafes.error) {
+            return res.status(400).json({ error: cafes.error });
+        }
+        
         // Check if email exists
         const existing = await db.prepare('SELECT id FROM users WHERE email = ?').get(email);
         if (existing) {
@@ -128,28 +185,37 @@ router.post('/owners', async (req, res) => {
         const userPassword = password || uuidv4().slice(0, 8);
         const hashedPassword = await bcrypt.hash(userPassword, 10);
         
-        const result = await db.prepare(`
-            INSERT INTO users (email, password, name, role, cafe_id)
-            VALUES (?, ?, ?, 'owner', ?)
-        `).run(email, hashedPassword, name, cafeId || null);
-        
-        // Update cafe if provided
-        if (cafeId) {
-            await db.prepare('UPDATE cafes SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(cafeId);
-        }
+        const ownerId = await db.transaction(async tx => {
+            const result = await tx.prepare(`
+                INSERT INTO users (email, password, name, role, email_verified)
+                VALUES (?, ?, ?, 'owner', 0)
+            `).run(email, hashedPassword, name);
+            
+            // Make the owner an owner member of each cafe; the first is their current one
+            for (const id of cafes.ids) {
+                await tx.prepare('UPDATE cafes SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(id);
+                await assignOwner(tx, result.lastInsertRowid, id, req.user.id);
+            }
+            
+            // Log activity
+            await tx.prepare('INSERT INTO activity_log (user_id, action, details) VALUES (?, ?, ?)')
+                .run(req.user.id, 'create_owner', `Created owner: ${email}`);
+            
+            return result.lastInsertRowid;
+        });
         
-        // Log activity
-        await db.prepare('INSERT INTO activity_log (user_id, action, details) VALUES (?, ?, ?)')
-            .run(req.user.id, 'create_owner', `Created owner: ${email}`);
+        // The owner signs in once they confirm their email
+        const verificationSent = await sendOwnerVerification(db, { id: ownerId, email, name }, req);
         
         res.json({
             success: true,
             owner: {
-                id: result.lastInsertRowid,
+                id: ownerId,
                 email,
                 name,
                 password: userPassword // Send plain password only on creation
-            }
+            },
+            verificationSent
         });
     } catch (error) {
         console.error('Create owner error:', error);
@@ -157,36 +223,92 @@ router.post('/owners', async (req, res) => {
     }
 });
 
-// Update owner
+// Update owner. `cafeIds` sets every cafe they own; `cafeId` alone is the
+// single-cafe form. Memberships with other roles are kept.
 router.put('/owners/:id', async (req, res) => {
     try {
         const { id } = req.params;
-        const { email, name, isActive, cafeId, resetPassword } = req.body;
+        const { email, name, isActive, cafeId, resetPassword, emailVerified } = req.body;
         
         const db = await getDb();
         
+        const owner = await db.prepare("SELECT id, email, name FROM users WHERE id = ? AND role = 'owner'").get(id);
+        if (!owner) {
+            return res.status(404).json({ error: 'Owner not found' });
+        }
+        
+        let cafes = null;
+        if (req.body.cafeIds !== undefined) {
+            cafes = await readCafeIds(db, req.body.cafeIds);
+        } else if (cafeId !== undefined) {
+            cafes = await readCafeIds(db, cafeId ? [cafeId] : []);
+        }
+        if (cafes && cafes.error) {
+            return res.status(400).json({ error: cafes.error });
+        }
+        
+        // A new email address has to be confirmed again
+        const emailChanged = !!email && email.toLowerCase() !== owner.email.toLowerCase();
+        
         let newPassword = null;
+        let hashedPassword = null;
         
         if (resetPassword) {
             newPassword = uuidv4().slice(0, 8);
-            const hashedPassword = await bcrypt.hash(newPassword, 10);
-            await db.prepare('UPDATE users SET password = ? WHERE id = ?').run(hashedPassword, id);
+            hashedPassword = await bcrypt.hash(newPassword, 10);
         }
         
-        await db.prepare(`
-            UPDATE users SET 
-                email = COALESCE(?, email),
-                name = COALESCE(?, name),
-                is_active = COALESCE(?, is_active),
-                cafe_id = ?,
-                updated_at = CURRENT_TIMESTAMP
-            WHERE id = ?
-        `).run(email, name, isActive, cafeId, id);
+        await db.transaction(async tx => {
+            // A new password or deactivation signs the owner out everywhere
+            if (hashedPassword) {
+                await tx.prepare('UPDATE users SET password = ? WHERE id = ?').run(hashedPassword, id);
+            }
+            if (hashedPassword || (isActive !== undefined && !isActive)) {
+                await revokeAllSessions(tx, id);
+            }
+            
+            await tx.prepare(`
+                UPDATE users SET 
+                    email = COALESCE(?, email),
+                    name = COALESCE(?, name),
+                    is_active = COALESCE(?, is_active),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(email, name, isActive, id);
+            
+            if (emailChanged || emailVerified !== undefined) {
+                await tx.prepare('UPDATE users SET email_verified = ? WHERE id = ?')
+                    .run(emailChanged ? 0 : (emailVerified ? 1 : 0), id);
+            }
+            
+            if (cafes) {
+                const placeholders = cafes.ids.map(() => '?').join(', ');
+                await tx.prepare(`DELETE FROM cafe_members WHERE user_id = ? AND role = 'owner' AND cafe_id NOT IN (${placeholders})`)
+                    .run(id, ...cafes.ids);
+                for (const ownedId of cafes.ids) {
+                    await assignOwner(tx, id, ownedId, req.user.id);
+                }
+                // The single-cafe form also makes it the current cafe
+                if (req.body.cafeIds === undefined && cafeId) {
+                    await tx.prepare('UPDATE users SET cafe_id = ? WHERE id = ?').run(cafes.ids[0], id);
+                }
+                await resetCurrentCafe(tx, id);
+                
+                // Log activity
+                await tx.prepare('INSERT INTO activity_log (user_id, action, details) VALUES (?, ?, ?)')
+                    .run(req.user.id, 'assign_owner_cafes', `Owner ${id} now owns cafes: ${cafes.ids.join(', ') || 'none'}`);
+            }
+        });
+        
+        const verificationSent = emailChanged
+            ? await sendOwnerVerification(db, { id: owner.id, email, name: name || owner.name }, req)
+            : undefined;
         
         res.json({ 
             success: true, 
             message: 'Owner updated',
-            newPassword 
+            newPassword,
+            verificationSent
         });
     } catch (error) {
         console.error('Update owner error:', error);
@@ -194,13 +316,108 @@ router.put('/owners/:id', async (req, res) => {
     }
 });
 
+// Send an owner's verification link again
+router.post('/owners/:id/verification', async (req, res) => {
+    try {
+        const db = await getDb();
+        const owner = await db.prepare("SELECT id, email, name, email_verified FROM users WHERE id = ? AND role = 'owner'").get(req.params.id);
+        
+        if (!owner) {
+            return res.status(404).json({ error: 'Owner not found' });
+        }
+        if (owner.email_verified) {
+            return res.status(400).json({ error: 'Email already confirmed' });
+        }
+        
+        await sendVerificationEmail(db, owner, getBaseUrl(req));
+        
+        res.json({ success: true, message: `Verification link sent to ${owner.email}` });
+    } catch (error) {
+        console.error('Send verification error:', error);
+        res.status(500).json({ error: 'Failed to send verification link' });
+    }
+});
+
+// Make an owner owner of one more cafe
+router.post('/owners/:id/cafes', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const db = await getDb();
+        
+        const owner = await db.prepare("SELECT id, email FROM users WHERE id = ? AND role = 'owner'").get(id);
+        if (!owner) {
+            return res.status(404).json({ error: 'Owner not found' });
+        }
+        const cafe = await db.prepare('SELECT id, name FROM cafes WHERE id = ?').get(req.body.cafeId);
+        if (!cafe) {
+            return res.status(404).json({ error: 'Cafe not found' });
+        }
+        
+        await db.transaction(async tx => {
+            await assignOwner(tx, owner.id, cafe.id, req.user.id);
+            
+            // Log activity
+            await tx.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+                .run(req.user.id, cafe.id, 'assign_owner', `Made ${owner.email} owner of ${cafe.name}`);
+        });
+        
+        res.json({ success: true, message: 'Cafe assigned' });
+    } catch (error) {
+        console.error('Assign owner cafe error:', error);
+        res.status(500).json({ error: 'Failed to assign cafe' });
+    }
+});
+
+// Take a cafe away from an owner
+router.delete('/owners/:id/cafes/:cafeId', async (req, res) => {
+    try {
+        const { id, cafeId } = req.params;
+        const db = await getDb();
+        
+        const owner = await db.prepare("SELECT id, email FROM users WHERE id = ? AND role = 'owner'").get(id);
+        if (!owner) {
+            return res.status(404).json({ error: 'Owner not found' });
+        }
+        
+        const removed = await db.transaction(async tx => {
+            const result = await tx.prepare("DELETE FROM cafe_members WHERE cafe_id = ? AND user_id = ? AND role = 'owner'")
+                .run(cafeId, owner.id);
+            if (result.changes === 0) return false;
+            
+            await resetCurrentCafe(tx, owner.id);
+            
+            // Log activity
+            await tx.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+                .run(req.user.id, cafeId, 'unassign_owner', `Removed ${owner.email} as owner`);
+            return true;
+        });
+        
+        if (!removed) {
+            return res.status(404).json({ error: 'Not an owner of this cafe' });
+        }
+        
+        res.json({ success: true, message: 'Cafe unassigned' });
+    } catch (error) {
+        console.error('Unassign owner cafe error:', error);
+        res.status(500).json({ error: 'Failed to unassign cafe' });
+    }
+});
+
 // Delete owner
 router.delete('/owners/:id', async (req, res) => {
     try {
         const { id } = req.params;
         const db = await getDb();
         
-        await db.prepare('DELETE FROM users WHERE id = ? AND role = ?').run(id, 'owner');
+        await db.transaction(async tx => {
+            const result = await tx.prepare('DELETE FROM users WHERE id = ? AND role = ?').run(id, 'owner');
+            if (result.changes > 0) {
+                await tx.prepare('DELETE FROM cafe_members WHERE user_id = ?').run(id);
+                await tx.prepare('DELETE FROM account_tokens WHERE user_id = ?').run(id);
+                await tx.prepare('DELETE FROM spent_refresh_tokens WHERE session_id IN (SELECT id FROM sessions WHERE user_id = ?)').run(id);
+                await tx.prepare('DELETE FROM sessions WHERE user_id = ?').run(id);
+            }
+        });
         
         res.json({ success: true, message: 'Owner deleted' });
     } catch (error) {
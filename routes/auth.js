@@ -5,11 +5,12 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { getDb } = require('../database/init');
 const { authenticateToken } = require('../middleware/auth');
-
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const { describeRole, getCafeRole, getMemberCafes, resetCurrentCafe } = require('../services/cafeRoles');
+const { consumeAccountToken, recentlySent, sendPasswordResetEmail, sendVerificationEmail } = require('../services/accountTokens');
+const { getBaseUrl } = require('../services/qrGenerator');
+const { createSession, rotateSession, listSessions, revokeSession, revokeAllSessions } = require('../services/sessions');
 
 // Login
 router.post('/login', async (req, res) => {
@@ -33,12 +34,13 @@ router.post('/login', async (req, res) => {
             return res.status(401).json({ error: 'Invalid credentials' });
         }
         
-        // Create token
-        const token = jwt.sign(
-            { id: user.id, email: user.email, role: user.role },
-            JWT_SECRET,
-            { expiresIn: '7d' }
-        );
+        // Owners created by an admin confirm their email first
+        if (!user.email_verified) {
+            return res.status(403).json({ error: 'Please confirm your email first - check your inbox for the link', code: 'email_unverified' });
+        }
+        
+        // Start a session: short-lived access token plus refresh token
+        const { token, refreshToken } = await createSession(db, user, req);
         
         // Log activity
         await db.prepare('INSERT INTO activity_log (user_id, action, details) VALUES (?, ?, ?)')
@@ -46,6 +48,7 @@ router.post('/login', async (req, res) => {
         
         res.json({
             token,
+            refreshToken,
             user: {
                 id: user.id,
                 email: user.email,
@@ -60,25 +63,162 @@ router.post('/login', async (req, res) => {
     }
 });
 
-// Get current user
+// Swap a refresh token for a new access token and refresh token
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        
+        if (!refreshToken) {
+            return res.status(400).json({ error: 'Refresh token required' });
+        }
+        
+        const db = await getDb();
+        const result = await rotateSession(db, refreshToken);
+        
+        if (result.error) {
+            return res.status(401).json({ error: result.error, code: result.code });
+        }
+        
+        res.json({ token: result.token, refreshToken: result.refreshToken });
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(500).json({ error: 'Failed to refresh session' });
+    }
+});
+
+// Logout: end the current session
+router.post('/logout', authenticateToken, async (req, res) => {
+    try {
+        const db = await getDb();
+        await revokeSession(db, req.user.id, req.sessionId);
+        
+        res.json({ success: true, message: 'Logged out' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Failed to log out' });
+    }
+});
+
+// Active sessions of the current user, with the device and IP they signed in from
+router.get('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const db = await getDb();
+        const sessions = await listSessions(db, req.user.id, req.sessionId);
+        
+        res.json({ sessions });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+});
+
+// Log out everywhere; `?keepCurrent=true` keeps this session
+router.delete('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const keepCurrent = req.query.keepCurrent === 'true';
+        const db = await getDb();
+        const revoked = await revokeAllSessions(db, req.user.id, keepCurrent ? req.sessionId : null);
+        
+        // Log activity
+        await db.prepare('INSERT INTO activity_log (user_id, action, details) VALUES (?, ?, ?)')
+            .run(req.user.id, 'revoke_sessions', `Logged out of ${revoked} sessions${keepCurrent ? ' (kept current)' : ''}`);
+        
+        res.json({ success: true, revoked });
+    } catch (error) {
+        console.error('Revoke sessions error:', error);
+        res.status(500).json({ error: 'Failed to log out everywhere' });
+    }
+});
+
+// End one session
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+    try {
+        const db = await getDb();
+        const revoked = await revokeSession(db, req.user.id, req.params.id);
+        
+        if (!revoked) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        
+        // Log activity
+        await db.prepare('INSERT INTO activity_log (user_id, action, details) VALUES (?, ?, ?)')
+            .run(req.user.id, 'revoke_session', `Ended session ${req.params.id}`);
+        
+        res.json({ success: true, current: parseInt(req.params.id) === req.sessionId });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ error: 'Failed to end session' });
+    }
+});
+
+// Get current user, the cafes they belong to and their role in the current one
 router.get('/me', authenticateToken, async (req, res) => {
-    const db = await getDb();
-    let cafe = null;
-    
-    if (req.user.cafe_id) {
-        cafe = await db.prepare('SELECT id, name, slug, logo FROM cafes WHERE id = ?').get(req.user.cafe_id);
+    try {
+        const db = await getDb();
+        let cafe = null;
+        let cafeId = req.user.cafe_id;
+        
+        const cafes = req.user.role === 'admin' ? [] : await getMemberCafes(db, req.user.id);
+        
+        // Members continue in another of their cafes when the current one is gone
+        if (req.user.role !== 'admin' && !cafes.some(c => c.id === cafeId)) {
+            await resetCurrentCafe(db, req.user.id);
+            cafeId = cafes.length > 0 ? cafes[0].id : null;
+        }
+        
+        if (cafeId) {
+            cafe = await db.prepare('SELECT id, name, slug, logo FROM cafes WHERE id = ?').get(cafeId);
+        }
+        
+        // Role and permissions in that cafe (see services/cafeRoles)
+        const cafeRole = describeRole(await getCafeRole(db, req.user, cafe && cafe.id));
+        
+        res.json({
+            user: {
+                id: req.user.id,
+                email: req.user.email,
+                name: req.user.name,
+                role: req.user.role,
+                cafeId: cafe ? cafe.id : null,
+                cafeRole: cafeRole ? cafeRole.role : null,
+                cafeRoleLabel: cafeRole ? cafeRole.label : null,
+                permissions: cafeRole ? cafeRole.permissions : []
+            },
+            cafe,
+            cafes
+        });
+    } catch (error) {
+        console.error('Get user error:', error);
+        res.status(500).json({ error: 'Failed to get user' });
+    }
+});
+
+// Switch the cafe the user is working in
+router.post('/current-cafe', authenticateToken, async (req, res) => {
+    try {
+        const cafeId = parseInt(req.body.cafeId);
+        const db = await getDb();
+        
+        const cafe = await db.prepare('SELECT id, name, slug, logo FROM cafes WHERE id = ?').get(cafeId);
+        const role = cafe ? await getCafeRole(db, req.user, cafe.id) : null;
+        if (!role) {
+            return res.status(403).json({ error: 'Access denied to this cafe' });
+        }
+        
+        await db.prepare('UPDATE users SET cafe_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(cafe.id, req.user.id);
+        
+        const cafeRole = describeRole(role);
+        res.json({
+            success: true,
+            cafe,
+            cafeRole: cafeRole.role,
+            cafeRoleLabel: cafeRole.label,
+            permissions: cafeRole.permissions
+        });
+    } catch (error) {
+        console.error('Switch cafe error:', error);
+        res.status(500).json({ error: 'Failed to switch cafe' });
     }
-    
-    res.json({
-        user: {
-            id: req.user.id,
-            email: req.user.email,
-            name: req.user.name,
-            role: req.user.role,
-            cafeId: req.user.cafe_id
-        },
-        cafe
-    });
 });
 
 // Change password
@@ -102,11 +242,139 @@ router.post('/change-password', authenticateToken, async (req, res) => {
         await db.prepare('UPDATE users SET password = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
             .run(hashedPassword, req.user.id);
         
-        res.json({ success: true, message: 'Password changed successfully' });
+        // Every session ends; this device continues in a new one
+        await revokeAllSessions(db, req.user.id);
+        const { token, refreshToken } = await createSession(db, req.user, req);
+        
+        res.json({ success: true, message: 'Password changed successfully', token, refreshToken });
     } catch (error) {
         console.error('Change password error:', error);
         res.status(500).json({ error: 'Failed to change password' });
     }
 });
 
+// Request a password reset link. The answer is the same whether or not the
+// email has an account.
+router.post('/forgot-password', async (req, res) => {
+    try {
+        const email = String(req.body.email || '').trim();
+        
+        if (!email) {
+            return res.status(400).json({ error: 'Email required' });
+        }
+        
+        const db = await getDb();
+        const user = await db.prepare('SELECT id, email, name FROM users WHERE email = ? COLLATE NOCASE AND is_active = 1').get(email);
+        
+        // One link a minute is enough
+        if (user && !await recentlySent(db, user.id, 'reset_password', 60)) {
+            await sendPasswordResetEmail(db, user, getBaseUrl(req));
+            
+            // Log activity
+            await db.prepare('INSERT INTO activity_log (user_id, action, details) VALUES (?, ?, ?)')
+                .run(user.id, 'forgot_password', `Password reset requested from ${req.ip}`);
+        }
+        
+        res.json({ success: true, message: 'If the email belongs to an account, a reset link is on its way' });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Failed to send reset link' });
+    }
+});
+
+// Set a new password with a reset link
+router.post('/reset-password', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        
+        if (!token || !password) {
+            return res.status(400).json({ error: 'Token and new password required' });
+        }
+        
+        const db = await getDb();
+        const userId = await consumeAccountToken(db, token, 'reset_password');
+        
+        if (!userId) {
+            return res.status(400).json({ error: 'This link is invalid or has expired' });
+        }
+        
+        const hashedPassword = await bcrypt.hash(password, 10);
+        
+        // Getting the email proves the address, too
+        await db.prepare('UPDATE users SET password = ?, email_verified = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+            .run(hashedPassword, userId);
+        await revokeAllSessions(db, userId);
+        
+        // Log activity
+        await db.prepare('INSERT INTO activity_log (user_id, action, details) VALUES (?, ?, ?)')
+            .run(userId, 'reset_password', `Password reset from ${req.ip}`);
+        
+        res.json({ success: true, message: 'Password changed - you can sign in now' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ error: 'Failed to reset password' });
+    }
+});
+
+// Confirm an email with a verification link, optionally choosing a password
+router.post('/verify-email', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        
+        if (!token) {
+            return res.status(400).json({ error: 'Token required' });
+        }
+        
+        const db = await getDb();
+        const userId = await consumeAccountToken(db, token, 'verify_email');
+        
+        if (!userId) {
+            return res.status(400).json({ error: 'This link is invalid or has expired' });
+        }
+        
+        await db.prepare('UPDATE users SET email_verified = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(userId);
+        
+        if (password) {
+            const hashedPassword = await bcrypt.hash(password, 10);
+            await db.prepare('UPDATE users SET password = ? WHERE id = ?').run(hashedPassword, userId);
+            await revokeAllSessions(db, userId);
+        }
+        
+        // Log activity
+        await db.prepare('INSERT INTO activity_log (user_id, action, details) VALUES (?, ?, ?)')
+            .run(userId, 'verify_email', password ? 'Email confirmed, password chosen' : 'Email confirmed');
+        
+        res.json({ success: true, message: 'Email confirmed - you can sign in now' });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({ error: 'Failed to confirm email' });
+    }
+});
+
+// Send the verification link again
+router.post('/resend-verification', async (req, res) => {
+    try {
+        const email = String(req.body.email || '').trim();
+        
+        if (!email) {
+            return res.status(400).json({ error: 'Email required' });
+        }
+        
+        const db = await getDb();
+        const user = await db.prepare(`
+            SELECT id, email, name FROM users
+            WHERE email = ? COLLATE NOCASE AND is_active = 1 AND email_verified = 0
+        `).get(email);
+        
+        if (user && !await recentlySent(db, user.id, 'verify_email', 60)) {
+            await sendVerificationEmail(db, user, getBaseUrl(req));
+        }
+        
+        res.json({ success: true, message: 'If the email is waiting for confirmation, a new link is on its way' });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ error: 'Failed to send verification link' });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,251 @@
+/**
+ * Brand Routes - Chains sharing a master menu (see services/brandMenus), admin only
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getDb } = require('../database/init');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { syncBranch, unlinkBranch } = require('../services/brandMenus');
+const eventBus = require('../services/eventBus');
+
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+// Generate unique brand slug
+async function generateBrandSlug(db, name) {
+    const original = name.toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/-+/g, '-')
+        .replace(/^-|-$/g, '') || 'brand';
+    
+    let slug = original;
+    let counter = 1;
+    while (await db.prepare('SELECT id FROM brands WHERE slug = ?').get(slug)) {
+        slug = `${original}-${counter}`;
+        counter++;
+    }
+    return slug;
+}
+
+// Brand with its master and branch cafes
+async function getBrand(db, id) {
+    const brand = await db.prepare('SELECT * FROM brands WHERE id = ?').get(id);
+    if (!brand) return null;
+    
+    const cafes = await db.prepare(`
+        SELECT id, name, slug, is_published FROM cafes WHERE brand_id = ? ORDER BY name ASC
+    `).all(id);
+    
+    return {
+        ...brand,
+        master: cafes.find(cafe => cafe.id === brand.master_cafe_id) || null,
+        branches: cafes.filter(cafe => cafe.id !== brand.master_cafe_id)
+    };
+}
+
+// List brands
+router.get('/', async (req, res) => {
+    try {
+        const db = await getDb();
+        const rows = await db.prepare('SELECT id FROM brands ORDER BY name ASC').all();
+        
+        const brands = [];
+        for (const row of rows) {
+            brands.push(await getBrand(db, row.id));
+        }
+        
+        res.json({ brands });
+    } catch (error) {
+        console.error('Get brands error:', error);
+        res.status(500).json({ error: 'Failed to fetch brands' });
+    }
+});
+
+// Get single brand
+router.get('/:id', async (req, res) => {
+    try {
+        const db = await getDb();
+        const brand = await getBrand(db, req.params.id);
+        
+        if (!brand) {
+            return res.status(404).json({ error: 'Brand not found' });
+        }
+        
+        res.json(brand);
+    } catch (error) {
+        console.error('Get brand error:', error);
+        res.status(500).json({ error: 'Failed to fetch brand' });
+    }
+});
+
+// Create brand. Its master menu is the menu of `masterCafeId`, a cafe not in another brand.
+router.post('/', async (req, res) => {
+    try {
+        const { name, masterCafeId } = req.body;
+        
+        if (!name || !String(name).trim()) {
+            return res.status(400).json({ error: 'Brand name required' });
+        }
+        
+        const db = await getDb();
+        
+        const master = await db.prepare('SELECT id, name, brand_id FROM cafes WHERE id = ?').get(masterCafeId);
+        if (!master) {
+            return res.status(400).json({ error: 'Master cafe not found' });
+        }
+        if (master.brand_id) {
+            return res.status(400).json({ error: `${master.name} already belongs to a brand` });
+        }
+        
+        const slug = await generateBrandSlug(db, String(name));
+        
+        const brandId = await db.transaction(async tx => {
+            const result = await tx.prepare(`
+                INSERT INTO brands (name, slug, master_cafe_id, created_by)
+                VALUES (?, ?, ?, ?)
+            `).run(String(name).trim(), slug, master.id, req.user.id);
+            
+            await tx.prepare('UPDATE cafes SET brand_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(result.lastInsertRowid, master.id);
+            
+            // Log activity
+            await tx.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+                .run(req.user.id, master.id, 'create_brand', `Created brand: ${String(name).trim()}`);
+            
+            return result.lastInsertRowid;
+        });
+        
+        res.json({ success: true, brand: await getBrand(db, brandId) });
+    } catch (error) {
+        console.error('Create brand error:', error);
+        res.status(500).json({ error: 'Failed to create brand' });
+    }
+});
+
+// Rename brand
+router.put('/:id', async (req, res) => {
+    try {
+        const { name } = req.body;
+        
+        if (!name || !String(name).trim()) {
+            return res.status(400).json({ error: 'Brand name required' });
+        }
+        
+        const db = await getDb();
+        const result = await db.prepare('UPDATE brands SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+            .run(String(name).trim(), req.params.id);
+        
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Brand not found' });
+        }
+        
+        res.json({ success: true, brand: await getBrand(db, req.params.id) });
+    } catch (error) {
+        console.error('Update brand error:', error);
+        res.status(500).json({ error: 'Failed to update brand' });
+    }
+});
+
+// Delete brand. Branches keep their menus as their own.
+router.delete('/:id', async (req, res) => {
+    try {
+        const db = await getDb();
+        const brand = await getBrand(db, req.params.id);
+        
+        if (!brand) {
+            return res.status(404).json({ error: 'Brand not found' });
+        }
+        
+        await db.transaction(async tx => {
+            for (const branch of brand.branches) {
+                await unlinkBranch(tx, branch.id);
+            }
+            await tx.prepare('UPDATE cafes SET brand_id = NULL WHERE brand_id = ?').run(brand.id);
+            await tx.prepare('DELETE FROM brands WHERE id = ?').run(brand.id);
+            
+            // Log activity
+            await tx.prepare('INSERT INTO activity_log (user_id, action, details) VALUES (?, ?, ?)')
+                .run(req.user.id, 'delete_brand', `Deleted brand: ${brand.name}`);
+        });
+        
+        res.json({ success: true, message: 'Brand deleted' });
+    } catch (error) {
+        console.error('Delete brand error:', error);
+        res.status(500).json({ error: 'Failed to delete brand' });
+    }
+});
+
+// Add a branch. The master menu is copied to it right away; its own
+// categories and items stay next to it.
+router.post('/:id/cafes', async (req, res) => {
+    try {
+        const db = await getDb();
+        const brand = await getBrand(db, req.params.id);
+        
+        if (!brand) {
+            return res.status(404).json({ error: 'Brand not found' });
+        }
+        if (!brand.master_cafe_id) {
+            return res.status(400).json({ error: 'The brand has no master menu' });
+        }
+        
+        const cafe = await db.prepare('SELECT id, name, brand_id FROM cafes WHERE id = ?').get(req.body.cafeId);
+        if (!cafe) {
+            return res.status(404).json({ error: 'Cafe not found' });
+        }
+        if (cafe.brand_id) {
+            return res.status(400).json({ error: `${cafe.name} already belongs to a brand` });
+        }
+        
+        const plan = await db.transaction(async tx => {
+            await tx.prepare('UPDATE cafes SET brand_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(brand.id, cafe.id);
+            const applied = await syncBranch(tx, brand.master_cafe_id, cafe.id);
+            
+            // Log activity
+            await tx.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+                .run(req.user.id, cafe.id, 'add_branch', `Added ${cafe.name} to brand ${brand.name}`);
+            
+            return applied;
+        });
+        
+        eventBus.publish(eventBus.menuChannel(cafe.id), 'menu.changed', { reason: 'brand_synced' });
+        
+        res.json({ success: true, summary: plan.summary, brand: await getBrand(db, brand.id) });
+    } catch (error) {
+        console.error('Add branch error:', error);
+        res.status(500).json({ error: 'Failed to add branch' });
+    }
+});
+
+// Remove a branch. Its copies of the master menu become its own.
+router.delete('/:id/cafes/:cafeId', async (req, res) => {
+    try {
+        const { id, cafeId } = req.params;
+        const db = await getDb();
+        const brand = await getBrand(db, id);
+        
+        if (!brand) {
+            return res.status(404).json({ error: 'Brand not found' });
+        }
+        
+        const branch = brand.branches.find(cafe => cafe.id === parseInt(cafeId));
+        if (!branch) {
+            return res.status(404).json({ error: 'Not a branch of this brand' });
+        }
+        
+        await db.transaction(async tx => {
+            await unlinkBranch(tx, branch.id);
+            
+            // Log activity
+            await tx.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+                .run(req.user.id, branch.id, 'remove_branch', `Removed ${branch.name} from brand ${brand.name}`);
+        });
+        
+        res.json({ success: true, brand: await getBrand(db, brand.id) });
+    } catch (error) {
+        console.error('Remove branch error:', error);
+        res.status(500).json({ error: 'Failed to remove branch' });
+    }
+});
+
+module.exports = router;
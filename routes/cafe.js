@@ -7,9 +7,20 @@ const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const QRCode = require('qrcode');
+const archiver = require('archiver');
 const { getDb } = require('../database/init');
-const { authenticateToken, requireAdmin, requireCafeAccess } = require('../middleware/auth');
+const { authenticateToken, requireAdmin, requireCafeAccess, requireCafePermission } = require('../middleware/auth');
+const { getBaseUrl, buildMenuUrl, getCafeQRStyle, parseQRStyle, renderQRSVG, renderQRPNG, isScannable } = require('../services/qrGenerator');
+const { extractFromGoogleLink } = require('../services/googleExtractor');
+const { readBundle, planBundleImages, saveBundleImages, restoreSnapshot } = require('../services/menuExport');
+const { LAYOUTS, generatePrintPages, renderPrintPDF } = require('../services/qrPrint');
+const { renderPDF } = require('../services/menuPdf');
+const { parseReportOptions, getScanReport } = require('../services/scanAnalytics');
+const { parseEngagementOptions, getEngagementReport } = require('../services/menuEngagement');
+const { isValidTimezone } = require('../services/menuSchedule');
+const { cafeLanguages, parseLanguages } = require('../services/menuTranslations');
+const { assignOwner } = require('../services/cafeRoles');
+const { queueBranchPush, detachMaster } = require('../services/brandMenus');
 
 // Detect if running on Vercel (read-only filesystem)
 const isVercel = process.env.VERCEL === '1' || process.env.VERCEL_ENV;
@@ -43,6 +54,19 @@ const upload = multer({
     }
 });
 
+// Exported cafe bundles (see GET /api/menu/:cafeId/export?format=bundle)
+const bundleUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 50 * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        if (path.extname(file.originalname).toLowerCase() === '.zip') {
+            cb(null, true);
+        } else {
+            cb(new Error('Only ZIP bundles allowed'));
+        }
+    }
+});
+
 router.use(authenticateToken);
 
 // Get sample menu function
@@ -97,7 +121,7 @@ async function generateSlug(name) {
     return slug;
 }
 
-// Get all cafes (admin) or user's cafe (owner)
+// Get all cafes (admin) or the cafes the user belongs to
 router.get('/', async (req, res) => {
     try {
         const db = await getDb();
@@ -109,8 +133,11 @@ router.get('/', async (req, res) => {
             `).all();
         } else {
             cafes = await db.prepare(`
-                SELECT * FROM cafes WHERE id = ?
-            `).all(req.user.cafe_id);
+                SELECT c.*, m.role as member_role FROM cafes c
+                JOIN cafe_members m ON m.cafe_id = c.id
+                WHERE m.user_id = ?
+                ORDER BY m.created_at ASC, c.id ASC
+            `).all(req.user.id);
         }
         
         res.json(cafes);
@@ -137,6 +164,12 @@ router.get('/:id', requireCafeAccess, async (req, res) => {
     }
 });
 
+// Owner picked when an admin creates a cafe; owners may own several cafes
+async function findOwner(db, ownerId) {
+    if (!ownerId) return null;
+    return db.prepare("SELECT id, email FROM users WHERE id = ? AND role = 'owner'").get(ownerId);
+}
+
 // Create cafe - From Google Link
 router.post('/from-google', requireAdmin, async (req, res) => {
     try {
@@ -155,61 +188,69 @@ router.post('/from-google', requireAdmin, async (req, res) => {
         console.log('Extracted data:', JSON.stringify(extractedData, null, 2));
         
         const db = await getDb();
+        const owner = await findOwner(db, ownerId);
         const slug = await generateSlug(extractedData.name || 'New Cafe');
         
-        const result = db.prepare(`
-            INSERT INTO cafes (
-                name, slug, tagline, description, phone, email, address, website,
-                google_link, primary_color, secondary_color, accent_color, 
-                background_color, text_color, created_by
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `).run(
-            extractedData.name || 'New Cafe',
-            slug,
-            extractedData.tagline || '',
-            extractedData.description || '',
-            extractedData.phone || '',
-            extractedData.email || '',
-            extractedData.address || '',
-            extractedData.website || '',
-            url,
-            extractedData.theme?.primaryColor || '#2C5F2D',
-            extractedData.theme?.secondaryColor || '#97BC62',
-            extractedData.theme?.accentColor || '#DAA520',
-            extractedData.theme?.backgroundColor || '#FDFBF7',
-            extractedData.theme?.textColor || '#2D3436',
-            req.user.id
-        );
-        
-        const cafeId = result.lastInsertRowid;
-        
-        // Create default categories if extracted
-        if (extractedData.categories && extractedData.categories.length > 0) {
-            const insertCategory = db.prepare(`
-                INSERT INTO categories (cafe_id, name, icon, sort_order)
-                VALUES (?, ?, ?, ?)
-            `);
+        // Cafe, extracted menu and log are saved together
+        const cafeId = await db.transaction(async tx => {
+            const result = await tx.prepare(`
+                INSERT INTO cafes (
+                    name, slug, tagline, description, phone, email, address, website,
+                    google_link, primary_color, secondary_color, accent_color, 
+                    background_color, text_color, created_by
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(
+                extractedData.name || 'New Cafe',
+                slug,
+                extractedData.tagline || '',
+                extractedData.description || '',
+                extractedData.phone || '',
+                extractedData.email || '',
+                extractedData.address || '',
+                extractedData.website || '',
+                url,
+                extractedData.theme?.primaryColor || '#2C5F2D',
+                extractedData.theme?.secondaryColor || '#97BC62',
+                extractedData.theme?.accentColor || '#DAA520',
+                extractedData.theme?.backgroundColor || '#FDFBF7',
+                extractedData.theme?.textColor || '#2D3436',
+                req.user.id
+            );
             
-            const insertItem = db.prepare(`
-                INSERT INTO menu_items (cafe_id, category_id, name, description, price, sort_order)
-                VALUES (?, ?, ?, ?, ?, ?)
-            `);
+            const newCafeId = result.lastInsertRowid;
             
-            extractedData.categories.forEach((cat, catIndex) => {
-                const catResult = insertCategory.run(cafeId, cat.name, cat.icon || '🍽️', catIndex);
-                const categoryId = catResult.lastInsertRowid;
+            // Create default categories if extracted
+            if (extractedData.categories && extractedData.categories.length > 0) {
+                const insertCategory = tx.prepare(`
+                    INSERT INTO categories (cafe_id, name, icon, sort_order)
+                    VALUES (?, ?, ?, ?)
+                `);
+                
+                const insertItem = tx.prepare(`
+                    INSERT INTO menu_items (cafe_id, category_id, name, description, price, sort_order)
+                    VALUES (?, ?, ?, ?, ?, ?)
+                `);
                 
-                if (cat.items) {
-                    cat.items.forEach((item, itemIndex) => {
-                        insertItem.run(cafeId, categoryId, item.name, item.description || '', item.price, itemIndex);
-                    });
+                for (const [catIndex, cat] of extractedData.categories.entries()) {
+                    const catResult = await insertCategory.run(newCafeId, cat.name, cat.icon || '🍽️', catIndex);
+                    const categoryId = catResult.lastInsertRowid;
+                    
+                    for (const [itemIndex, item] of (cat.items || []).entries()) {
+                        await insertItem.run(newCafeId, categoryId, item.name, item.description || '', item.price, itemIndex);
+                    }
                 }
-            });
-        }
-        
-        // Log activity
-        db.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
-            .run(req.user.id, cafeId, 'create_cafe', `Created cafe from Google: ${extractedData.name}`);
+            }
+            
+            if (owner) {
+                await assignOwner(tx, owner.id, newCafeId, req.user.id);
+            }
+            
+            // Log activity
+            await tx.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+                .run(req.user.id, newCafeId, 'create_cafe', `Created cafe from Google: ${extractedData.name}`);
+            
+            return newCafeId;
+        });
         
         res.json({
             success: true,
@@ -224,26 +265,33 @@ router.post('/from-google', requireAdmin, async (req, res) => {
 // Create cafe - Manual
 router.post('/manual', requireAdmin, upload.single('logo'), async (req, res) => {
     try {
-        const { name, tagline, description, phone, email, address, currency } = req.body;
+        const { name, tagline, description, phone, email, address, currency, ownerId } = req.body;
         
         if (!name) {
             return res.status(400).json({ error: 'Cafe name required' });
         }
         
         const db = await getDb();
+        const owner = await findOwner(db, ownerId);
         const slug = await generateSlug(name);
         const logo = req.file ? `/uploads/logos/${req.file.filename}` : null;
         
-        const result = await db.prepare(`
-            INSERT INTO cafes (name, slug, tagline, description, phone, email, address, currency, logo, created_by)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `).run(name, slug, tagline || '', description || '', phone || '', email || '', address || '', currency || '₹', logo, req.user.id);
-        
-        const cafeId = result.lastInsertRowid;
-        
-        // Log activity
-        await db.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
-            .run(req.user.id, cafeId, 'create_cafe', `Created cafe manually: ${name}`);
+        const cafeId = await db.transaction(async tx => {
+            const result = await tx.prepare(`
+                INSERT INTO cafes (name, slug, tagline, description, phone, email, address, currency, logo, created_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(name, slug, tagline || '', description || '', phone || '', email || '', address || '', currency || '₹', logo, req.user.id);
+            
+            if (owner) {
+                await assignOwner(tx, owner.id, result.lastInsertRowid, req.user.id);
+            }
+            
+            // Log activity
+            await tx.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+                .run(req.user.id, result.lastInsertRowid, 'create_cafe', `Created cafe manually: ${name}`);
+            
+            return result.lastInsertRowid;
+        });
         
         res.json({
             success: true,
@@ -255,8 +303,59 @@ router.post('/manual', requireAdmin, upload.single('logo'), async (req, res) =>
     }
 });
 
+// Create cafe - From an exported bundle (clone to a new branch or environment)
+router.post('/import-bundle', requireAdmin, bundleUpload.single('bundle'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'Bundle file required' });
+        }
+        
+        let bundle;
+        try {
+            bundle = await readBundle(req.file.buffer);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        
+        const { snapshot, files } = bundle;
+        const name = req.body.name || snapshot.cafe.name;
+        const slug = await generateSlug(name);
+        
+        // Images need a writable uploads folder, on Vercel the cafe is created without them
+        const images = isVercel ? {} : planBundleImages(files);
+        
+        const db = await getDb();
+        
+        const { cafeId, stats } = await db.transaction(async tx => {
+            const restored = await restoreSnapshot(tx, { ...snapshot, cafe: { ...snapshot.cafe, name } }, {
+                slug,
+                userId: req.user.id,
+                images
+            });
+            
+            // Log activity
+            await tx.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+                .run(req.user.id, restored.cafeId, 'create_cafe', `Created cafe from bundle: ${name}`);
+            
+            return restored;
+        });
+        
+        // Only now, so a failed restore leaves no unreferenced files in uploads/
+        saveBundleImages(files, images);
+        
+        res.json({
+            success: true,
+            cafe: { id: cafeId, slug, name },
+            imported: { ...stats, images: Object.keys(images).length }
+        });
+    } catch (error) {
+        console.error('Import bundle error:', error);
+        res.status(500).json({ error: 'Failed to import cafe bundle' });
+    }
+});
+
 // Extract menu from Google link and add to existing cafe
-router.post('/:id/extract-menu', requireCafeAccess, async (req, res) => {
+router.post('/:id/extract-menu', requireCafePermission('menu'), async (req, res) => {
     try {
         const { id } = req.params;
         const { googleUrl } = req.body;
@@ -268,7 +367,7 @@ router.post('/:id/extract-menu', requireCafeAccess, async (req, res) => {
         const db = await getDb();
         
         // Check cafe exists
-        const cafe = db.prepare('SELECT * FROM cafes WHERE id = ?').get(id);
+        const cafe = await db.prepare('SELECT * FROM cafes WHERE id = ?').get(id);
         if (!cafe) {
             return res.status(404).json({ error: 'Cafe not found' });
         }
@@ -283,43 +382,43 @@ router.post('/:id/extract-menu', requireCafeAccess, async (req, res) => {
         let itemsAdded = 0;
         let categoriesAdded = 0;
         
-        // Add extracted categories and items
-        if (extractedData.categories && extractedData.categories.length > 0) {
-            const insertCategory = db.prepare(`
-                INSERT INTO categories (cafe_id, name, icon, sort_order)
-                VALUES (?, ?, ?, ?)
-            `);
-            
-            const insertItem = db.prepare(`
-                INSERT INTO menu_items (cafe_id, category_id, name, description, price, sort_order)
-                VALUES (?, ?, ?, ?, ?, ?)
-            `);
-            
-            // Get current max sort order for categories
-            const maxCatOrder = db.prepare('SELECT MAX(sort_order) as max FROM categories WHERE cafe_id = ?').get(id);
-            let catSortOrder = (maxCatOrder?.max || 0) + 1;
-            
-            extractedData.categories.forEach((cat) => {
-                const catResult = insertCategory.run(id, cat.name, cat.icon || '🍽️', catSortOrder++);
-                const categoryId = catResult.lastInsertRowid;
-                categoriesAdded++;
+        await db.transaction(async tx => {
+            // Add extracted categories and items
+            if (extractedData.categories && extractedData.categories.length > 0) {
+                const insertCategory = tx.prepare(`
+                    INSERT INTO categories (cafe_id, name, icon, sort_order)
+                    VALUES (?, ?, ?, ?)
+                `);
                 
-                if (cat.items && cat.items.length > 0) {
-                    cat.items.forEach((item, itemIndex) => {
-                        insertItem.run(id, categoryId, item.name, item.description || '', item.price || 0, itemIndex);
+                const insertItem = tx.prepare(`
+                    INSERT INTO menu_items (cafe_id, category_id, name, description, price, sort_order)
+                    VALUES (?, ?, ?, ?, ?, ?)
+                `);
+                
+                // Get current max sort order for categories
+                const maxCatOrder = await tx.prepare('SELECT MAX(sort_order) as max FROM categories WHERE cafe_id = ?').get(id);
+                let catSortOrder = (maxCatOrder?.max || 0) + 1;
+                
+                for (const cat of extractedData.categories) {
+                    const catResult = await insertCategory.run(id, cat.name, cat.icon || '🍽️', catSortOrder++);
+                    const categoryId = catResult.lastInsertRowid;
+                    categoriesAdded++;
+                    
+                    for (const [itemIndex, item] of (cat.items || []).entries()) {
+                        await insertItem.run(id, categoryId, item.name, item.description || '', item.price || 0, itemIndex);
                         itemsAdded++;
-                    });
+                    }
                 }
-            });
-        }
-        
-        // Update cafe's google_link
-        db.prepare('UPDATE cafes SET google_link = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
-            .run(googleUrl, id);
-        
-        // Log activity
-        db.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
-            .run(req.user.id, id, 'extract_menu', `Extracted ${itemsAdded} items from Google`);
+            }
+            
+            // Update cafe's google_link
+            await tx.prepare('UPDATE cafes SET google_link = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+                .run(googleUrl, id);
+            
+            // Log activity
+            await tx.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+                .run(req.user.id, id, 'extract_menu', `Extracted ${itemsAdded} items from Google`);
+        });
         
         res.json({
             success: true,
@@ -334,7 +433,7 @@ router.post('/:id/extract-menu', requireCafeAccess, async (req, res) => {
 });
 
 // Add sample menu template to cafe
-router.post('/:id/sample-menu', requireCafeAccess, async (req, res) => {
+router.post('/:id/sample-menu', requireCafePermission('menu'), async (req, res) => {
     try {
         const cafeId = parseInt(req.params.id);
         const db = await getDb();
@@ -351,37 +450,43 @@ router.post('/:id/sample-menu', requireCafeAccess, async (req, res) => {
         let itemsAdded = 0;
         let categoriesAdded = 0;
         
-        // Get current max sort order for categories
-        const maxCatOrder = await db.prepare('SELECT MAX(sort_order) as max FROM categories WHERE cafe_id = ?').get(cafeId);
-        let catSortOrder = (maxCatOrder?.max || 0) + 1;
-        
-        for (const cat of sampleMenu) {
-            // Insert category
-            const insertCatResult = await db.prepare(`
-                INSERT INTO categories (cafe_id, name, icon, sort_order)
-                VALUES (?, ?, ?, ?)
-            `).run(cafeId, cat.name, cat.icon || '🍽️', catSortOrder++);
-            
-            const categoryId = insertCatResult.lastInsertRowid;
-            console.log(`Inserted category "${cat.name}" with ID: ${categoryId} for cafe ${cafeId}`);
-            categoriesAdded++;
+        // All-or-nothing so a failure never leaves half a sample menu behind
+        await db.transaction(async tx => {
+            // Get current max sort order for categories
+            const maxCatOrder = await tx.prepare('SELECT MAX(sort_order) as max FROM categories WHERE cafe_id = ?').get(cafeId);
+            let catSortOrder = (maxCatOrder?.max || 0) + 1;
             
-            if (cat.items && cat.items.length > 0) {
-                for (let itemIndex = 0; itemIndex < cat.items.length; itemIndex++) {
-                    const item = cat.items[itemIndex];
-                    await db.prepare(`
-                        INSERT INTO menu_items (cafe_id, category_id, name, description, price, sort_order)
-                        VALUES (?, ?, ?, ?, ?, ?)
-                    `).run(cafeId, categoryId, item.name, item.description || '', item.price || 0, itemIndex);
-                    console.log(`  Inserted item "${item.name}" into category ${categoryId}`);
-                    itemsAdded++;
+            for (const cat of sampleMenu) {
+                // Insert category
+                const insertCatResult = await tx.prepare(`
+                    INSERT INTO categories (cafe_id, name, icon, sort_order)
+                    VALUES (?, ?, ?, ?)
+                `).run(cafeId, cat.name, cat.icon || '🍽️', catSortOrder++);
+                
+                const categoryId = insertCatResult.lastInsertRowid;
+                console.log(`Inserted category "${cat.name}" with ID: ${categoryId} for cafe ${cafeId}`);
+                categoriesAdded++;
+                
+                if (cat.items && cat.items.length > 0) {
+                    for (let itemIndex = 0; itemIndex < cat.items.length; itemIndex++) {
+                        const item = cat.items[itemIndex];
+                        await tx.prepare(`
+                            INSERT INTO menu_items (cafe_id, category_id, name, description, price, sort_order)
+                            VALUES (?, ?, ?, ?, ?, ?)
+                        `).run(cafeId, categoryId, item.name, item.description || '', item.price || 0, itemIndex);
+                        console.log(`  Inserted item "${item.name}" into category ${categoryId}`);
+                        itemsAdded++;
+                    }
                 }
             }
-        }
+            
+            // Log activity
+            await tx.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+                .run(req.user.id, cafeId, 'add_sample_menu', `Added sample menu with ${itemsAdded} items`);
+        });
         
-        // Log activity
-        await db.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
-            .run(req.user.id, cafeId, 'add_sample_menu', `Added sample menu with ${itemsAdded} items`);
+        // Branches follow their brand's master menu
+        queueBranchPush(cafeId);
         
         res.json({
             success: true,
@@ -396,7 +501,7 @@ router.post('/:id/sample-menu', requireCafeAccess, async (req, res) => {
 });
 
 // Update cafe
-router.put('/:id', requireCafeAccess, upload.single('logo'), async (req, res) => {
+router.put('/:id', requireCafePermission('settings'), upload.single('logo'), async (req, res) => {
     try {
         const { id } = req.params;
         const db = await getDb();
@@ -408,10 +513,26 @@ router.put('/:id', requireCafeAccess, upload.single('logo'), async (req, res) =>
         
         const {
             name, tagline, description, phone, email, address, website,
-            instagram, facebook, currency, is_published,
+            instagram, facebook, currency, is_published, timezone,
+            defaultLanguage, languages,
             primaryColor, secondaryColor, accentColor, backgroundColor, textColor
         } = req.body;
         
+        // Schedules are evaluated in this timezone (IANA name, e.g. Asia/Kolkata)
+        if (timezone && !isValidTimezone(timezone)) {
+            return res.status(400).json({ error: 'Unknown timezone' });
+        }
+        
+        // Menu languages: the columns hold the default, the rest are translations
+        const current = cafeLanguages(cafe);
+        const menuLanguages = parseLanguages(
+            defaultLanguage !== undefined ? defaultLanguage : current.defaultLanguage,
+            languages !== undefined ? languages : current.languages
+        );
+        if (menuLanguages.error) {
+            return res.status(400).json({ error: menuLanguages.error });
+        }
+        
         const logo = req.file ? `/uploads/logos/${req.file.filename}` : cafe.logo;
         
         // Handle is_published - convert to integer for SQLite
@@ -432,6 +553,9 @@ router.put('/:id', requireCafeAccess, upload.single('logo'), async (req, res) =>
                 instagram = ?,
                 facebook = ?,
                 currency = ?,
+                timezone = ?,
+                default_language = ?,
+                languages = ?,
                 logo = ?,
                 is_published = ?,
                 primary_color = ?,
@@ -452,6 +576,9 @@ router.put('/:id', requireCafeAccess, upload.single('logo'), async (req, res) =>
             instagram !== undefined ? instagram : cafe.instagram,
             facebook !== undefined ? facebook : cafe.facebook,
             currency || cafe.currency,
+            timezone !== undefined ? (timezone || null) : cafe.timezone,
+            menuLanguages.defaultLanguage,
+            menuLanguages.languages.join(','),
             logo,
             publishedValue,
             primaryColor || cafe.primary_color,
@@ -474,7 +601,7 @@ router.put('/:id', requireCafeAccess, upload.single('logo'), async (req, res) =>
 });
 
 // Publish/Unpublish cafe
-router.post('/:id/publish', requireCafeAccess, async (req, res) => {
+router.post('/:id/publish', requireCafePermission('publish'), async (req, res) => {
     try {
         const { id } = req.params;
         const { publish } = req.body;
@@ -492,7 +619,8 @@ router.post('/:id/publish', requireCafeAccess, async (req, res) => {
 });
 
 // Generate QR Code
-router.post('/:id/generate-qr', requireCafeAccess, async (req, res) => {
+// Optional style: moduleStyle, finderStyle, darkColor, gradientColor, lightColor, logo, logoSize
+router.post('/:id/generate-qr', requireCafePermission('settings'), async (req, res) => {
     try {
         const { id } = req.params;
         const db = await getDb();
@@ -502,31 +630,31 @@ router.post('/:id/generate-qr', requireCafeAccess, async (req, res) => {
             return res.status(404).json({ error: 'Cafe not found' });
         }
         
+        const { style, error } = parseQRStyle(req.body || {}, getCafeQRStyle(cafe));
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
         // Auto-detect base URL (Vercel, custom, or localhost)
-        const baseUrl = process.env.VERCEL_URL 
-            ? `https://${process.env.VERCEL_URL}` 
-            : (process.env.BASE_URL || `${req.protocol}://${req.get('host')}`);
-        
-        const menuUrl = cafe.deployed_url || `${baseUrl}/m/${cafe.slug}`;
-        
-        const qrOptions = {
-            width: 1024,
-            margin: 2,
-            color: {
-                dark: cafe.primary_color || '#000000',
-                light: '#FFFFFF'
-            },
-            errorCorrectionLevel: 'H'
-        };
+        const baseUrl = getBaseUrl(req);
+        
+        const menuUrl = cafe.deployed_url || buildMenuUrl(baseUrl, cafe.slug);
+        
+        const svg = renderQRSVG(menuUrl, cafe, style);
+        
+        // Refuse to save a code a phone could not read
+        if (!isScannable(svg, menuUrl)) {
+            return res.status(422).json({ error: 'This style produced a QR code that does not scan. Try a smaller logo, stronger colors or a simpler style.' });
+        }
+        
+        const png = renderQRPNG(svg);
         
         let qrPublicPath;
         
         // On Vercel: generate as data URL (no file system access)
         // Locally: save to file
         if (isVercel) {
-            // Return QR as data URL
-            const qrDataUrl = await QRCode.toDataURL(menuUrl, qrOptions);
-            qrPublicPath = qrDataUrl; // Store as data URL
+            qrPublicPath = `data:image/png;base64,${png.toString('base64')}`;
         } else {
             // Ensure directory exists
             const qrDir = path.join(__dirname, '../uploads/qrcodes');
@@ -534,22 +662,21 @@ router.post('/:id/generate-qr', requireCafeAccess, async (req, res) => {
                 fs.mkdirSync(qrDir, { recursive: true });
             }
             
-            const qrFilename = `${cafe.slug}-qr.png`;
-            const qrPath = path.join(qrDir, qrFilename);
-            
-            // Generate QR code file
-            await QRCode.toFile(qrPath, menuUrl, qrOptions);
-            qrPublicPath = `/uploads/qrcodes/${qrFilename}`;
+            // PNG for the dashboard plus the vector original
+            fs.writeFileSync(path.join(qrDir, `${cafe.slug}-qr.png`), png);
+            fs.writeFileSync(path.join(qrDir, `${cafe.slug}-qr.svg`), svg);
+            qrPublicPath = `/uploads/qrcodes/${cafe.slug}-qr.png?v=${Date.now()}`;
         }
         
-        // Update cafe with QR path
-        await db.prepare('UPDATE cafes SET qr_code_path = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
-            .run(qrPublicPath, id);
+        // Update cafe with QR path and style (reused for table codes and downloads)
+        await db.prepare('UPDATE cafes SET qr_code_path = ?, qr_style = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+            .run(qrPublicPath, JSON.stringify(style), id);
         
         res.json({
             success: true,
             qrCode: qrPublicPath,
-            menuUrl
+            menuUrl,
+            style
         });
     } catch (error) {
         console.error('Generate QR error:', error);
@@ -557,6 +684,183 @@ router.post('/:id/generate-qr', requireCafeAccess, async (req, res) => {
     }
 });
 
+// Download the cafe QR code in its saved style (?format=svg|pdf|png)
+router.get('/:cafeId/qr/download', requireCafeAccess, async (req, res) => {
+    try {
+        const { cafeId } = req.params;
+        const { format = 'svg' } = req.query;
+        
+        if (!['svg', 'pdf', 'png'].includes(format)) {
+            return res.status(400).json({ error: 'Format must be svg, pdf or png' });
+        }
+        
+        const db = await getDb();
+        
+        const cafe = await db.prepare('SELECT * FROM cafes WHERE id = ?').get(cafeId);
+        if (!cafe) {
+            return res.status(404).json({ error: 'Cafe not found' });
+        }
+        
+        const menuUrl = cafe.deployed_url || buildMenuUrl(getBaseUrl(req), cafe.slug);
+        const svg = renderQRSVG(menuUrl, cafe, getCafeQRStyle(cafe));
+        
+        res.attachment(`${cafe.slug}-qr.${format}`);
+        
+        if (format === 'png') {
+            res.type('image/png');
+            return res.send(renderQRPNG(svg, 2048));
+        }
+        
+        if (format === 'pdf') {
+            // 80mm square page, the code is vector all the way through
+            const pdf = await renderPDF(`<!DOCTYPE html>
+<html>
+<head>
+    <style>
+        @page { size: 80mm 80mm; margin: 0; }
+        body { margin: 0; }
+        svg { display: block; width: 80mm; height: 80mm; }
+    </style>
+</head>
+<body>${svg}</body>
+</html>`);
+            res.type('application/pdf');
+            return res.send(Buffer.from(pdf));
+        }
+        
+        res.type('image/svg+xml');
+        res.send(svg);
+    } catch (error) {
+        console.error('Download QR error:', error);
+        res.status(500).json({ error: 'Failed to download QR code' });
+    }
+});
+
+// Print-ready QR artifacts: posters, table tents and sticker sheets
+// ?layout=poster|poster-minimal|table-tent|stickers&format=pdf|svg&cta=...&tables=all|<tableId>
+router.get('/:cafeId/qr-print', requireCafeAccess, async (req, res) => {
+    try {
+        const { cafeId } = req.params;
+        const { layout = 'poster', format = 'pdf', cta, tables } = req.query;
+        
+        if (!LAYOUTS[layout]) {
+            return res.status(400).json({ error: `Layout must be one of: ${Object.keys(LAYOUTS).join(', ')}` });
+        }
+        
+        if (!['pdf', 'svg'].includes(format)) {
+            return res.status(400).json({ error: 'Format must be pdf or svg' });
+        }
+        
+        if (cta && cta.length > 60) {
+            return res.status(400).json({ error: 'Call-to-action must be 60 characters or less' });
+        }
+        
+        const db = await getDb();
+        
+        const cafe = await db.prepare('SELECT * FROM cafes WHERE id = ?').get(cafeId);
+        if (!cafe) {
+            return res.status(404).json({ error: 'Cafe not found' });
+        }
+        
+        const baseUrl = getBaseUrl(req);
+        let entries;
+        
+        // One QR per table (labelled with the table name) or the cafe's own QR
+        if (tables) {
+            const rows = tables === 'all'
+                ? await db.prepare('SELECT * FROM cafe_tables WHERE cafe_id = ? AND is_active = 1 ORDER BY sort_order ASC, id ASC').all(cafeId)
+                : await db.prepare('SELECT * FROM cafe_tables WHERE id = ? AND cafe_id = ?').all(tables, cafeId);
+            
+            if (rows.length === 0) {
+                return res.status(404).json({ error: 'No tables found' });
+            }
+            
+            entries = rows.map(table => ({
+                url: buildMenuUrl(baseUrl, cafe.slug, table.token),
+                label: table.name
+            }));
+        } else {
+            entries = [{ url: cafe.deployed_url || buildMenuUrl(baseUrl, cafe.slug), label: null }];
+        }
+        
+        const result = generatePrintPages(cafe, entries, { layout, cta });
+        const fileName = `${cafe.slug}-${layout}`;
+        
+        if (format === 'pdf') {
+            const pdf = await renderPrintPDF(result);
+            res.attachment(`${fileName}.pdf`);
+            res.type('application/pdf');
+            return res.send(Buffer.from(pdf));
+        }
+        
+        if (result.pages.length === 1) {
+            res.attachment(`${fileName}.svg`);
+            res.type('image/svg+xml');
+            return res.send(result.pages[0]);
+        }
+        
+        // Several pages of SVG go out as a ZIP
+        res.attachment(`${fileName}.zip`);
+        
+        const archive = archiver('zip', { zlib: { level: 9 } });
+        archive.pipe(res);
+        result.pages.forEach((page, index) => archive.append(page, { name: `${fileName}-${index + 1}.svg` }));
+        archive.finalize();
+    } catch (error) {
+        console.error('QR print error:', error);
+        res.status(500).json({ error: 'Failed to generate printable QR' });
+    }
+});
+
+// Scan analytics from the /m/:slug short link
+// ?days=30&interval=day|hour&tzOffset=<minutes>
+router.get('/:cafeId/analytics/scans', requireCafePermission('analytics'), async (req, res) => {
+    try {
+        const { cafeId } = req.params;
+        
+        const options = parseReportOptions(req.query);
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
+        
+        const db = await getDb();
+        
+        const cafe = await db.prepare('SELECT id FROM cafes WHERE id = ?').get(cafeId);
+        if (!cafe) {
+            return res.status(404).json({ error: 'Cafe not found' });
+        }
+        
+        res.json(await getScanReport(db, cafe.id, options));
+    } catch (error) {
+        console.error('Scan analytics error:', error);
+        res.status(500).json({ error: 'Failed to load scan analytics' });
+    }
+});
+
+// Menu engagement: items ranked by views next to availability and bestseller flag (?days=30)
+router.get('/:cafeId/analytics/menu', requireCafePermission('analytics'), async (req, res) => {
+    try {
+        const { cafeId } = req.params;
+        
+        const options = parseEngagementOptions(req.query);
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
+        
+        const db = await getDb();
+        
+        const cafe = await db.prepare('SELECT id FROM cafes WHERE id = ?').get(cafeId);
+        if (!cafe) {
+            return res.status(404).json({ error: 'Cafe not found' });
+        }
+        
+        res.json(await getEngagementReport(db, cafe.id, options));
+    } catch (error) {
+        console.error('Menu analytics error:', error);
+        res.status(500).json({ error: 'Failed to load menu analytics' });
+    }
+});
+
 // Delete cafe (admin only)
 router.delete('/:id', requireAdmin, async (req, res) => {
     try {
@@ -566,17 +870,38 @@ router.delete('/:id', requireAdmin, async (req, res) => {
         // Get cafe for logging
         const cafe = await db.prepare('SELECT name FROM cafes WHERE id = ?').get(id);
         
-        // Delete all related data (cascade)
-        await db.prepare('DELETE FROM menu_items WHERE cafe_id = ?').run(id);
-        await db.prepare('DELETE FROM categories WHERE cafe_id = ?').run(id);
-        await db.prepare('UPDATE users SET cafe_id = NULL WHERE cafe_id = ?').run(id);
-        await db.prepare('DELETE FROM cafes WHERE id = ?').run(id);
-        
-        // Log activity
-        if (cafe) {
-            await db.prepare('INSERT INTO activity_log (user_id, action, details) VALUES (?, ?, ?)')
-                .run(req.user.id, 'delete_cafe', `Deleted cafe: ${cafe.name}`);
-        }
+        // Delete all related data (cascade) in one transaction so nothing is orphaned
+        await db.transaction(async tx => {
+            await tx.prepare('DELETE FROM item_modifier_groups WHERE item_id IN (SELECT id FROM menu_items WHERE cafe_id = ?)').run(id);
+            await tx.prepare('DELETE FROM item_variants WHERE cafe_id = ?').run(id);
+            await tx.prepare('DELETE FROM modifier_options WHERE group_id IN (SELECT id FROM modifier_groups WHERE cafe_id = ?)').run(id);
+            await tx.prepare('DELETE FROM modifier_groups WHERE cafe_id = ?').run(id);
+            await tx.prepare('DELETE FROM menu_items WHERE cafe_id = ?').run(id);
+            await tx.prepare('DELETE FROM categories WHERE cafe_id = ?').run(id);
+            await tx.prepare('DELETE FROM order_items WHERE order_id IN (SELECT id FROM orders WHERE cafe_id = ?)').run(id);
+            await tx.prepare('DELETE FROM orders WHERE cafe_id = ?').run(id);
+            await tx.prepare('DELETE FROM cafe_tables WHERE cafe_id = ?').run(id);
+            await tx.prepare('DELETE FROM scan_events WHERE cafe_id = ?').run(id);
+            await tx.prepare('DELETE FROM menu_engagement_daily WHERE cafe_id = ?').run(id);
+            await tx.prepare('DELETE FROM price_rules WHERE cafe_id = ?').run(id);
+            await tx.prepare('DELETE FROM translations WHERE cafe_id = ?').run(id);
+            await tx.prepare('DELETE FROM cafe_members WHERE cafe_id = ?').run(id);
+            await detachMaster(tx, id);
+            // Members of other cafes continue in one of those
+            await tx.prepare(`
+                UPDATE users SET cafe_id = (
+                    SELECT m.cafe_id FROM cafe_members m WHERE m.user_id = users.id
+                    ORDER BY m.created_at ASC LIMIT 1
+                ) WHERE cafe_id = ?
+            `).run(id);
+            await tx.prepare('DELETE FROM cafes WHERE id = ?').run(id);
+            
+            // Log activity
+            if (cafe) {
+                await tx.prepare('INSERT INTO activity_log (user_id, action, details) VALUES (?, ?, ?)')
+                    .run(req.user.id, 'delete_cafe', `Deleted cafe: ${cafe.name}`);
+            }
+        });
         
         res.json({ success: true, message: 'Cafe deleted' });
     } catch (error) {
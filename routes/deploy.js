@@ -8,16 +8,40 @@ const fs = require('fs');
 const path = require('path');
 const archiver = require('archiver');
 const { getDb } = require('../database/init');
-const { authenticateToken, requireCafeAccess, requireAdmin } = require('../middleware/auth');
-const { generateMenuHTML } = require('../services/menuGenerator');
+const { authenticateToken, requireCafeAccess, requireCafePermission, requireAdmin } = require('../middleware/auth');
+const menuGenerator = require('../services/menuGenerator');
+const { attachItemOptions } = require('../services/menuOptions');
+const { parsePrintOptions, generateMenuPDF } = require('../services/menuPdf');
+const { getPriceRules, hasTimedRules } = require('../services/priceRules');
+const { normalizeLanguage } = require('../services/menuTranslations');
 
 // Detect if running on Vercel (read-only filesystem)
 const isVercel = process.env.VERCEL === '1' || process.env.VERCEL_ENV;
 
 router.use(authenticateToken);
 
+// Active categories with their available items, sizes and add-ons
+async function getPublishedMenu(db, cafeId) {
+    const categories = await db.prepare(`
+        SELECT * FROM categories WHERE cafe_id = ? AND is_active = 1 ORDER BY sort_order
+    `).all(cafeId);
+    
+    const items = await attachItemOptions(db, cafeId, await db.prepare(`
+        SELECT * FROM menu_items WHERE cafe_id = ? AND is_available = 1 AND is_hidden = 0 ORDER BY sort_order
+    `).all(cafeId), { availableOnly: true });
+    
+    return categories.map(cat => ({
+        ...cat,
+        items: items.filter(item => item.category_id === cat.id)
+    }));
+}
+
+function hasSchedules(categories) {
+    return categories.some(cat => cat.schedule || cat.items.some(item => item.schedule));
+}
+
 // Generate static files for a cafe
-router.post('/:cafeId/generate', requireCafeAccess, async (req, res) => {
+router.post('/:cafeId/generate', requireCafePermission('publish'), async (req, res) => {
     try {
         const { cafeId } = req.params;
         const db = await getDb();
@@ -28,17 +52,15 @@ router.post('/:cafeId/generate', requireCafeAccess, async (req, res) => {
             return res.status(404).json({ error: 'Cafe not found' });
         }
         
-        // Get categories and items
-        const categories = await db.prepare(`
-            SELECT * FROM categories WHERE cafe_id = ? AND is_active = 1 ORDER BY sort_order
-        `).all(cafeId);
-        
-        const items = await db.prepare(`
-            SELECT * FROM menu_items WHERE cafe_id = ? AND is_available = 1 ORDER BY sort_order
-        `).all(cafeId);
+        // Get categories, items and promotions
+        const categoriesWithItems = await getPublishedMenu(db, cafeId);
+        const priceRules = await getPriceRules(db, cafeId);
         
-        // Generate HTML
-        const html = generateMenuHTML(cafe, categories, items);
+        // Generate HTML, one page per menu language
+        const pages = menuGenerator.generateLanguagePages(cafe, categoriesWithItems, {
+            priceRules,
+            translations: await menuGenerator.loadTranslations(db, cafe)
+        });
         
         // Determine base URL
         const baseUrl = process.env.VERCEL_URL 
@@ -69,8 +91,16 @@ router.post('/:cafeId/generate', requireCafeAccess, async (req, res) => {
             fs.mkdirSync(deployDir, { recursive: true });
         }
         
-        // Write HTML file
-        fs.writeFileSync(path.join(deployDir, 'index.html'), html);
+        // Write HTML files (index.html, fr/index.html, ...) and drop
+        // pages of languages the menu no longer offers
+        pages.forEach(page => {
+            fs.mkdirSync(path.dirname(path.join(deployDir, page.file)), { recursive: true });
+            fs.writeFileSync(path.join(deployDir, page.file), page.html);
+        });
+        fs.readdirSync(deployDir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && normalizeLanguage(entry.name) === entry.name)
+            .filter(entry => !pages.some(page => page.language === entry.name))
+            .forEach(entry => fs.rmSync(path.join(deployDir, entry.name), { recursive: true, force: true }));
         
         // Copy any uploaded images
         const assetsDir = path.join(deployDir, 'assets');
@@ -81,7 +111,7 @@ router.post('/:cafeId/generate', requireCafeAccess, async (req, res) => {
         // Update cafe
         const localUrl = `${baseUrl}/deployed/${cafe.slug}`;
         
-        await db.prepare('UPDATE cafes SET is_deployed = 1, deployed_url = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+        await db.prepare('UPDATE cafes SET is_deployed = 1, deployed_url = ?, last_generated = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
             .run(localUrl, cafeId);
         
         // Log activity
@@ -91,7 +121,10 @@ router.post('/:cafeId/generate', requireCafeAccess, async (req, res) => {
         res.json({
             success: true,
             deployedUrl: localUrl,
-            previewUrl: `/m/${cafe.slug}`
+            previewUrl: `/m/${cafe.slug}`,
+            note: hasSchedules(categoriesWithItems) || hasTimedRules(priceRules)
+                ? 'Scheduled categories, items and promotions are shown as of now in the static files. Share the live menu link to keep them up to date.'
+                : undefined
         });
     } catch (error) {
         console.error('Generate deploy error:', error);
@@ -138,13 +171,43 @@ router.get('/:cafeId/download', requireCafeAccess, async (req, res) => {
     }
 });
 
+// Download printable PDF menu (?size=a4|a5|letter&columns=1|2&images=true|false)
+router.get('/:cafeId/pdf', requireCafeAccess, async (req, res) => {
+    try {
+        const { cafeId } = req.params;
+        
+        const print = parsePrintOptions(req.query);
+        if (print.error) {
+            return res.status(400).json({ error: print.error });
+        }
+        
+        const db = await getDb();
+        
+        const cafe = await db.prepare('SELECT * FROM cafes WHERE id = ?').get(cafeId);
+        if (!cafe) {
+            return res.status(404).json({ error: 'Cafe not found' });
+        }
+        
+        const categoriesWithItems = await getPublishedMenu(db, cafeId);
+        
+        const pdf = await generateMenuPDF(cafe, categoriesWithItems, print);
+        
+        res.attachment(`${cafe.slug}-menu-${print.pageSize.toLowerCase()}.pdf`);
+        res.type('application/pdf');
+        res.send(Buffer.from(pdf));
+    } catch (error) {
+        console.error('PDF error:', error);
+        res.status(500).json({ error: 'Failed to generate PDF menu' });
+    }
+});
+
 // Get deployment status
 router.get('/:cafeId/status', requireCafeAccess, async (req, res) => {
     try {
         const { cafeId } = req.params;
         const db = await getDb();
         
-        const cafe = await db.prepare('SELECT is_deployed, deployed_url, slug FROM cafes WHERE id = ?').get(cafeId);
+        const cafe = await db.prepare('SELECT is_deployed, deployed_url, last_generated, slug FROM cafes WHERE id = ?').get(cafeId);
         
         if (!cafe) {
             return res.status(404).json({ error: 'Cafe not found' });
@@ -162,6 +225,7 @@ router.get('/:cafeId/status', requireCafeAccess, async (req, res) => {
             deployedUrl: cafe.deployed_url,
             previewUrl: `/m/${cafe.slug}`,
             filesGenerated: isVercel ? true : filesExist,
+            lastGenerated: cafe.last_generated,
             mode: isVercel ? 'cloud' : 'local'
         });
     } catch (error) {
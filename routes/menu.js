@@ -7,7 +7,18 @@ const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const { getDb } = require('../database/init');
-const { authenticateToken, requireCafeAccess } = require('../middleware/auth');
+const { authenticateToken, requireCafeAccess, requireCafePermission } = require('../middleware/auth');
+const eventBus = require('../services/eventBus');
+const { attachItemOptions, getModifierGroups } = require('../services/menuOptions');
+const { readMenuRows, planImport, applyImport } = require('../services/menuImport');
+const { buildSnapshot, snapshotToCSV, writeBundle } = require('../services/menuExport');
+const { parseSchedule } = require('../services/menuSchedule');
+const { parsePriceRule, getPriceRules } = require('../services/priceRules');
+const { ALLERGENS, parseAllergens } = require('../services/allergens');
+const { parseNutrition, parseIngredients, readNutrition, readIngredients } = require('../services/nutrition');
+const { cafeLanguages, normalizeLanguage, getTranslationSheet, summarizeSheet, saveTranslations } = require('../services/menuTranslations');
+const { FORMATS, detectFormat, formatTranslations, parseTranslationFile, planTranslationImport } = require('../services/translationFiles');
+const { readOverrides, overrideField, describeBranchItem, getCafeBrand, planBranchSync, syncBranch, pushToBranches, queueBranchPush } = require('../services/brandMenus');
 
 // Detect if running on Vercel (read-only filesystem)
 const isVercel = process.env.VERCEL === '1' || process.env.VERCEL_ENV;
@@ -36,8 +47,68 @@ const upload = multer({
     }
 });
 
+// Spreadsheet uploads for menu import are parsed in memory
+const csvUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 2 * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        if (/\.(csv|txt)$/i.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only CSV files allowed (in Excel use Save As > CSV)'));
+        }
+    }
+});
+
+// Translation files (XLIFF, PO, CSV) are parsed in memory too
+const translationUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 2 * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        if (/\.(xlf|xliff|po|pot|csv|txt)$/i.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only XLIFF, PO or CSV files allowed'));
+        }
+    }
+});
+
 router.use(authenticateToken);
 
+// Notify guests currently viewing the menu
+function publishMenuEvent(cafeId, type, data) {
+    eventBus.publish(eventBus.menuChannel(cafeId), type, data);
+    
+    // Branches follow every change of their brand's master menu
+    queueBranchPush(cafeId);
+}
+
+// Categories and items copied from a brand's master menu are changed in the
+// master; branches override price, availability and visibility instead
+function rejectMasterCopies(table, param) {
+    return async (req, res, next) => {
+        try {
+            const db = await getDb();
+            const row = await db.prepare(`SELECT master_id FROM ${table} WHERE id = ? AND cafe_id = ?`).get(req.params[param], req.params.cafeId);
+            if (row && row.master_id) {
+                return res.status(400).json({ error: 'This comes from the brand menu. Change it in the master menu, or override price, availability or visibility here' });
+            }
+            next();
+        } catch (error) {
+            console.error('Brand menu check error:', error);
+            res.status(500).json({ error: 'Failed to check menu entry' });
+        }
+    };
+}
+
+const rejectMasterCategory = rejectMasterCopies('categories', 'categoryId');
+const rejectMasterItem = rejectMasterCopies('menu_items', 'itemId');
+
+// Regulated allergens that items can declare (custom ones are free text)
+router.get('/allergens', (req, res) => {
+    res.json({ allergens: ALLERGENS });
+});
+
 // ===============================
 // CATEGORIES
 // ===============================
@@ -52,16 +123,17 @@ router.get('/:cafeId/full', requireCafeAccess, async (req, res) => {
             ORDER BY sort_order ASC, id ASC
         `).all(req.params.cafeId);
         
-        // Get items for each category
-        const fullMenu = [];
-        for (const cat of categories) {
-            const items = await db.prepare(`
-                SELECT * FROM menu_items
-                WHERE category_id = ?
-                ORDER BY sort_order ASC, id ASC
-            `).all(cat.id);
-            fullMenu.push({ ...cat, items });
-        }
+        // Get items with their variants and modifier groups
+        const items = await attachItemOptions(db, req.params.cafeId, await db.prepare(`
+            SELECT * FROM menu_items
+            WHERE cafe_id = ?
+            ORDER BY sort_order ASC, id ASC
+        `).all(req.params.cafeId));
+        
+        const fullMenu = categories.map(cat => ({
+            ...cat,
+            items: items.filter(item => item.category_id === cat.id).map(describeBranchItem)
+        }));
         
         res.json({ categories: fullMenu });
     } catch (error) {
@@ -88,7 +160,7 @@ router.get('/:cafeId/categories', requireCafeAccess, async (req, res) => {
 });
 
 // Create category
-router.post('/:cafeId/categories', requireCafeAccess, async (req, res) => {
+router.post('/:cafeId/categories', requireCafePermission('menu'), async (req, res) => {
     try {
         const { name, icon, description } = req.body;
         const { cafeId } = req.params;
@@ -112,6 +184,8 @@ router.post('/:cafeId/categories', requireCafeAccess, async (req, res) => {
         await db.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
             .run(req.user.id, cafeId, 'add_category', `Added category: ${name}`);
         
+        publishMenuEvent(cafeId, 'menu.changed', { reason: 'category_added' });
+        
         res.json({
             success: true,
             category: {
@@ -129,7 +203,7 @@ router.post('/:cafeId/categories', requireCafeAccess, async (req, res) => {
 });
 
 // Update category
-router.put('/:cafeId/categories/:categoryId', requireCafeAccess, async (req, res) => {
+router.put('/:cafeId/categories/:categoryId', requireCafePermission('menu'), rejectMasterCategory, async (req, res) => {
     try {
         const { categoryId, cafeId } = req.params;
         const { name, icon, description, isActive, sortOrder } = req.body;
@@ -146,6 +220,17 @@ router.put('/:cafeId/categories/:categoryId', requireCafeAccess, async (req, res
             WHERE id = ? AND cafe_id = ?
         `).run(name, icon, description, isActive, sortOrder, categoryId, cafeId);
         
+        const category = await db.prepare('SELECT id, name, icon, description, is_active FROM categories WHERE id = ? AND cafe_id = ?').get(categoryId, cafeId);
+        if (category) {
+            publishMenuEvent(cafeId, 'category.updated', {
+                categoryId: category.id,
+                name: category.name,
+                icon: category.icon,
+                description: category.description,
+                isActive: !!category.is_active
+            });
+        }
+        
         res.json({ success: true, message: 'Category updated' });
     } catch (error) {
         console.error('Update category error:', error);
@@ -153,18 +238,54 @@ router.put('/:cafeId/categories/:categoryId', requireCafeAccess, async (req, res
     }
 });
 
+// Set or clear a category's schedule (see services/menuSchedule)
+router.put('/:cafeId/categories/:categoryId/schedule', requireCafePermission('menu'), rejectMasterCategory, async (req, res) => {
+    try {
+        const { cafeId, categoryId } = req.params;
+        
+        const parsed = parseSchedule(req.body.schedule);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+        
+        const db = await getDb();
+        
+        const category = await db.prepare('SELECT id, name FROM categories WHERE id = ? AND cafe_id = ?').get(categoryId, cafeId);
+        if (!category) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+        
+        await db.prepare('UPDATE categories SET schedule = ? WHERE id = ?')
+            .run(parsed.schedule ? JSON.stringify(parsed.schedule) : null, category.id);
+        
+        await db.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+            .run(req.user.id, cafeId, 'update_schedule', `${parsed.schedule ? 'Scheduled' : 'Unscheduled'} category: ${category.name}`);
+        
+        publishMenuEvent(cafeId, 'menu.changed', { reason: 'schedule_updated' });
+        
+        res.json({ success: true, schedule: parsed.schedule });
+    } catch (error) {
+        console.error('Update category schedule error:', error);
+        res.status(500).json({ error: 'Failed to update schedule' });
+    }
+});
+
 // Reorder categories
-router.post('/:cafeId/categories/reorder', requireCafeAccess, async (req, res) => {
+router.post('/:cafeId/categories/reorder', requireCafePermission('menu'), async (req, res) => {
     try {
         const { cafeId } = req.params;
         const { order } = req.body; // Array of category IDs in new order
         
         const db = await getDb();
         
-        for (let index = 0; index < order.length; index++) {
-            await db.prepare('UPDATE categories SET sort_order = ? WHERE id = ? AND cafe_id = ?')
-                .run(index, order[index], cafeId);
-        }
+        await db.transaction(async tx => {
+            for (let index = 0; index < order.length; index++) {
+                await tx.prepare('UPDATE categories SET sort_order = ? WHERE id = ? AND cafe_id = ?')
+                    .run(index, order[index], cafeId);
+            }
+        });
+        
+        publishMenuEvent(cafeId, 'menu.changed', { reason: 'categories_reordered' });
         
         res.json({ success: true, message: 'Categories reordered' });
     } catch (error) {
@@ -174,25 +295,38 @@ router.post('/:cafeId/categories/reorder', requireCafeAccess, async (req, res) =
 });
 
 // Delete category
-router.delete('/:cafeId/categories/:categoryId', requireCafeAccess, async (req, res) => {
+router.delete('/:cafeId/categories/:categoryId', requireCafePermission('menu'), rejectMasterCategory, async (req, res) => {
     try {
         const { categoryId, cafeId } = req.params;
         const db = await getDb();
         
-        // Get category for logging
-        const category = await db.prepare('SELECT name FROM categories WHERE id = ?').get(categoryId);
-        
-        // Delete items in category first
-        await db.prepare('DELETE FROM menu_items WHERE category_id = ?').run(categoryId);
-        
-        // Delete category
-        await db.prepare('DELETE FROM categories WHERE id = ? AND cafe_id = ?').run(categoryId, cafeId);
+        const category = await db.prepare('SELECT name FROM categories WHERE id = ? AND cafe_id = ?').get(categoryId, cafeId);
+        if (!category) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
         
-        // Log activity
-        if (category) {
-            await db.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+        await db.transaction(async tx => {
+            // Delete items in category first (with their variants and modifier links)
+            const items = 'SELECT id FROM menu_items WHERE category_id = ? AND cafe_id = ?';
+            await tx.prepare(`DELETE FROM item_variants WHERE cafe_id = ? AND item_id IN (${items})`).run(cafeId, categoryId, cafeId);
+            await tx.prepare(`DELETE FROM item_modifier_groups WHERE item_id IN (${items})`).run(categoryId, cafeId);
+            await tx.prepare(`DELETE FROM price_rules WHERE cafe_id = ? AND scope = 'item' AND target_id IN (${items})`)
+                .run(cafeId, categoryId, cafeId);
+            await tx.prepare(`DELETE FROM translations WHERE cafe_id = ? AND entity_type = 'item' AND entity_id IN (${items})`)
+                .run(cafeId, categoryId, cafeId);
+            await tx.prepare('DELETE FROM menu_items WHERE category_id = ? AND cafe_id = ?').run(categoryId, cafeId);
+            
+            // Delete category (and promotions for it)
+            await tx.prepare("DELETE FROM price_rules WHERE cafe_id = ? AND scope = 'category' AND target_id = ?").run(cafeId, categoryId);
+            await tx.prepare("DELETE FROM translations WHERE cafe_id = ? AND entity_type = 'category' AND entity_id = ?").run(cafeId, categoryId);
+            await tx.prepare('DELETE FROM categories WHERE id = ? AND cafe_id = ?').run(categoryId, cafeId);
+            
+            // Log activity
+            await tx.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
                 .run(req.user.id, cafeId, 'delete_category', `Deleted category: ${category.name}`);
-        }
+        });
+        
+        publishMenuEvent(cafeId, 'menu.changed', { reason: 'category_deleted' });
         
         res.json({ success: true, message: 'Category deleted' });
     } catch (error) {
@@ -217,7 +351,7 @@ router.get('/:cafeId/items', requireCafeAccess, async (req, res) => {
             ORDER BY c.sort_order ASC, mi.sort_order ASC
         `).all(req.params.cafeId);
         
-        res.json(items);
+        res.json(items.map(describeBranchItem));
     } catch (error) {
         console.error('Get items error:', error);
         res.status(500).json({ error: 'Failed to fetch items' });
@@ -234,7 +368,7 @@ router.get('/:cafeId/categories/:categoryId/items', requireCafeAccess, async (re
             ORDER BY sort_order ASC
         `).all(req.params.cafeId, req.params.categoryId);
         
-        res.json(items);
+        res.json(items.map(describeBranchItem));
     } catch (error) {
         console.error('Get items error:', error);
         res.status(500).json({ error: 'Failed to fetch items' });
@@ -256,7 +390,12 @@ router.get('/:cafeId/items/:itemId', requireCafeAccess, async (req, res) => {
             return res.status(404).json({ error: 'Item not found' });
         }
         
-        res.json(item);
+        const [withOptions] = await attachItemOptions(db, cafeId, [item]);
+        
+        res.json({
+            ...describeBranchItem(withOptions),
+            modifier_group_ids: withOptions.modifier_groups.map(group => group.id)
+        });
     } catch (error) {
         console.error('Get item error:', error);
         res.status(500).json({ error: 'Failed to fetch item' });
@@ -264,7 +403,7 @@ router.get('/:cafeId/items/:itemId', requireCafeAccess, async (req, res) => {
 });
 
 // Create item in category (simplified)
-router.post('/:cafeId/categories/:categoryId/items', requireCafeAccess, async (req, res) => {
+router.post('/:cafeId/categories/:categoryId/items', requireCafePermission('menu'), async (req, res) => {
     try {
         const { cafeId, categoryId } = req.params;
         const { name, description, price, is_vegetarian, is_spicy, is_popular } = req.body;
@@ -295,6 +434,8 @@ router.post('/:cafeId/categories/:categoryId/items', requireCafeAccess, async (r
         await db.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
             .run(req.user.id, cafeId, 'add_item', `Added item: ${name}`);
         
+        publishMenuEvent(cafeId, 'menu.changed', { reason: 'item_added' });
+        
         res.json({
             success: true,
             item: { id: result.lastInsertRowid, name }
@@ -306,7 +447,7 @@ router.post('/:cafeId/categories/:categoryId/items', requireCafeAccess, async (r
 });
 
 // Create item
-router.post('/:cafeId/items', requireCafeAccess, upload.single('image'), async (req, res) => {
+router.post('/:cafeId/items', requireCafePermission('menu'), upload.single('image'), async (req, res) => {
     try {
         const { cafeId } = req.params;
         const {
@@ -346,6 +487,8 @@ router.post('/:cafeId/items', requireCafeAccess, upload.single('image'), async (
         await db.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
             .run(req.user.id, cafeId, 'add_item', `Added item: ${name}`);
         
+        publishMenuEvent(cafeId, 'menu.changed', { reason: 'item_added' });
+        
         res.json({
             success: true,
             item: { id: result.lastInsertRowid, name }
@@ -357,7 +500,7 @@ router.post('/:cafeId/items', requireCafeAccess, upload.single('image'), async (
 });
 
 // Update item
-router.put('/:cafeId/items/:itemId', requireCafeAccess, upload.single('image'), async (req, res) => {
+router.put('/:cafeId/items/:itemId', requireCafePermission('menu'), rejectMasterItem, upload.single('image'), async (req, res) => {
     try {
         const { cafeId, itemId } = req.params;
         const {
@@ -413,6 +556,17 @@ router.put('/:cafeId/items/:itemId', requireCafeAccess, upload.single('image'),
             itemId, cafeId
         );
         
+        const item = await db.prepare('SELECT id, category_id, price, original_price, is_available FROM menu_items WHERE id = ? AND cafe_id = ?').get(itemId, cafeId);
+        if (item) {
+            publishMenuEvent(cafeId, 'item.updated', {
+                itemId: item.id,
+                categoryId: item.category_id,
+                price: item.price,
+                originalPrice: item.original_price,
+                isAvailable: !!item.is_available
+            });
+        }
+        
         res.json({ success: true, message: 'Item updated' });
     } catch (error) {
         console.error('Update item error:', error);
@@ -421,12 +575,12 @@ router.put('/:cafeId/items/:itemId', requireCafeAccess, upload.single('image'),
 });
 
 // Toggle item availability
-router.patch('/:cafeId/items/:itemId/toggle', requireCafeAccess, async (req, res) => {
+router.patch('/:cafeId/items/:itemId/toggle', requireCafePermission('availability'), async (req, res) => {
     try {
         const { cafeId, itemId } = req.params;
         const db = await getDb();
         
-        const item = await db.prepare('SELECT is_available FROM menu_items WHERE id = ? AND cafe_id = ?').get(itemId, cafeId);
+        const item = await db.prepare('SELECT is_available, master_id, overrides FROM menu_items WHERE id = ? AND cafe_id = ?').get(itemId, cafeId);
         
         if (!item) {
             return res.status(404).json({ error: 'Item not found' });
@@ -434,8 +588,13 @@ router.patch('/:cafeId/items/:itemId/toggle', requireCafeAccess, async (req, res
         
         const newStatus = item.is_available ? 0 : 1;
         
-        await db.prepare('UPDATE menu_items SET is_available = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
-            .run(newStatus, itemId);
+        // Branch items remember that availability is now the branch's call
+        const overrides = item.master_id ? overrideField(item, 'is_available', newStatus) : item.overrides;
+        
+        await db.prepare('UPDATE menu_items SET is_available = ?, overrides = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+            .run(newStatus, overrides, itemId);
+        
+        publishMenuEvent(cafeId, 'item.availability', { itemId: parseInt(itemId), isAvailable: !!newStatus });
         
         res.json({ success: true, isAvailable: !!newStatus });
     } catch (error) {
@@ -444,19 +603,87 @@ router.patch('/:cafeId/items/:itemId/toggle', requireCafeAccess, async (req, res
     }
 });
 
+// Branch overrides of an item from the brand menu: { price, isAvailable, hidden }.
+// `revert: ['price', 'is_available']` goes back to the master values. Any item can be hidden.
+router.put('/:cafeId/items/:itemId/override', requireCafePermission('menu'), async (req, res) => {
+    try {
+        const { cafeId, itemId } = req.params;
+        const { price, isAvailable, hidden } = req.body;
+        const revert = Array.isArray(req.body.revert) ? req.body.revert : [];
+        
+        const db = await getDb();
+        
+        const item = await db.prepare('SELECT * FROM menu_items WHERE id = ? AND cafe_id = ?').get(itemId, cafeId);
+        if (!item) {
+            return res.status(404).json({ error: 'Item not found' });
+        }
+        if (!item.master_id && (price !== undefined || isAvailable !== undefined || revert.length > 0)) {
+            return res.status(400).json({ error: 'Only items from the brand menu have overrides; edit the item instead' });
+        }
+        if (price !== undefined && !(parseFloat(price) >= 0)) {
+            return res.status(400).json({ error: 'Price must be a positive number' });
+        }
+        
+        const next = { price: item.price, is_available: item.is_available, overrides: item.overrides };
+        const set = (field, value) => {
+            next.overrides = overrideField({ ...item, ...next }, field, value);
+            next[field] = value;
+        };
+        
+        if (price !== undefined) set('price', parseFloat(price));
+        if (isAvailable !== undefined) set('is_available', isAvailable ? 1 : 0);
+        
+        if (revert.length > 0) {
+            const master = await db.prepare('SELECT price, is_available FROM menu_items WHERE id = ?').get(item.master_id);
+            const overrides = readOverrides({ overrides: next.overrides });
+            revert.filter(field => field in overrides).forEach(field => {
+                // The master's current value, or the one the override was made against if it is gone
+                next[field] = master ? master[field] : overrides[field];
+                delete overrides[field];
+            });
+            next.overrides = Object.keys(overrides).length > 0 ? JSON.stringify(overrides) : null;
+        }
+        
+        const isHidden = hidden === undefined ? item.is_hidden : (hidden ? 1 : 0);
+        
+        await db.transaction(async tx => {
+            await tx.prepare(`
+                UPDATE menu_items SET price = ?, is_available = ?, overrides = ?, is_hidden = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND cafe_id = ?
+            `).run(next.price, next.is_available, next.overrides, isHidden, item.id, cafeId);
+            
+            // Log activity
+            await tx.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+                .run(req.user.id, cafeId, 'override_item', `Updated branch settings of: ${item.name}`);
+        });
+        
+        publishMenuEvent(cafeId, 'menu.changed', { reason: 'item_overridden' });
+        
+        const updated = await db.prepare('SELECT * FROM menu_items WHERE id = ?').get(item.id);
+        res.json({ success: true, item: describeBranchItem(updated) });
+    } catch (error) {
+        console.error('Override item error:', error);
+        res.status(500).json({ error: 'Failed to update item' });
+    }
+});
+
 // Reorder items
-router.post('/:cafeId/items/reorder', requireCafeAccess, async (req, res) => {
+router.post('/:cafeId/items/reorder', requireCafePermission('menu'), async (req, res) => {
     try {
         const { cafeId } = req.params;
         const { order } = req.body; // Array of item IDs in new order
         
         const db = await getDb();
         
-        for (let index = 0; index < order.length; index++) {
-            const itemId = order[index];
-            await db.prepare('UPDATE menu_items SET sort_order = ? WHERE id = ? AND cafe_id = ?')
-                .run(index, itemId, cafeId);
-        }
+        await db.transaction(async tx => {
+            for (let index = 0; index < order.length; index++) {
+                const itemId = order[index];
+                await tx.prepare('UPDATE menu_items SET sort_order = ? WHERE id = ? AND cafe_id = ?')
+                    .run(index, itemId, cafeId);
+            }
+        });
+        
+        publishMenuEvent(cafeId, 'menu.changed', { reason: 'items_reordered' });
         
         res.json({ success: true, message: 'Items reordered' });
     } catch (error) {
@@ -466,7 +693,7 @@ router.post('/:cafeId/items/reorder', requireCafeAccess, async (req, res) => {
 });
 
 // Delete item
-router.delete('/:cafeId/items/:itemId', requireCafeAccess, async (req, res) => {
+router.delete('/:cafeId/items/:itemId', requireCafePermission('menu'), rejectMasterItem, async (req, res) => {
     try {
         const { cafeId, itemId } = req.params;
         const db = await getDb();
@@ -474,13 +701,21 @@ router.delete('/:cafeId/items/:itemId', requireCafeAccess, async (req, res) => {
         // Get item for logging
         const item = await db.prepare('SELECT name FROM menu_items WHERE id = ?').get(itemId);
         
-        await db.prepare('DELETE FROM menu_items WHERE id = ? AND cafe_id = ?').run(itemId, cafeId);
+        await db.transaction(async tx => {
+            await tx.prepare('DELETE FROM menu_items WHERE id = ? AND cafe_id = ?').run(itemId, cafeId);
+            await tx.prepare('DELETE FROM item_variants WHERE item_id = ? AND cafe_id = ?').run(itemId, cafeId);
+            await tx.prepare('DELETE FROM item_modifier_groups WHERE item_id = ?').run(itemId);
+            await tx.prepare("DELETE FROM price_rules WHERE cafe_id = ? AND scope = 'item' AND target_id = ?").run(cafeId, itemId);
+            await tx.prepare("DELETE FROM translations WHERE cafe_id = ? AND entity_type = 'item' AND entity_id = ?").run(cafeId, itemId);
+            
+            // Log activity
+            if (item) {
+                await tx.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+                    .run(req.user.id, cafeId, 'delete_item', `Deleted item: ${item.name}`);
+            }
+        });
         
-        // Log activity
-        if (item) {
-            await db.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
-                .run(req.user.id, cafeId, 'delete_item', `Deleted item: ${item.name}`);
-        }
+        publishMenuEvent(cafeId, 'menu.changed', { reason: 'item_deleted' });
         
         res.json({ success: true, message: 'Item deleted' });
     } catch (error) {
@@ -489,8 +724,231 @@ router.delete('/:cafeId/items/:itemId', requireCafeAccess, async (req, res) => {
     }
 });
 
+// Replace an item's variants (sizes). Variants with an id are updated,
+// new ones are inserted and missing ones are removed
+router.put('/:cafeId/items/:itemId/variants', requireCafePermission('menu'), rejectMasterItem, async (req, res) => {
+    try {
+        const { cafeId, itemId } = req.params;
+        const { variants } = req.body;
+        
+        if (!Array.isArray(variants)) {
+            return res.status(400).json({ error: 'Variants array required' });
+        }
+        
+        for (const variant of variants) {
+            if (!variant.name || isNaN(parseFloat(variant.price)) || parseFloat(variant.price) < 0) {
+                return res.status(400).json({ error: 'Each variant needs a name and a price' });
+            }
+        }
+        
+        const db = await getDb();
+        
+        const item = await db.prepare('SELECT id FROM menu_items WHERE id = ? AND cafe_id = ?').get(itemId, cafeId);
+        if (!item) {
+            return res.status(404).json({ error: 'Item not found' });
+        }
+        
+        await db.transaction(async tx => {
+            const existing = await tx.prepare('SELECT id FROM item_variants WHERE item_id = ?').all(itemId);
+            const keepIds = variants.filter(v => v.id).map(v => parseInt(v.id));
+            
+            for (const row of existing) {
+                if (!keepIds.includes(row.id)) {
+                    await tx.prepare('DELETE FROM item_variants WHERE id = ?').run(row.id);
+                }
+            }
+            
+            for (let index = 0; index < variants.length; index++) {
+                const variant = variants[index];
+                const isAvailable = variant.isAvailable === undefined ? 1 : (variant.isAvailable ? 1 : 0);
+            
+                if (variant.id && existing.some(row => row.id === parseInt(variant.id))) {
+                    await tx.prepare(`
+                        UPDATE item_variants SET name = ?, price = ?, is_available = ?, sort_order = ?
+                        WHERE id = ? AND item_id = ?
+                    `).run(variant.name, parseFloat(variant.price), isAvailable, index, variant.id, itemId);
+                } else {
+                    await tx.prepare(`
+                        INSERT INTO item_variants (cafe_id, item_id, name, price, is_available, sort_order)
+                        VALUES (?, ?, ?, ?, ?, ?)
+                    `).run(cafeId, itemId, variant.name, parseFloat(variant.price), isAvailable, index);
+                }
+            }
+        });
+        
+        publishMenuEvent(cafeId, 'menu.changed', { reason: 'variants_updated' });
+        
+        res.json({ success: true, message: 'Variants updated' });
+    } catch (error) {
+        console.error('Update variants error:', error);
+        res.status(500).json({ error: 'Failed to update variants' });
+    }
+});
+
+// Set or clear an item's allergens (see services/allergens)
+router.put('/:cafeId/items/:itemId/allergens', requireCafePermission('menu'), rejectMasterItem, async (req, res) => {
+    try {
+        const { cafeId, itemId } = req.params;
+        
+        const parsed = parseAllergens(req.body.allergens);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+        
+        const db = await getDb();
+        
+        const item = await db.prepare('SELECT id, name FROM menu_items WHERE id = ? AND cafe_id = ?').get(itemId, cafeId);
+        if (!item) {
+            return res.status(404).json({ error: 'Item not found' });
+        }
+        
+        await db.prepare('UPDATE menu_items SET allergens = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+            .run(parsed.allergens ? JSON.stringify(parsed.allergens) : null, item.id);
+        
+        await db.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+            .run(req.user.id, cafeId, 'update_allergens', `Updated allergens: ${item.name}`);
+        
+        publishMenuEvent(cafeId, 'menu.changed', { reason: 'allergens_updated' });
+        
+        res.json({ success: true, allergens: parsed.allergens });
+    } catch (error) {
+        console.error('Update item allergens error:', error);
+        res.status(500).json({ error: 'Failed to update allergens' });
+    }
+});
+
+// Set or clear an item's nutrition facts and ingredients (see services/nutrition).
+// Only the fields sent are changed.
+router.put('/:cafeId/items/:itemId/nutrition', requireCafePermission('menu'), rejectMasterItem, async (req, res) => {
+    try {
+        const { cafeId, itemId } = req.params;
+        const { nutrition, ingredients } = req.body;
+        
+        if (nutrition === undefined && ingredients === undefined) {
+            return res.status(400).json({ error: 'Send nutrition and/or ingredients' });
+        }
+        
+        const parsedNutrition = nutrition === undefined ? null : parseNutrition(nutrition);
+        if (parsedNutrition && parsedNutrition.error) {
+            return res.status(400).json({ error: parsedNutrition.error });
+        }
+        const parsedIngredients = ingredients === undefined ? null : parseIngredients(ingredients);
+        if (parsedIngredients && parsedIngredients.error) {
+            return res.status(400).json({ error: parsedIngredients.error });
+        }
+        
+        const db = await getDb();
+        
+        const item = await db.prepare('SELECT id, name FROM menu_items WHERE id = ? AND cafe_id = ?').get(itemId, cafeId);
+        if (!item) {
+            return res.status(404).json({ error: 'Item not found' });
+        }
+        
+        const updates = [];
+        const values = [];
+        if (parsedNutrition) {
+            updates.push('nutrition = ?');
+            values.push(parsedNutrition.nutrition ? JSON.stringify(parsedNutrition.nutrition) : null);
+        }
+        if (parsedIngredients) {
+            updates.push('ingredients = ?');
+            values.push(parsedIngredients.ingredients ? JSON.stringify(parsedIngredients.ingredients) : null);
+        }
+        
+        await db.prepare(`UPDATE menu_items SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`)
+            .run(...values, item.id);
+        
+        await db.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+            .run(req.user.id, cafeId, 'update_nutrition', `Updated nutrition: ${item.name}`);
+        
+        publishMenuEvent(cafeId, 'menu.changed', { reason: 'nutrition_updated' });
+        
+        const updated = await db.prepare('SELECT nutrition, ingredients FROM menu_items WHERE id = ?').get(item.id);
+        res.json({ success: true, nutrition: readNutrition(updated), ingredients: readIngredients(updated) });
+    } catch (error) {
+        console.error('Update item nutrition error:', error);
+        res.status(500).json({ error: 'Failed to update nutrition' });
+    }
+});
+
+// Set or clear an item's schedule (see services/menuSchedule)
+router.put('/:cafeId/items/:itemId/schedule', requireCafePermission('menu'), rejectMasterItem, async (req, res) => {
+    try {
+        const { cafeId, itemId } = req.params;
+        
+        const parsed = parseSchedule(req.body.schedule);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+        
+        const db = await getDb();
+        
+        const item = await db.prepare('SELECT id, name FROM menu_items WHERE id = ? AND cafe_id = ?').get(itemId, cafeId);
+        if (!item) {
+            return res.status(404).json({ error: 'Item not found' });
+        }
+        
+        await db.prepare('UPDATE menu_items SET schedule = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+            .run(parsed.schedule ? JSON.stringify(parsed.schedule) : null, item.id);
+        
+        await db.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+            .run(req.user.id, cafeId, 'update_schedule', `${parsed.schedule ? 'Scheduled' : 'Unscheduled'} item: ${item.name}`);
+        
+        publishMenuEvent(cafeId, 'menu.changed', { reason: 'schedule_updated' });
+        
+        res.json({ success: true, schedule: parsed.schedule });
+    } catch (error) {
+        console.error('Update item schedule error:', error);
+        res.status(500).json({ error: 'Failed to update schedule' });
+    }
+});
+
+// Attach modifier groups to an item (replaces current links)
+router.put('/:cafeId/items/:itemId/modifier-groups', requireCafePermission('menu'), async (req, res) => {
+    try {
+        const { cafeId, itemId } = req.params;
+        const { groupIds } = req.body;
+        
+        if (!Array.isArray(groupIds)) {
+            return res.status(400).json({ error: 'groupIds array required' });
+        }
+        
+        const db = await getDb();
+        
+        const item = await db.prepare('SELECT id FROM menu_items WHERE id = ? AND cafe_id = ?').get(itemId, cafeId);
+        if (!item) {
+            return res.status(404).json({ error: 'Item not found' });
+        }
+        
+        // Only groups of the same cafe can be attached
+        const groups = await db.prepare('SELECT id FROM modifier_groups WHERE cafe_id = ?').all(cafeId);
+        const validIds = groups.map(g => g.id);
+        const ids = groupIds.map(id => parseInt(id));
+        
+        if (ids.some(id => !validIds.includes(id))) {
+            return res.status(400).json({ error: 'Unknown modifier group' });
+        }
+        
+        await db.transaction(async tx => {
+            await tx.prepare('DELETE FROM item_modifier_groups WHERE item_id = ?').run(itemId);
+            
+            for (let index = 0; index < ids.length; index++) {
+                await tx.prepare('INSERT INTO item_modifier_groups (item_id, group_id, sort_order) VALUES (?, ?, ?)')
+                    .run(itemId, ids[index], index);
+            }
+        });
+        
+        publishMenuEvent(cafeId, 'menu.changed', { reason: 'modifiers_updated' });
+        
+        res.json({ success: true, message: 'Modifier groups updated' });
+    } catch (error) {
+        console.error('Attach modifier groups error:', error);
+        res.status(500).json({ error: 'Failed to update modifier groups' });
+    }
+});
+
 // Bulk add items
-router.post('/:cafeId/items/bulk', requireCafeAccess, async (req, res) => {
+router.post('/:cafeId/items/bulk', requireCafePermission('menu'), async (req, res) => {
     try {
         const { cafeId } = req.params;
         const { categoryId, items } = req.body;
@@ -501,30 +959,761 @@ router.post('/:cafeId/items/bulk', requireCafeAccess, async (req, res) => {
         
         const db = await getDb();
         
-        const maxOrder = await db.prepare('SELECT MAX(sort_order) as max FROM menu_items WHERE category_id = ?').get(categoryId);
-        let sortOrder = (maxOrder?.max || 0) + 1;
+        const insertedIds = await db.transaction(async tx => {
+            const maxOrder = await tx.prepare('SELECT MAX(sort_order) as max FROM menu_items WHERE category_id = ?').get(categoryId);
+            let sortOrder = (maxOrder?.max || 0) + 1;
+            
+            const ids = [];
+            
+            for (const item of items) {
+                const result = await tx.prepare(`
+                    INSERT INTO menu_items (cafe_id, category_id, name, description, price, sort_order)
+                    VALUES (?, ?, ?, ?, ?, ?)
+                `).run(
+                    cafeId, categoryId, item.name, item.description || '',
+                    item.price ? parseFloat(item.price) : null, sortOrder++
+                );
+                ids.push(result.lastInsertRowid);
+            }
+            
+            // Log activity
+            await tx.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+                .run(req.user.id, cafeId, 'bulk_add_items', `Added ${items.length} items`);
+            
+            return ids;
+        });
+        
+        publishMenuEvent(cafeId, 'menu.changed', { reason: 'items_added' });
+        
+        res.json({ success: true, insertedIds });
+    } catch (error) {
+        console.error('Bulk add error:', error);
+        res.status(500).json({ error: 'Failed to add items' });
+    }
+});
+
+// Import items from a CSV spreadsheet (file upload or { csv } body)
+// ?dryRun=true returns the planned changes without writing anything
+router.post('/:cafeId/import', requireCafePermission('menu'), csvUpload.single('file'), async (req, res) => {
+    try {
+        const { cafeId } = req.params;
+        const dryRun = req.query.dryRun === 'true' || req.body.dryRun === true || req.body.dryRun === 'true';
+        const csv = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+        
+        if (!csv || typeof csv !== 'string') {
+            return res.status(400).json({ error: 'CSV file required' });
+        }
+        
+        let parsed;
+        try {
+            parsed = readMenuRows(csv);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        
+        const db = await getDb();
+        const plan = await planImport(db, cafeId, parsed);
+        
+        if (dryRun) {
+            return res.json({ dryRun: true, ...plan });
+        }
+        
+        // Nothing is written while any row is invalid
+        if (plan.errors.length > 0) {
+            return res.status(400).json({ error: 'Fix the rows with errors before importing', ...plan });
+        }
+        
+        await db.transaction(async tx => {
+            await applyImport(tx, cafeId, plan);
+            
+            // Log activity
+            const { summary } = plan;
+            await tx.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+                .run(req.user.id, cafeId, 'import_menu', `Imported menu: ${summary.itemsCreated} created, ${summary.itemsUpdated} updated, ${summary.itemsSkipped} unchanged`);
+        });
+        
+        publishMenuEvent(cafeId, 'menu.changed', { reason: 'menu_imported' });
+        
+        res.json({ success: true, dryRun: false, ...plan });
+    } catch (error) {
+        console.error('Import menu error:', error);
+        res.status(500).json({ error: 'Failed to import menu' });
+    }
+});
+
+// Export the cafe's menu: ?format=json (default), csv (re-importable) or
+// bundle (ZIP with profile, menu and uploaded images)
+router.get('/:cafeId/export', requireCafeAccess, async (req, res) => {
+    try {
+        const { cafeId } = req.params;
+        const format = req.query.format || 'json';
+        
+        if (!['json', 'csv', 'bundle'].includes(format)) {
+            return res.status(400).json({ error: 'Format must be json, csv or bundle' });
+        }
         
-        const insertedIds = [];
+        const db = await getDb();
+        const snapshot = await buildSnapshot(db, cafeId);
+        
+        if (!snapshot) {
+            return res.status(404).json({ error: 'Cafe not found' });
+        }
+        
+        const cafe = await db.prepare('SELECT slug FROM cafes WHERE id = ?').get(cafeId);
+        const fileName = `${cafe.slug}-menu-${new Date().toISOString().slice(0, 10)}`;
+        
+        if (format === 'csv') {
+            res.attachment(`${fileName}.csv`);
+            res.type('text/csv; charset=utf-8');
+            return res.send(snapshotToCSV(snapshot));
+        }
+        
+        if (format === 'bundle') {
+            res.attachment(`${fileName}.zip`);
+            return writeBundle(res, snapshot);
+        }
         
-        for (const item of items) {
-            const result = await db.prepare(`
-                INSERT INTO menu_items (cafe_id, category_id, name, description, price, sort_order)
-                VALUES (?, ?, ?, ?, ?, ?)
+        res.attachment(`${fileName}.json`);
+        res.json(snapshot);
+    } catch (error) {
+        console.error('Export menu error:', error);
+        res.status(500).json({ error: 'Failed to export menu' });
+    }
+});
+
+// ===============================
+// MODIFIER GROUPS
+// ===============================
+
+// Validate modifier group payload, returns an error message or null
+function validateModifierGroup({ name, minSelect, maxSelect, options }) {
+    if (!name) return 'Group name required';
+    
+    const min = parseInt(minSelect) || 0;
+    const max = maxSelect === undefined || maxSelect === null || maxSelect === '' ? 1 : parseInt(maxSelect);
+    
+    if (min < 0 || isNaN(max) || max < 0) return 'Selections must be positive numbers';
+    if (max > 0 && max < min) return 'Maximum selections cannot be lower than minimum';
+    
+    if (options !== undefined) {
+        if (!Array.isArray(options)) return 'Options must be an array';
+        if (options.some(o => !o.name || isNaN(parseFloat(o.priceDelta || 0)))) {
+            return 'Each option needs a name and a valid price';
+        }
+        if (min > options.length) return 'Minimum selections exceed the number of options';
+    }
+    
+    return null;
+}
+
+// Save options of a group (update by id, insert new, delete missing)
+async function saveModifierOptions(db, groupId, options) {
+    const existing = await db.prepare('SELECT id FROM modifier_options WHERE group_id = ?').all(groupId);
+    const keepIds = options.filter(o => o.id).map(o => parseInt(o.id));
+    
+    for (const row of existing) {
+        if (!keepIds.includes(row.id)) {
+            await db.prepare('DELETE FROM modifier_options WHERE id = ?').run(row.id);
+        }
+    }
+    
+    for (let index = 0; index < options.length; index++) {
+        const option = options[index];
+        const priceDelta = parseFloat(option.priceDelta) || 0;
+        const isAvailable = option.isAvailable === undefined ? 1 : (option.isAvailable ? 1 : 0);
+        
+        if (option.id && existing.some(row => row.id === parseInt(option.id))) {
+            await db.prepare(`
+                UPDATE modifier_options SET name = ?, price_delta = ?, is_available = ?, sort_order = ?
+                WHERE id = ? AND group_id = ?
+            `).run(option.name, priceDelta, isAvailable, index, option.id, groupId);
+        } else {
+            await db.prepare(`
+                INSERT INTO modifier_options (group_id, name, price_delta, is_available, sort_order)
+                VALUES (?, ?, ?, ?, ?)
+            `).run(groupId, option.name, priceDelta, isAvailable, index);
+        }
+    }
+}
+
+// Get all modifier groups for a cafe
+router.get('/:cafeId/modifier-groups', requireCafeAccess, async (req, res) => {
+    try {
+        const db = await getDb();
+        const groups = await getModifierGroups(db, req.params.cafeId);
+        
+        res.json({ groups });
+    } catch (error) {
+        console.error('Get modifier groups error:', error);
+        res.status(500).json({ error: 'Failed to fetch modifier groups' });
+    }
+});
+
+// Create modifier group
+router.post('/:cafeId/modifier-groups', requireCafePermission('menu'), async (req, res) => {
+    try {
+        const { cafeId } = req.params;
+        const { name, minSelect, maxSelect, options = [] } = req.body;
+        
+        const validationError = validateModifierGroup({ name, minSelect, maxSelect, options });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const db = await getDb();
+        
+        const groupId = await db.transaction(async tx => {
+            const maxOrder = await tx.prepare('SELECT MAX(sort_order) as max FROM modifier_groups WHERE cafe_id = ?').get(cafeId);
+            const sortOrder = (maxOrder?.max || 0) + 1;
+            
+            const result = await tx.prepare(`
+                INSERT INTO modifier_groups (cafe_id, name, min_select, max_select, sort_order)
+                VALUES (?, ?, ?, ?, ?)
             `).run(
-                cafeId, categoryId, item.name, item.description || '',
-                item.price ? parseFloat(item.price) : null, sortOrder++
+                cafeId, name, parseInt(minSelect) || 0,
+                maxSelect === undefined || maxSelect === '' ? 1 : parseInt(maxSelect),
+                sortOrder
             );
-            insertedIds.push(result.lastInsertRowid);
+            
+            await saveModifierOptions(tx, result.lastInsertRowid, options);
+            
+            // Log activity
+            await tx.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+                .run(req.user.id, cafeId, 'add_modifier_group', `Added modifier group: ${name}`);
+            
+            return result.lastInsertRowid;
+        });
+        
+        publishMenuEvent(cafeId, 'menu.changed', { reason: 'modifiers_updated' });
+        
+        res.json({ success: true, group: { id: groupId, name } });
+    } catch (error) {
+        console.error('Create modifier group error:', error);
+        res.status(500).json({ error: 'Failed to create modifier group' });
+    }
+});
+
+// Update modifier group (and its options when provided)
+router.put('/:cafeId/modifier-groups/:groupId', requireCafePermission('menu'), async (req, res) => {
+    try {
+        const { cafeId, groupId } = req.params;
+        const db = await getDb();
+        
+        const group = await db.prepare('SELECT * FROM modifier_groups WHERE id = ? AND cafe_id = ?').get(groupId, cafeId);
+        if (!group) {
+            return res.status(404).json({ error: 'Modifier group not found' });
+        }
+        
+        const {
+            name = group.name,
+            minSelect = group.min_select,
+            maxSelect = group.max_select,
+            options
+        } = req.body;
+        
+        const validationError = validateModifierGroup({ name, minSelect, maxSelect, options });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        await db.transaction(async tx => {
+            await tx.prepare(`
+                UPDATE modifier_groups SET name = ?, min_select = ?, max_select = ?
+                WHERE id = ? AND cafe_id = ?
+            `).run(name, parseInt(minSelect) || 0, parseInt(maxSelect), groupId, cafeId);
+            
+            if (options) {
+                await saveModifierOptions(tx, groupId, options);
+            }
+        });
+        
+        publishMenuEvent(cafeId, 'menu.changed', { reason: 'modifiers_updated' });
+        
+        res.json({ success: true, message: 'Modifier group updated' });
+    } catch (error) {
+        console.error('Update modifier group error:', error);
+        res.status(500).json({ error: 'Failed to update modifier group' });
+    }
+});
+
+// Delete modifier group
+router.delete('/:cafeId/modifier-groups/:groupId', requireCafePermission('menu'), async (req, res) => {
+    try {
+        const { cafeId, groupId } = req.params;
+        const db = await getDb();
+        
+        const group = await db.prepare('SELECT name FROM modifier_groups WHERE id = ? AND cafe_id = ?').get(groupId, cafeId);
+        if (!group) {
+            return res.status(404).json({ error: 'Modifier group not found' });
+        }
+        
+        await db.transaction(async tx => {
+            await tx.prepare('DELETE FROM item_modifier_groups WHERE group_id = ?').run(groupId);
+            await tx.prepare('DELETE FROM modifier_options WHERE group_id = ?').run(groupId);
+            await tx.prepare('DELETE FROM modifier_groups WHERE id = ? AND cafe_id = ?').run(groupId, cafeId);
+            
+            // Log activity
+            await tx.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+                .run(req.user.id, cafeId, 'delete_modifier_group', `Deleted modifier group: ${group.name}`);
+        });
+        
+        publishMenuEvent(cafeId, 'menu.changed', { reason: 'modifiers_updated' });
+        
+        res.json({ success: true, message: 'Modifier group deleted' });
+    } catch (error) {
+        console.error('Delete modifier group error:', error);
+        res.status(500).json({ error: 'Failed to delete modifier group' });
+    }
+});
+
+// ===============================
+// PRICE RULES (promotions)
+// ===============================
+
+// The category or item a rule points at must belong to the cafe
+async function findRuleTarget(db, cafeId, rule) {
+    if (rule.scope === 'menu') return { name: 'whole menu' };
+    const table = rule.scope === 'category' ? 'categories' : 'menu_items';
+    return db.prepare(`SELECT id, name FROM ${table} WHERE id = ? AND cafe_id = ?`).get(rule.targetId, cafeId);
+}
+
+// Get all price rules for a cafe
+router.get('/:cafeId/price-rules', requireCafeAccess, async (req, res) => {
+    try {
+        const db = await getDb();
+        const rules = await getPriceRules(db, req.params.cafeId);
+        
+        res.json({ rules });
+    } catch (error) {
+        console.error('Get price rules error:', error);
+        res.status(500).json({ error: 'Failed to fetch price rules' });
+    }
+});
+
+// Create price rule
+router.post('/:cafeId/price-rules', requireCafePermission('pricing'), async (req, res) => {
+    try {
+        const { cafeId } = req.params;
+        
+        const parsed = parsePriceRule(req.body);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+        
+        const { rule } = parsed;
+        const db = await getDb();
+        
+        const target = await findRuleTarget(db, cafeId, rule);
+        if (!target) {
+            return res.status(404).json({ error: `${rule.scope === 'category' ? 'Category' : 'Item'} not found` });
         }
         
+        const result = await db.prepare(`
+            INSERT INTO price_rules (cafe_id, name, scope, target_id, discount_type, amount, schedule, is_active)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            cafeId, rule.name, rule.scope, rule.targetId, rule.discountType, rule.amount,
+            rule.schedule ? JSON.stringify(rule.schedule) : null, rule.isActive ? 1 : 0
+        );
+        
         // Log activity
         await db.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
-            .run(req.user.id, cafeId, 'bulk_add_items', `Added ${items.length} items`);
+            .run(req.user.id, cafeId, 'add_price_rule', `Added promotion: ${rule.name} (${target.name})`);
         
-        res.json({ success: true, insertedIds });
+        publishMenuEvent(cafeId, 'menu.changed', { reason: 'prices_updated' });
+        
+        res.json({ success: true, rule: { id: result.lastInsertRowid, ...rule } });
     } catch (error) {
-        console.error('Bulk add error:', error);
-        res.status(500).json({ error: 'Failed to add items' });
+        console.error('Create price rule error:', error);
+        res.status(500).json({ error: 'Failed to create price rule' });
+    }
+});
+
+// Update price rule (fields not sent are kept)
+router.put('/:cafeId/price-rules/:ruleId', requireCafePermission('pricing'), async (req, res) => {
+    try {
+        const { cafeId, ruleId } = req.params;
+        const db = await getDb();
+        
+        const existing = await db.prepare('SELECT * FROM price_rules WHERE id = ? AND cafe_id = ?').get(ruleId, cafeId);
+        if (!existing) {
+            return res.status(404).json({ error: 'Price rule not found' });
+        }
+        
+        const parsed = parsePriceRule({
+            name: existing.name,
+            scope: existing.scope,
+            targetId: existing.target_id,
+            discountType: existing.discount_type,
+            amount: existing.amount,
+            schedule: existing.schedule,
+            isActive: !!existing.is_active,
+            ...req.body
+        });
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+        
+        const { rule } = parsed;
+        
+        const target = await findRuleTarget(db, cafeId, rule);
+        if (!target) {
+            return res.status(404).json({ error: `${rule.scope === 'category' ? 'Category' : 'Item'} not found` });
+        }
+        
+        await db.prepare(`
+            UPDATE price_rules SET name = ?, scope = ?, target_id = ?, discount_type = ?, amount = ?,
+                   schedule = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND cafe_id = ?
+        `).run(
+            rule.name, rule.scope, rule.targetId, rule.discountType, rule.amount,
+            rule.schedule ? JSON.stringify(rule.schedule) : null, rule.isActive ? 1 : 0,
+            ruleId, cafeId
+        );
+        
+        await db.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+            .run(req.user.id, cafeId, 'update_price_rule', `Updated promotion: ${rule.name}`);
+        
+        publishMenuEvent(cafeId, 'menu.changed', { reason: 'prices_updated' });
+        
+        res.json({ success: true, rule: { id: existing.id, ...rule } });
+    } catch (error) {
+        console.error('Update price rule error:', error);
+        res.status(500).json({ error: 'Failed to update price rule' });
+    }
+});
+
+// Delete price rule
+router.delete('/:cafeId/price-rules/:ruleId', requireCafePermission('pricing'), async (req, res) => {
+    try {
+        const { cafeId, ruleId } = req.params;
+        const db = await getDb();
+        
+        const rule = await db.prepare('SELECT name FROM price_rules WHERE id = ? AND cafe_id = ?').get(ruleId, cafeId);
+        if (!rule) {
+            return res.status(404).json({ error: 'Price rule not found' });
+        }
+        
+        await db.prepare('DELETE FROM price_rules WHERE id = ? AND cafe_id = ?').run(ruleId, cafeId);
+        
+        await db.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+            .run(req.user.id, cafeId, 'delete_price_rule', `Deleted promotion: ${rule.name}`);
+        
+        publishMenuEvent(cafeId, 'menu.changed', { reason: 'prices_updated' });
+        
+        res.json({ success: true, message: 'Price rule deleted' });
+    } catch (error) {
+        console.error('Delete price rule error:', error);
+        res.status(500).json({ error: 'Failed to delete price rule' });
+    }
+});
+
+// ===============================
+// TRANSLATIONS
+// ===============================
+
+// Translations can only be edited for the cafe's extra languages (Settings)
+async function findTranslationLanguage(db, cafeId, code) {
+    const cafe = await db.prepare('SELECT default_language, languages FROM cafes WHERE id = ?').get(cafeId);
+    if (!cafe) return { status: 404, error: 'Cafe not found' };
+    
+    const language = normalizeLanguage(code);
+    const { defaultLanguage, languages } = cafeLanguages(cafe);
+    if (!language || !languages.includes(language) || language === defaultLanguage) {
+        return { status: 400, error: `Add ${code} to the menu languages in Settings first` };
+    }
+    
+    return { language };
+}
+
+// Missing and stale texts of a sheet, for import reports
+function untranslatedReport(sheet) {
+    const list = status => sheet
+        .filter(entry => entry.status === status)
+        .map(({ key, context, source }) => ({ key, context, source }));
+    return { missing: list('missing'), stale: list('stale') };
+}
+
+// Export a language for translators: ?lang=fr&format=xliff (default), po or csv
+router.get('/:cafeId/translations/export', requireCafeAccess, async (req, res) => {
+    try {
+        const { cafeId } = req.params;
+        const format = req.query.format || 'xliff';
+        
+        if (!FORMATS[format]) {
+            return res.status(400).json({ error: 'Format must be xliff, po or csv' });
+        }
+        if (!req.query.lang) {
+            return res.status(400).json({ error: 'Choose a language to export' });
+        }
+        
+        const db = await getDb();
+        
+        const { language, status, error } = await findTranslationLanguage(db, cafeId, req.query.lang);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+        
+        const cafe = await db.prepare('SELECT id, name, slug, default_language, languages FROM cafes WHERE id = ?').get(cafeId);
+        const sheet = await getTranslationSheet(db, cafeId, language);
+        const file = formatTranslations(format, sheet, {
+            cafe,
+            sourceLanguage: cafeLanguages(cafe).defaultLanguage,
+            language
+        });
+        
+        res.attachment(`${cafe.slug}-${language}.${FORMATS[format].extension}`);
+        res.type(FORMATS[format].type);
+        res.send(file);
+    } catch (error) {
+        console.error('Export translations error:', error);
+        res.status(500).json({ error: 'Failed to export translations' });
+    }
+});
+
+// Import a translated XLIFF, PO or CSV file (upload "file" or { content, fileName } body).
+// The language comes from ?lang= or the file; ?dryRun=true reports without saving.
+// Responds with what changed and the texts still missing or stale.
+router.post('/:cafeId/translations/import', requireCafePermission('menu'), translationUpload.single('file'), async (req, res) => {
+    try {
+        const { cafeId } = req.params;
+        const dryRun = req.query.dryRun === 'true' || req.body.dryRun === true || req.body.dryRun === 'true';
+        const text = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+        const fileName = req.file ? req.file.originalname : req.body.fileName;
+        
+        if (!text || typeof text !== 'string') {
+            return res.status(400).json({ error: 'Translation file required' });
+        }
+        
+        const format = detectFormat(req.query.format || req.body.format, fileName, text);
+        if (!format) {
+            return res.status(400).json({ error: 'Format must be xliff, po or csv' });
+        }
+        
+        const parsed = parseTranslationFile(format, text);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+        
+        const requested = req.query.lang || req.body.lang;
+        if (requested && parsed.language && normalizeLanguage(requested) !== parsed.language) {
+            return res.status(400).json({ error: `This file is for ${parsed.language}, not ${requested}` });
+        }
+        if (!requested && !parsed.language) {
+            return res.status(400).json({ error: 'Choose the language of this file' });
+        }
+        
+        const db = await getDb();
+        
+        const { language, status, error } = await findTranslationLanguage(db, cafeId, requested || parsed.language);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+        
+        const sheet = await getTranslationSheet(db, cafeId, language);
+        const plan = planTranslationImport(sheet, parsed.entries);
+        const result = {
+            language,
+            format,
+            updated: plan.changes.length,
+            unchanged: plan.unchanged,
+            needsReview: plan.needsReview,
+            unknownKeys: plan.unknownKeys
+        };
+        
+        if (dryRun) {
+            return res.json({ dryRun: true, ...result, ...untranslatedReport(sheet) });
+        }
+        if (plan.changes.length === 0) {
+            return res.json({ success: true, dryRun: false, ...result, ...untranslatedReport(sheet) });
+        }
+        
+        const saved = await db.transaction(async tx => {
+            const outcome = await saveTranslations(tx, cafeId, language, plan.changes);
+            if (outcome.error) return outcome;
+            
+            // Log activity
+            await tx.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+                .run(req.user.id, cafeId, 'import_translations', `Imported ${outcome.saved} ${language} translations (${format})`);
+            
+            return outcome;
+        });
+        
+        if (saved.error) {
+            return res.status(400).json({ error: saved.error });
+        }
+        
+        publishMenuEvent(cafeId, 'menu.changed', { reason: 'translations_updated' });
+        
+        const report = untranslatedReport(await getTranslationSheet(db, cafeId, language));
+        res.json({ success: true, dryRun: false, ...result, ...report });
+    } catch (error) {
+        console.error('Import translations error:', error);
+        res.status(500).json({ error: 'Failed to import translations' });
+    }
+});
+
+// Get every translatable text with its translation in a language, its
+// status (translated, missing or stale) and suggestions for the open ones
+router.get('/:cafeId/translations/:language', requireCafeAccess, async (req, res) => {
+    try {
+        const { cafeId } = req.params;
+        const db = await getDb();
+        
+        const { language, status, error } = await findTranslationLanguage(db, cafeId, req.params.language);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+        
+        const entries = await getTranslationSheet(db, cafeId, language);
+        
+        res.json({ language, summary: summarizeSheet(entries), entries });
+    } catch (error) {
+        console.error('Get translations error:', error);
+        res.status(500).json({ error: 'Failed to fetch translations' });
+    }
+});
+
+// Save translations in a language (empty values remove them)
+router.put('/:cafeId/translations/:language', requireCafePermission('menu'), async (req, res) => {
+    try {
+        const { cafeId } = req.params;
+        const db = await getDb();
+        
+        const { language, status, error } = await findTranslationLanguage(db, cafeId, req.params.language);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+        
+        const result = await db.transaction(async tx => {
+            const saved = await saveTranslations(tx, cafeId, language, req.body.entries);
+            if (saved.error) return saved;
+            
+            // Log activity
+            await tx.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+                .run(req.user.id, cafeId, 'update_translations', `Updated ${saved.saved} ${language} translations`);
+            
+            return saved;
+        });
+        
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        
+        publishMenuEvent(cafeId, 'menu.changed', { reason: 'translations_updated' });
+        
+        res.json({ success: true, language, ...result });
+    } catch (error) {
+        console.error('Save translations error:', error);
+        res.status(500).json({ error: 'Failed to save translations' });
+    }
+});
+
+// ===============================
+// BRAND MENUS
+// ===============================
+
+// The cafe's brand: for branches what a sync from the master would change
+// (including conflicts), for the master cafe its branches
+router.get('/:cafeId/brand', requireCafeAccess, async (req, res) => {
+    try {
+        const { cafeId } = req.params;
+        const db = await getDb();
+        
+        const brand = await getCafeBrand(db, cafeId);
+        if (!brand) {
+            return res.json({ brand: null });
+        }
+        
+        const master = brand.masterCafeId
+            ? await db.prepare('SELECT id, name, slug FROM cafes WHERE id = ?').get(brand.masterCafeId)
+            : null;
+        
+        if (brand.isMaster) {
+            const branches = await db.prepare(`
+                SELECT id, name, slug FROM cafes WHERE brand_id = ? AND id != ? ORDER BY name ASC
+            `).all(brand.id, cafeId);
+            return res.json({ brand, master, branches });
+        }
+        
+        const pending = master ? await planBranchSync(db, master.id, cafeId) : null;
+        res.json({ brand, master, pending });
+    } catch (error) {
+        console.error('Get brand error:', error);
+        res.status(500).json({ error: 'Failed to fetch brand' });
+    }
+});
+
+// Sync a branch from the master menu. Conflicts (prices or availability the
+// branch overrode and the master changed since) keep the branch value unless
+// settled in `resolutions`: { "<itemId>:<field>": "master" | "branch" }.
+// ?dryRun=true returns the planned changes without writing anything
+router.post('/:cafeId/brand/sync', requireCafePermission('menu'), async (req, res) => {
+    try {
+        const { cafeId } = req.params;
+        const dryRun = req.query.dryRun === 'true' || req.body.dryRun === true || req.body.dryRun === 'true';
+        const resolutions = req.body.resolutions && typeof req.body.resolutions === 'object' ? req.body.resolutions : {};
+        
+        const db = await getDb();
+        
+        const brand = await getCafeBrand(db, cafeId);
+        if (!brand || brand.isMaster) {
+            return res.status(400).json({ error: 'Only branches of a brand sync from a master menu' });
+        }
+        if (!brand.masterCafeId) {
+            return res.status(400).json({ error: 'The brand has no master menu' });
+        }
+        
+        if (dryRun) {
+            const plan = await planBranchSync(db, brand.masterCafeId, cafeId, resolutions);
+            return res.json({ dryRun: true, ...plan });
+        }
+        
+        const plan = await db.transaction(async tx => {
+            const applied = await syncBranch(tx, brand.masterCafeId, cafeId, resolutions);
+            
+            // Log activity
+            const { summary } = applied;
+            await tx.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+                .run(req.user.id, cafeId, 'sync_brand_menu', `Synced from ${brand.name}: ${summary.itemsCreated} added, ${summary.itemsUpdated} updated, ${summary.itemsRemoved} removed, ${summary.conflicts} conflicts`);
+            
+            return applied;
+        });
+        
+        publishMenuEvent(cafeId, 'menu.changed', { reason: 'brand_synced' });
+        
+        res.json({ success: true, dryRun: false, ...plan });
+    } catch (error) {
+        console.error('Sync brand menu error:', error);
+        res.status(500).json({ error: 'Failed to sync menu' });
+    }
+});
+
+// Push the master menu to every branch again. Changes to the master push by
+// themselves; this catches up branches after a failed sync. Conflicts are left
+// for each branch to settle.
+router.post('/:cafeId/brand/push', requireCafePermission('publish'), async (req, res) => {
+    try {
+        const { cafeId } = req.params;
+        const db = await getDb();
+        
+        const brand = await getCafeBrand(db, cafeId);
+        if (!brand || !brand.isMaster) {
+            return res.status(400).json({ error: 'Only the master menu of a brand can be pushed' });
+        }
+        
+        const results = await pushToBranches(db, cafeId);
+        
+        // Log activity
+        for (const result of results) {
+            await db.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+                .run(req.user.id, result.cafeId, 'sync_brand_menu', `Pushed from ${brand.name}: ${result.summary.conflicts} conflicts`);
+        }
+        
+        res.json({ success: true, branches: results });
+    } catch (error) {
+        console.error('Push brand menu error:', error);
+        res.status(500).json({ error: 'Failed to push menu' });
     }
 });
 
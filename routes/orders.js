@@ -0,0 +1,146 @@
+/**
+ * Order Routes - Kitchen order queue for cafe owners
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getDb } = require('../database/init');
+const { authenticateToken, requireCafeAccess, requireCafePermission } = require('../middleware/auth');
+const eventBus = require('../services/eventBus');
+
+// Allowed status transitions: action -> { from, to, timestamp column }
+const ORDER_ACTIONS = {
+    accept: { from: ['pending'], to: 'accepted', column: 'accepted_at' },
+    ready: { from: ['pending', 'accepted'], to: 'ready', column: 'ready_at' },
+    complete: { from: ['accepted', 'ready'], to: 'completed', column: 'completed_at' },
+    cancel: { from: ['pending', 'accepted'], to: 'cancelled', column: null }
+};
+
+router.use(authenticateToken);
+
+// Attach line items to a list of orders
+async function withOrderItems(db, orders) {
+    const result = [];
+    for (const order of orders) {
+        const items = await db.prepare(`
+            SELECT id, menu_item_id, name, unit_price, quantity, variant_name, modifiers, notes, line_total
+            FROM order_items
+            WHERE order_id = ?
+            ORDER BY id ASC
+        `).all(order.id);
+        result.push({ ...order, items });
+    }
+    return result;
+}
+
+// Get orders for a cafe (defaults to the open queue)
+router.get('/:cafeId', requireCafeAccess, async (req, res) => {
+    try {
+        const { cafeId } = req.params;
+        const { status } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+        
+        const db = await getDb();
+        
+        let orders;
+        if (status === 'all') {
+            orders = await db.prepare(`
+                SELECT * FROM orders
+                WHERE cafe_id = ?
+                ORDER BY created_at DESC, id DESC
+                LIMIT ?
+            `).all(cafeId, limit);
+        } else if (status) {
+            orders = await db.prepare(`
+                SELECT * FROM orders
+                WHERE cafe_id = ? AND status = ?
+                ORDER BY created_at ASC, id ASC
+                LIMIT ?
+            `).all(cafeId, status, limit);
+        } else {
+            orders = await db.prepare(`
+                SELECT * FROM orders
+                WHERE cafe_id = ? AND status IN ('pending', 'accepted', 'ready')
+                ORDER BY created_at ASC, id ASC
+                LIMIT ?
+            `).all(cafeId, limit);
+        }
+        
+        res.json({ orders: await withOrderItems(db, orders) });
+    } catch (error) {
+        console.error('Get orders error:', error);
+        res.status(500).json({ error: 'Failed to fetch orders' });
+    }
+});
+
+// Live order queue and waiter calls (Server-Sent Events)
+router.get('/:cafeId/events', requireCafeAccess, (req, res) => {
+    eventBus.stream(req, res, eventBus.ownerChannel(req.params.cafeId));
+});
+
+// Get single order
+router.get('/:cafeId/:orderId', requireCafeAccess, async (req, res) => {
+    try {
+        const { cafeId, orderId } = req.params;
+        const db = await getDb();
+        
+        const order = await db.prepare('SELECT * FROM orders WHERE id = ? AND cafe_id = ?').get(orderId, cafeId);
+        
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        
+        const [withItems] = await withOrderItems(db, [order]);
+        res.json({ order: withItems });
+    } catch (error) {
+        console.error('Get order error:', error);
+        res.status(500).json({ error: 'Failed to fetch order' });
+    }
+});
+
+// Accept / mark ready / complete / cancel an order
+router.post('/:cafeId/:orderId/:action', requireCafePermission('orders'), async (req, res) => {
+    try {
+        const { cafeId, orderId, action } = req.params;
+        const transition = ORDER_ACTIONS[action];
+        
+        if (!transition) {
+            return res.status(404).json({ error: 'Unknown order action' });
+        }
+        
+        const db = await getDb();
+        
+        const order = await db.prepare('SELECT id, status FROM orders WHERE id = ? AND cafe_id = ?').get(orderId, cafeId);
+        
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        
+        if (!transition.from.includes(order.status)) {
+            return res.status(409).json({ error: `Cannot ${action} an order that is ${order.status}` });
+        }
+        
+        // Guard on the previous status so concurrent updates cannot both win
+        const timestampSql = transition.column ? `, ${transition.column} = CURRENT_TIMESTAMP` : '';
+        const result = await db.prepare(`
+            UPDATE orders SET status = ?${timestampSql}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = ?
+        `).run(transition.to, orderId, order.status);
+        
+        if (!result.changes) {
+            return res.status(409).json({ error: 'Order was updated by someone else, please refresh' });
+        }
+        
+        eventBus.publish(eventBus.ownerChannel(cafeId), 'order.updated', {
+            orderId: parseInt(orderId),
+            status: transition.to
+        });
+        
+        res.json({ success: true, status: transition.to });
+    } catch (error) {
+        console.error('Update order error:', error);
+        res.status(500).json({ error: 'Failed to update order' });
+    }
+});
+
+module.exports = router;
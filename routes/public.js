@@ -4,13 +4,26 @@
 
 const express = require('express');
 const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
 const { getDb } = require('../database/init');
+const eventBus = require('../services/eventBus');
+const { attachItemOptions, priceSelection } = require('../services/menuOptions');
+const { collectEvents, recordCounters } = require('../services/menuEngagement');
+const { cafeTimezone, applySchedules, isAvailableNow } = require('../services/menuSchedule');
+const { getPriceRules, activePriceRules, hasTimedRules, priceItem, applyPriceRules } = require('../services/priceRules');
+const { cafeLanguages, resolveLanguage, languageName, getTranslations, translateMenu } = require('../services/menuTranslations');
+const { readAllergens, allergenLegend } = require('../services/allergens');
+const { readNutrition, readIngredients } = require('../services/nutrition');
+const { buildMenuStructuredData } = require('../services/menuStructuredData');
+
+const MAX_ORDER_LINES = 50;
+const MAX_ITEM_QUANTITY = 20;
 
 // Get public menu data by slug
 router.get('/menu/:slug', async (req, res) => {
     try {
         const { slug } = req.params;
-        const { preview } = req.query; // Allow preview mode for unpublished
+        const { preview, t: tableToken, lang } = req.query; // Allow preview mode for unpublished
         const db = await getDb();
         
         // Get cafe - allow unpublished if preview=true
@@ -18,7 +31,7 @@ router.get('/menu/:slug', async (req, res) => {
             SELECT id, name, slug, tagline, description, logo, cover_image,
                    phone, email, address, website, instagram, facebook, currency,
                    primary_color, secondary_color, accent_color, background_color, text_color,
-                   is_published
+                   timezone, default_language, languages, is_published
             FROM cafes 
             WHERE slug = ?
         `).get(slug);
@@ -32,35 +45,59 @@ router.get('/menu/:slug', async (req, res) => {
             return res.status(404).json({ error: 'Menu not found or not published yet' });
         }
         
+        // Resolve table from QR token (ignored if unknown or inactive)
+        let table = null;
+        if (tableToken) {
+            table = await db.prepare(`
+                SELECT id, name FROM cafe_tables
+                WHERE token = ? AND cafe_id = ? AND is_active = 1
+            `).get(tableToken, cafe.id);
+        }
+        
         // Get categories
         const categories = await db.prepare(`
-            SELECT id, name, icon, description
+            SELECT id, name, icon, description, schedule
             FROM categories 
             WHERE cafe_id = ? AND is_active = 1
             ORDER BY sort_order ASC
         `).all(cafe.id);
         
-        // Get items
-        const items = await db.prepare(`
+        // Get items (with available sizes and add-ons)
+        const items = await attachItemOptions(db, cafe.id, await db.prepare(`
             SELECT id, category_id, name, description, price, original_price, image,
                    calories, is_vegan, is_vegetarian, is_gluten_free, is_spicy,
-                   is_bestseller, is_new
+                   is_bestseller, is_new, schedule, allergens, nutrition, ingredients
             FROM menu_items 
-            WHERE cafe_id = ? AND is_available = 1
+            WHERE cafe_id = ? AND is_available = 1 AND is_hidden = 0
             ORDER BY sort_order ASC
-        `).all(cafe.id);
+        `).all(cafe.id), { availableOnly: true });
+        items.forEach(item => {
+            item.allergens = readAllergens(item);
+            item.nutrition = readNutrition(item);
+            item.ingredients = readIngredients(item);
+        });
         
-        // Organize items by category
-        const categoriesWithItems = categories.map(cat => ({
+        // Organize items by category, drop or annotate entries outside their
+        // schedule, then apply the promotions running right now
+        const priceRules = await getPriceRules(db, cafe.id);
+        const hasSchedules = categories.some(cat => cat.schedule) || items.some(item => item.schedule) || hasTimedRules(priceRules);
+        const categoriesWithItems = applyPriceRules(applySchedules(categories.map(cat => ({
             ...cat,
             items: items.filter(item => item.category_id === cat.id)
-        }));
+        })), cafeTimezone(cafe)), activePriceRules(priceRules, cafeTimezone(cafe)));
+        
+        // Texts in the requested language, falling back to the default one
+        const { defaultLanguage, languages } = cafeLanguages(cafe);
+        const language = resolveLanguage(cafe, lang);
+        const translated = language === defaultLanguage
+            ? { cafe, categories: categoriesWithItems }
+            : translateMenu(cafe, categoriesWithItems, await getTranslations(db, cafe.id, language));
         
         res.json({
             cafe: {
                 name: cafe.name,
-                tagline: cafe.tagline,
-                description: cafe.description,
+                tagline: translated.cafe.tagline,
+                description: translated.cafe.description,
                 logo: cafe.logo,
                 coverImage: cafe.cover_image,
                 contact: {
@@ -82,7 +119,14 @@ router.get('/menu/:slug', async (req, res) => {
                     textColor: cafe.text_color
                 }
             },
-            categories: categoriesWithItems
+            categories: translated.categories,
+            table: table ? { id: table.id, name: table.name } : null,
+            hasSchedules,
+            allergenLegend: allergenLegend(translated.categories),
+            structuredData: buildMenuStructuredData(translated.cafe, translated.categories, { language }),
+            language,
+            defaultLanguage,
+            languages: languages.map(code => ({ code, name: languageName(code) }))
         });
     } catch (error) {
         console.error('Get public menu error:', error);
@@ -90,6 +134,300 @@ router.get('/menu/:slug', async (req, res) => {
     }
 });
 
+// Place an order from the public menu
+router.post('/menu/:slug/orders', async (req, res) => {
+    try {
+        const { slug } = req.params;
+        const { items, tableToken, customerName, notes } = req.body;
+        
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({ error: 'Order must contain at least one item' });
+        }
+        
+        if (items.length > MAX_ORDER_LINES) {
+            return res.status(400).json({ error: `Order cannot contain more than ${MAX_ORDER_LINES} lines` });
+        }
+        
+        const db = await getDb();
+        
+        const cafe = await db.prepare('SELECT id, is_published, timezone FROM cafes WHERE slug = ?').get(slug);
+        if (!cafe || !cafe.is_published) {
+            return res.status(404).json({ error: 'Menu not found' });
+        }
+        
+        let table = null;
+        if (tableToken) {
+            table = await db.prepare(`
+                SELECT id, name FROM cafe_tables
+                WHERE token = ? AND cafe_id = ? AND is_active = 1
+            `).get(tableToken, cafe.id);
+        }
+        
+        // Validate every line against the database - never trust client prices
+        const priceRules = activePriceRules(await getPriceRules(db, cafe.id), cafeTimezone(cafe));
+        const errors = [];
+        const lines = [];
+        
+        for (const [index, line] of items.entries()) {
+            const itemId = parseInt(line.itemId);
+            // A missing quantity means one; anything else must be a whole number
+            const quantity = line.quantity === undefined ? 1 : Number(line.quantity);
+            
+            if (!itemId) {
+                errors.push({ index, error: 'Invalid item' });
+                continue;
+            }
+            
+            if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_ITEM_QUANTITY) {
+                errors.push({ index, itemId, error: `Quantity must be between 1 and ${MAX_ITEM_QUANTITY}` });
+                continue;
+            }
+            
+            const menuItem = await db.prepare(`
+                SELECT mi.id, mi.category_id, mi.name, mi.price, mi.is_available, mi.schedule, c.schedule AS category_schedule
+                FROM menu_items mi
+                JOIN categories c ON mi.category_id = c.id
+                WHERE mi.id = ? AND mi.cafe_id = ? AND mi.is_hidden = 0 AND c.is_active = 1
+            `).get(itemId, cafe.id);
+            
+            if (!menuItem) {
+                errors.push({ index, itemId, error: 'Item not found' });
+                continue;
+            }
+            
+            if (!menuItem.is_available) {
+                errors.push({ index, itemId, error: `${menuItem.name} is sold out` });
+                continue;
+            }
+            
+            if (!isAvailableNow(menuItem, { schedule: menuItem.category_schedule }, cafeTimezone(cafe))) {
+                errors.push({ index, itemId, error: `${menuItem.name} is not available right now` });
+                continue;
+            }
+            
+            // Price the chosen size and add-ons from the database, with any running promotion
+            const [withOptions] = await attachItemOptions(db, cafe.id, [menuItem], { availableOnly: true });
+            const selection = priceSelection(priceItem(withOptions, priceRules), line.variantId, line.modifiers);
+            
+            if (selection.error) {
+                errors.push({ index, itemId, error: selection.error });
+                continue;
+            }
+            
+            const { unitPrice, variantName, modifierNames } = selection;
+            
+            // Reject if the guest saw a different price than the current one
+            if (line.price !== undefined && Math.abs(parseFloat(line.price) - unitPrice) > 0.001) {
+                errors.push({ index, itemId, error: `The price of ${menuItem.name} has changed`, price: unitPrice });
+                continue;
+            }
+            
+            lines.push({
+                menuItemId: menuItem.id,
+                name: menuItem.name,
+                unitPrice,
+                quantity,
+                variantName,
+                modifiers: modifierNames.length > 0 ? modifierNames.join(', ') : null,
+                notes: line.notes ? String(line.notes).slice(0, 200) : null,
+                lineTotal: Math.round(unitPrice * quantity * 100) / 100
+            });
+        }
+        
+        if (errors.length > 0) {
+            return res.status(409).json({ error: 'Some items could not be ordered', details: errors });
+        }
+        
+        const total = Math.round(lines.reduce((sum, line) => sum + line.lineTotal, 0) * 100) / 100;
+        const publicToken = uuidv4();
+        
+        // Order and its lines are saved together
+        const orderId = await db.transaction(async tx => {
+            const result = await tx.prepare(`
+                INSERT INTO orders (cafe_id, table_id, table_name, public_token, customer_name, notes, total)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `).run(
+                cafe.id,
+                table ? table.id : null,
+                table ? table.name : null,
+                publicToken,
+                customerName ? String(customerName).slice(0, 100) : null,
+                notes ? String(notes).slice(0, 500) : null,
+                total
+            );
+            
+            const newOrderId = result.lastInsertRowid;
+            
+            for (const line of lines) {
+                await tx.prepare(`
+                    INSERT INTO order_items (order_id, menu_item_id, name, unit_price, quantity, variant_name, modifiers, notes, line_total)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `).run(
+                    newOrderId, line.menuItemId, line.name, line.unitPrice, line.quantity,
+                    line.variantName, line.modifiers, line.notes, line.lineTotal
+                );
+            }
+            
+            return newOrderId;
+        });
+        
+        eventBus.publish(eventBus.ownerChannel(cafe.id), 'order.created', {
+            orderId,
+            table: table ? table.name : null,
+            customerName: customerName || null,
+            total,
+            itemCount: lines.reduce((sum, line) => sum + line.quantity, 0)
+        });
+        
+        res.status(201).json({
+            success: true,
+            order: {
+                id: orderId,
+                token: publicToken,
+                status: 'pending',
+                table: table ? table.name : null,
+                total,
+                items: lines.map(line => ({
+                    name: line.name,
+                    quantity: line.quantity,
+                    variant: line.variantName,
+                    modifiers: line.modifiers,
+                    unitPrice: line.unitPrice,
+                    lineTotal: line.lineTotal
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Place order error:', error);
+        res.status(500).json({ error: 'Failed to place order' });
+    }
+});
+
+// Get order status (guest holds the token returned when ordering)
+router.get('/menu/:slug/orders/:token', async (req, res) => {
+    try {
+        const { slug, token } = req.params;
+        const db = await getDb();
+        
+        const order = await db.prepare(`
+            SELECT o.id, o.status, o.table_name, o.total, o.created_at
+            FROM orders o
+            JOIN cafes c ON o.cafe_id = c.id
+            WHERE o.public_token = ? AND c.slug = ?
+        `).get(token, slug);
+        
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        
+        const items = await db.prepare(`
+            SELECT name, quantity, variant_name, modifiers, unit_price, line_total
+            FROM order_items
+            WHERE order_id = ?
+            ORDER BY id ASC
+        `).all(order.id);
+        
+        res.json({ order: { ...order, items } });
+    } catch (error) {
+        console.error('Get order status error:', error);
+        res.status(500).json({ error: 'Failed to fetch order' });
+    }
+});
+
+// Call a waiter to the table (requires the table's QR token)
+router.post('/menu/:slug/waiter-call', async (req, res) => {
+    try {
+        const { slug } = req.params;
+        const { tableToken, reason } = req.body;
+        
+        if (!tableToken) {
+            return res.status(400).json({ error: 'Table required' });
+        }
+        
+        const db = await getDb();
+        
+        const table = await db.prepare(`
+            SELECT t.id, t.name, t.cafe_id
+            FROM cafe_tables t
+            JOIN cafes c ON t.cafe_id = c.id
+            WHERE t.token = ? AND c.slug = ? AND t.is_active = 1 AND c.is_published = 1
+        `).get(tableToken, slug);
+        
+        if (!table) {
+            return res.status(404).json({ error: 'Table not found' });
+        }
+        
+        eventBus.publish(eventBus.ownerChannel(table.cafe_id), 'waiter.called', {
+            tableId: table.id,
+            table: table.name,
+            reason: reason ? String(reason).slice(0, 100) : null
+        });
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Waiter call error:', error);
+        res.status(500).json({ error: 'Failed to call waiter' });
+    }
+});
+
+// Engagement beacon from the public menu (item views, category clicks/dwell, searches).
+// navigator.sendBeacon posts text/plain, so the JSON body is parsed here.
+router.post('/menu/:slug/events', express.text({ limit: '64kb' }), async (req, res) => {
+    try {
+        const { slug } = req.params;
+        
+        let body = req.body;
+        if (typeof body === 'string') {
+            try {
+                body = JSON.parse(body);
+            } catch (e) {
+                return res.status(400).json({ error: 'Invalid JSON' });
+            }
+        }
+        
+        const db = await getDb();
+        
+        const cafe = await db.prepare('SELECT id FROM cafes WHERE slug = ? AND is_published = 1').get(slug);
+        if (!cafe) {
+            return res.status(404).json({ error: 'Menu not found' });
+        }
+        
+        const result = await collectEvents(db, cafe.id, body && body.events);
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        
+        if (result.counters.length > 0) {
+            await db.transaction(tx => recordCounters(tx, cafe.id, result.counters));
+        }
+        
+        res.status(204).end();
+    } catch (error) {
+        console.error('Menu engagement error:', error);
+        res.status(500).json({ error: 'Failed to record events' });
+    }
+});
+
+// Live menu updates (Server-Sent Events)
+router.get('/menu/:slug/events', async (req, res) => {
+    try {
+        const { slug } = req.params;
+        const { preview } = req.query;
+        const db = await getDb();
+        
+        const cafe = await db.prepare('SELECT id, is_published FROM cafes WHERE slug = ?').get(slug);
+        
+        if (!cafe || (!cafe.is_published && preview !== 'true')) {
+            return res.status(404).json({ error: 'Menu not found' });
+        }
+        
+        eventBus.stream(req, res, eventBus.menuChannel(cafe.id));
+    } catch (error) {
+        console.error('Menu events error:', error);
+        res.status(500).json({ error: 'Failed to open event stream' });
+    }
+});
+
 // Check if slug is available
 router.get('/check-slug/:slug', async (req, res) => {
     try {
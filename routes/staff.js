@@ -0,0 +1,205 @@
+/**
+ * Staff Routes - Members of a cafe and their roles (see services/cafeRoles)
+ */
+
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('../database/init');
+const { authenticateToken, requireCafePermission } = require('../middleware/auth');
+const { ROLES, isRole } = require('../services/cafeRoles');
+
+router.use(authenticateToken);
+
+// Owners left in a cafe if `userId` stopped being one
+async function countOtherOwners(db, cafeId, userId) {
+    const row = await db.prepare(`
+        SELECT COUNT(*) as count FROM cafe_members
+        WHERE cafe_id = ? AND role = 'owner' AND user_id != ?
+    `).get(cafeId, userId);
+    return row.count;
+}
+
+// List members of a cafe and the roles they can have
+router.get('/:cafeId', requireCafePermission('staff'), async (req, res) => {
+    try {
+        const db = await getDb();
+        const members = await db.prepare(`
+            SELECT u.id, u.email, u.name, u.is_active, m.role, m.created_at,
+                   inviter.name as invited_by_name
+            FROM cafe_members m
+            JOIN users u ON u.id = m.user_id
+            LEFT JOIN users inviter ON inviter.id = m.invited_by
+            WHERE m.cafe_id = ?
+            ORDER BY m.created_at ASC, u.id ASC
+        `).all(req.params.cafeId);
+        
+        res.json({ members, roles: ROLES });
+    } catch (error) {
+        console.error('Get staff error:', error);
+        res.status(500).json({ error: 'Failed to fetch staff' });
+    }
+});
+
+// Invite someone to the cafe. New accounts get a generated password, returned once;
+// existing accounts (e.g. an owner of another cafe) are added with the role.
+router.post('/:cafeId', requireCafePermission('staff'), async (req, res) => {
+    try {
+        const { cafeId } = req.params;
+        const { name, role } = req.body;
+        const email = String(req.body.email || '').trim().toLowerCase();
+        
+        if (!email || !/^[^\s@]+@[^\s@]+$/.test(email)) {
+            return res.status(400).json({ error: 'Valid email required' });
+        }
+        if (!isRole(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${ROLES.map(r => r.role).join(', ')}` });
+        }
+        
+        const db = await getDb();
+        
+        const existing = await db.prepare('SELECT id, name, role, cafe_id FROM users WHERE email = ? COLLATE NOCASE').get(email);
+        if (existing && existing.role === 'admin') {
+            return res.status(400).json({ error: 'Admins already have access to every cafe' });
+        }
+        if (existing) {
+            const member = await db.prepare('SELECT role FROM cafe_members WHERE cafe_id = ? AND user_id = ?').get(cafeId, existing.id);
+            if (member) {
+                return res.status(400).json({ error: 'Already a member of this cafe' });
+            }
+        } else if (!name || !String(name).trim()) {
+            return res.status(400).json({ error: 'Name required for new accounts' });
+        }
+        
+        const password = existing ? null : (req.body.password || uuidv4().slice(0, 8));
+        const hashedPassword = password ? await bcrypt.hash(password, 10) : null;
+        
+        const userId = await db.transaction(async tx => {
+            let id = existing && existing.id;
+            if (!existing) {
+                const result = await tx.prepare(`
+                    INSERT INTO users (email, password, name, role, cafe_id)
+                    VALUES (?, ?, ?, ?, ?)
+                `).run(email, hashedPassword, String(name).trim(), role === 'owner' ? 'owner' : 'staff', cafeId);
+                id = result.lastInsertRowid;
+            } else if (!existing.cafe_id) {
+                await tx.prepare('UPDATE users SET cafe_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(cafeId, id);
+            }
+            
+            await tx.prepare('INSERT INTO cafe_members (cafe_id, user_id, role, invited_by) VALUES (?, ?, ?, ?)')
+                .run(cafeId, id, role, req.user.id);
+            
+            // Log activity
+            await tx.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+                .run(req.user.id, cafeId, 'invite_staff', `Added ${email} as ${role}`);
+            
+            return id;
+        });
+        
+        res.json({
+            success: true,
+            member: { id: Number(userId), email, name: existing ? existing.name : String(name).trim(), role },
+            password // Only for new accounts, shown once
+        });
+    } catch (error) {
+        console.error('Invite staff error:', error);
+        res.status(500).json({ error: 'Failed to add staff member' });
+    }
+});
+
+// Change a member's role
+router.put('/:cafeId/:userId', requireCafePermission('staff'), async (req, res) => {
+    try {
+        const { cafeId, userId } = req.params;
+        const { role } = req.body;
+        
+        if (!isRole(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${ROLES.map(r => r.role).join(', ')}` });
+        }
+        if (parseInt(userId) === req.user.id) {
+            return res.status(400).json({ error: 'You cannot change your own role' });
+        }
+        
+        const db = await getDb();
+        
+        const member = await db.prepare(`
+            SELECT m.role, u.email, u.role as account_role FROM cafe_members m
+            JOIN users u ON u.id = m.user_id
+            WHERE m.cafe_id = ? AND m.user_id = ?
+        `).get(cafeId, userId);
+        if (!member) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        
+        if (member.role === 'owner' && role !== 'owner' && await countOtherOwners(db, cafeId, userId) === 0) {
+            return res.status(400).json({ error: 'A cafe needs at least one owner' });
+        }
+        
+        await db.transaction(async tx => {
+            await tx.prepare('UPDATE cafe_members SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE cafe_id = ? AND user_id = ?')
+                .run(role, cafeId, userId);
+            
+            // Staff accounts made owner can be managed like other owners
+            if (role === 'owner' && member.account_role === 'staff') {
+                await tx.prepare("UPDATE users SET role = 'owner', updated_at = CURRENT_TIMESTAMP WHERE id = ?").run(userId);
+            }
+            
+            // Log activity
+            await tx.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+                .run(req.user.id, cafeId, 'update_staff', `Changed ${member.email} from ${member.role} to ${role}`);
+        });
+        
+        res.json({ success: true, role });
+    } catch (error) {
+        console.error('Update staff error:', error);
+        res.status(500).json({ error: 'Failed to update staff member' });
+    }
+});
+
+// Remove a member. Staff accounts that no longer belong to any cafe are deleted.
+router.delete('/:cafeId/:userId', requireCafePermission('staff'), async (req, res) => {
+    try {
+        const { cafeId, userId } = req.params;
+        const db = await getDb();
+        
+        const member = await db.prepare(`
+            SELECT m.role, u.email, u.role as account_role, u.cafe_id FROM cafe_members m
+            JOIN users u ON u.id = m.user_id
+            WHERE m.cafe_id = ? AND m.user_id = ?
+        `).get(cafeId, userId);
+        if (!member) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        
+        if (member.role === 'owner' && await countOtherOwners(db, cafeId, userId) === 0) {
+            return res.status(400).json({ error: 'A cafe needs at least one owner' });
+        }
+        
+        await db.transaction(async tx => {
+            await tx.prepare('DELETE FROM cafe_members WHERE cafe_id = ? AND user_id = ?').run(cafeId, userId);
+            
+            const other = await tx.prepare('SELECT cafe_id FROM cafe_members WHERE user_id = ? ORDER BY created_at ASC').get(userId);
+            if (!other && member.account_role === 'staff') {
+                await tx.prepare('DELETE FROM users WHERE id = ?').run(userId);
+                await tx.prepare('DELETE FROM account_tokens WHERE user_id = ?').run(userId);
+                await tx.prepare('DELETE FROM spent_refresh_tokens WHERE session_id IN (SELECT id FROM sessions WHERE user_id = ?)').run(userId);
+                await tx.prepare('DELETE FROM sessions WHERE user_id = ?').run(userId);
+            } else if (member.cafe_id === parseInt(cafeId)) {
+                await tx.prepare('UPDATE users SET cafe_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+                    .run(other ? other.cafe_id : null, userId);
+            }
+            
+            // Log activity
+            await tx.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+                .run(req.user.id, cafeId, 'remove_staff', `Removed ${member.email}`);
+        });
+        
+        res.json({ success: true, message: 'Staff member removed' });
+    } catch (error) {
+        console.error('Remove staff error:', error);
+        res.status(500).json({ error: 'Failed to remove staff member' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,276 @@
+/**
+ * Table Routes - Per-table QR codes for a cafe
+ */
+
+const express = require('express');
+const router = express.Router();
+const archiver = require('archiver');
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('../database/init');
+const { authenticateToken, requireCafeAccess, requireCafePermission } = require('../middleware/auth');
+const { getBaseUrl, buildMenuUrl, generateQRBuffer } = require('../services/qrGenerator');
+
+router.use(authenticateToken);
+
+// Generate an unguessable token encoded in the table's QR code
+function generateTableToken() {
+    return uuidv4().replace(/-/g, '').slice(0, 12);
+}
+
+// Build a filesystem-safe file name for a table's QR code
+function getTableQRFilename(table) {
+    const safeName = table.name.toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+    return `${safeName || 'table'}-${table.id}.png`;
+}
+
+// Get all tables for a cafe
+router.get('/:cafeId', requireCafeAccess, async (req, res) => {
+    try {
+        const db = await getDb();
+        const tables = await db.prepare(`
+            SELECT * FROM cafe_tables
+            WHERE cafe_id = ?
+            ORDER BY sort_order ASC, id ASC
+        `).all(req.params.cafeId);
+        
+        res.json(tables);
+    } catch (error) {
+        console.error('Get tables error:', error);
+        res.status(500).json({ error: 'Failed to fetch tables' });
+    }
+});
+
+// Create table
+router.post('/:cafeId', requireCafePermission('tables'), async (req, res) => {
+    try {
+        const { cafeId } = req.params;
+        const { name } = req.body;
+        
+        if (!name) {
+            return res.status(400).json({ error: 'Table name required' });
+        }
+        
+        const db = await getDb();
+        
+        const maxOrder = await db.prepare('SELECT MAX(sort_order) as max FROM cafe_tables WHERE cafe_id = ?').get(cafeId);
+        const sortOrder = (maxOrder?.max || 0) + 1;
+        const token = generateTableToken();
+        
+        const result = await db.prepare(`
+            INSERT INTO cafe_tables (cafe_id, name, token, sort_order)
+            VALUES (?, ?, ?, ?)
+        `).run(cafeId, name, token, sortOrder);
+        
+        // Log activity
+        await db.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+            .run(req.user.id, cafeId, 'add_table', `Added table: ${name}`);
+        
+        res.json({
+            success: true,
+            table: { id: result.lastInsertRowid, name, token, sort_order: sortOrder }
+        });
+    } catch (error) {
+        console.error('Create table error:', error);
+        res.status(500).json({ error: 'Failed to create table' });
+    }
+});
+
+// Bulk create numbered tables (e.g. "Table 1" .. "Table 30")
+router.post('/:cafeId/bulk', requireCafePermission('tables'), async (req, res) => {
+    try {
+        const { cafeId } = req.params;
+        const count = parseInt(req.body.count);
+        const prefix = req.body.prefix || 'Table';
+        const start = parseInt(req.body.start) || 1;
+        
+        if (!count || count < 1 || count > 200) {
+            return res.status(400).json({ error: 'Count must be between 1 and 200' });
+        }
+        
+        const db = await getDb();
+        
+        const tables = await db.transaction(async tx => {
+            const maxOrder = await tx.prepare('SELECT MAX(sort_order) as max FROM cafe_tables WHERE cafe_id = ?').get(cafeId);
+            let sortOrder = (maxOrder?.max || 0) + 1;
+            
+            const created = [];
+            
+            for (let i = 0; i < count; i++) {
+                const name = `${prefix} ${start + i}`;
+                const token = generateTableToken();
+                const result = await tx.prepare(`
+                    INSERT INTO cafe_tables (cafe_id, name, token, sort_order)
+                    VALUES (?, ?, ?, ?)
+                `).run(cafeId, name, token, sortOrder);
+                created.push({ id: result.lastInsertRowid, name, token, sort_order: sortOrder });
+                sortOrder++;
+            }
+            
+            // Log activity
+            await tx.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+                .run(req.user.id, cafeId, 'bulk_add_tables', `Added ${count} tables`);
+            
+            return created;
+        });
+        
+        res.json({ success: true, tables });
+    } catch (error) {
+        console.error('Bulk create tables error:', error);
+        res.status(500).json({ error: 'Failed to create tables' });
+    }
+});
+
+// Download ZIP with a QR code for every table
+router.get('/:cafeId/qr/download', requireCafeAccess, async (req, res) => {
+    try {
+        const { cafeId } = req.params;
+        const db = await getDb();
+        
+        const cafe = await db.prepare('SELECT * FROM cafes WHERE id = ?').get(cafeId);
+        if (!cafe) {
+            return res.status(404).json({ error: 'Cafe not found' });
+        }
+        
+        const tables = await db.prepare(`
+            SELECT * FROM cafe_tables
+            WHERE cafe_id = ? AND is_active = 1
+            ORDER BY sort_order ASC, id ASC
+        `).all(cafeId);
+        
+        if (tables.length === 0) {
+            return res.status(400).json({ error: 'No tables created yet' });
+        }
+        
+        const baseUrl = getBaseUrl(req);
+        
+        // Render all codes before streaming so a failure can still return JSON
+        const files = [];
+        for (const table of tables) {
+            const menuUrl = buildMenuUrl(baseUrl, cafe.slug, table.token);
+            files.push({
+                name: getTableQRFilename(table),
+                buffer: await generateQRBuffer(menuUrl, cafe)
+            });
+        }
+        
+        res.attachment(`${cafe.slug}-table-qrcodes.zip`);
+        
+        const archive = archiver('zip', { zlib: { level: 9 } });
+        archive.pipe(res);
+        files.forEach(file => archive.append(file.buffer, { name: file.name }));
+        archive.finalize();
+    } catch (error) {
+        console.error('Download table QR codes error:', error);
+        res.status(500).json({ error: 'Failed to create QR code package' });
+    }
+});
+
+// Get QR code for a single table (PNG data URL)
+router.get('/:cafeId/:tableId/qr', requireCafeAccess, async (req, res) => {
+    try {
+        const { cafeId, tableId } = req.params;
+        const db = await getDb();
+        
+        const cafe = await db.prepare('SELECT * FROM cafes WHERE id = ?').get(cafeId);
+        const table = await db.prepare('SELECT * FROM cafe_tables WHERE id = ? AND cafe_id = ?').get(tableId, cafeId);
+        
+        if (!cafe || !table) {
+            return res.status(404).json({ error: 'Table not found' });
+        }
+        
+        const menuUrl = buildMenuUrl(getBaseUrl(req), cafe.slug, table.token);
+        const buffer = await generateQRBuffer(menuUrl, cafe);
+        
+        res.json({
+            success: true,
+            qrCode: `data:image/png;base64,${buffer.toString('base64')}`,
+            menuUrl
+        });
+    } catch (error) {
+        console.error('Generate table QR error:', error);
+        res.status(500).json({ error: 'Failed to generate QR code' });
+    }
+});
+
+// Rename / update table
+router.put('/:cafeId/:tableId', requireCafePermission('tables'), async (req, res) => {
+    try {
+        const { cafeId, tableId } = req.params;
+        const { name, isActive, sortOrder } = req.body;
+        
+        const db = await getDb();
+        
+        const result = await db.prepare(`
+            UPDATE cafe_tables SET
+                name = COALESCE(?, name),
+                is_active = COALESCE(?, is_active),
+                sort_order = COALESCE(?, sort_order),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND cafe_id = ?
+        `).run(
+            name || null,
+            isActive !== undefined ? (isActive ? 1 : 0) : null,
+            sortOrder !== undefined ? parseInt(sortOrder) : null,
+            tableId, cafeId
+        );
+        
+        if (!result.changes) {
+            return res.status(404).json({ error: 'Table not found' });
+        }
+        
+        res.json({ success: true, message: 'Table updated' });
+    } catch (error) {
+        console.error('Update table error:', error);
+        res.status(500).json({ error: 'Failed to update table' });
+    }
+});
+
+// Regenerate a table's token (invalidates the printed QR code)
+router.post('/:cafeId/:tableId/regenerate-token', requireCafePermission('tables'), async (req, res) => {
+    try {
+        const { cafeId, tableId } = req.params;
+        const db = await getDb();
+        
+        const token = generateTableToken();
+        const result = await db.prepare(`
+            UPDATE cafe_tables SET token = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND cafe_id = ?
+        `).run(token, tableId, cafeId);
+        
+        if (!result.changes) {
+            return res.status(404).json({ error: 'Table not found' });
+        }
+        
+        res.json({ success: true, token });
+    } catch (error) {
+        console.error('Regenerate table token error:', error);
+        res.status(500).json({ error: 'Failed to regenerate table token' });
+    }
+});
+
+// Delete table
+router.delete('/:cafeId/:tableId', requireCafePermission('tables'), async (req, res) => {
+    try {
+        const { cafeId, tableId } = req.params;
+        const db = await getDb();
+        
+        const table = await db.prepare('SELECT name FROM cafe_tables WHERE id = ? AND cafe_id = ?').get(tableId, cafeId);
+        
+        await db.prepare('DELETE FROM cafe_tables WHERE id = ? AND cafe_id = ?').run(tableId, cafeId);
+        
+        // Log activity
+        if (table) {
+            await db.prepare('INSERT INTO activity_log (user_id, cafe_id, action, details) VALUES (?, ?, ?, ?)')
+                .run(req.user.id, cafeId, 'delete_table', `Deleted table: ${table.name}`);
+        }
+        
+        res.json({ success: true, message: 'Table deleted' });
+    } catch (error) {
+        console.error('Delete table error:', error);
+        res.status(500).json({ error: 'Failed to delete table' });
+    }
+});
+
+module.exports = router;
@@ -11,6 +11,19 @@ const fs = require('fs');
 
 const app = express();
 
+// Detect if running on Vercel (read-only filesystem)
+const isVercel = process.env.VERCEL === '1' || process.env.VERCEL_ENV;
+
+// Behind a proxy req.ip is read from X-Forwarded-For, trusting as many hops
+// as TRUST_PROXY says ("true", a hop count or subnets such as "loopback").
+// Vercel puts one proxy in front.
+function resolveTrustProxy(value = process.env.TRUST_PROXY) {
+    if (!value) return isVercel ? 1 : false;
+    if (value === 'true' || value === 'false') return value === 'true';
+    return /^\d+$/.test(value) ? parseInt(value) : value;
+}
+app.set('trust proxy', resolveTrustProxy());
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
@@ -19,9 +32,6 @@ app.use(express.static(path.join(__dirname, 'public')));
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 app.use('/deployed', express.static(path.join(__dirname, 'deployed')));
 
-// Detect if running on Vercel (read-only filesystem)
-const isVercel = process.env.VERCEL === '1' || process.env.VERCEL_ENV;
-
 // Ensure directories exist (only on local, Vercel has read-only filesystem)
 if (!isVercel) {
     const dirs = ['uploads', 'uploads/logos', 'uploads/items', 'uploads/qrcodes', 'deployed', 'database'];
@@ -34,7 +44,8 @@ if (!isVercel) {
 }
 
 // Database initialization - must happen BEFORE routes are used
-const { initializeDatabase } = require('./database/init');
+const { initializeDatabase, getDb } = require('./database/init');
+const { recordScan } = require('./services/scanAnalytics');
 let dbInitialized = false;
 let dbInitPromise = null;
 
@@ -70,6 +81,10 @@ const cafeRoutes = require('./routes/cafe');
 const menuRoutes = require('./routes/menu');
 const deployRoutes = require('./routes/deploy');
 const publicRoutes = require('./routes/public');
+const tableRoutes = require('./routes/tables');
+const orderRoutes = require('./routes/orders');
+const staffRoutes = require('./routes/staff');
+const brandRoutes = require('./routes/brands');
 
 // API Routes
 app.use('/api/auth', authRoutes);
@@ -78,6 +93,10 @@ app.use('/api/cafe', cafeRoutes);
 app.use('/api/menu', menuRoutes);
 app.use('/api/deploy', deployRoutes);
 app.use('/api/public', publicRoutes);
+app.use('/api/tables', tableRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/staff', staffRoutes);
+app.use('/api/brands', brandRoutes);
 
 // Page Routes
 app.get('/', (req, res) => {
@@ -104,13 +123,25 @@ app.get('/owner/*', (req, res) => {
     res.sendFile(path.join(__dirname, 'public/owner/dashboard.html'));
 });
 
-// Public menu page route
-app.get('/menu/:slug', (req, res) => {
+// Public menu page route (optionally in a language, e.g. /menu/:slug/fr)
+app.get(['/menu/:slug', '/menu/:slug/:lang'], (req, res) => {
     res.sendFile(path.join(__dirname, 'public/menu-view.html'));
 });
 
-app.get('/m/:slug', (req, res) => {
-    res.redirect(`/menu/${req.params.slug}`);
+// Short link encoded in QR codes: count the scan, then send the guest to the menu
+app.get('/m/:slug', async (req, res) => {
+    // Analytics must never get in the way of the redirect
+    try {
+        await ensureDbReady();
+        await recordScan(await getDb(), req);
+    } catch (err) {
+        console.error('Scan tracking error:', err);
+    }
+    
+    // Keep query params (e.g. ?t=<tableToken>) when redirecting
+    const queryIndex = req.originalUrl.indexOf('?');
+    const query = queryIndex >= 0 ? req.originalUrl.slice(queryIndex) : '';
+    res.redirect(`/menu/${req.params.slug}${query}`);
 });
 
 // Error handling middleware
@@ -0,0 +1,114 @@
+/**
+ * Account Tokens Service
+ * Single-use links for password resets and email verification. Only a hash
+ * of each token is stored; a new token replaces the user's unused ones for
+ * the same purpose.
+ */
+
+const crypto = require('crypto');
+const { sendMail } = require('./mailer');
+
+// Purpose -> minutes a link stays valid
+const TOKEN_TTL = {
+    reset_password: 60,
+    verify_email: 72 * 60
+};
+
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const escapeHtml = text => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Create a token for `purpose` and return it; it is never readable again
+ */
+async function createAccountToken(db, userId, purpose) {
+    const token = crypto.randomBytes(32).toString('hex');
+    
+    await db.prepare('DELETE FROM account_tokens WHERE user_id = ? AND purpose = ? AND used_at IS NULL').run(userId, purpose);
+    await db.prepare(`
+        INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at)
+        VALUES (?, ?, ?, datetime('now', ?))
+    `).run(userId, purpose, hashToken(token), `+${TOKEN_TTL[purpose]} minutes`);
+    
+    return token;
+}
+
+/**
+ * Use up a token; returns the user id, or null when the token is unknown,
+ * expired or already used
+ */
+async function consumeAccountToken(db, token, purpose) {
+    if (!token) return null;
+    
+    const tokenHash = hashToken(token);
+    const result = await db.prepare(`
+        UPDATE account_tokens SET used_at = CURRENT_TIMESTAMP
+        WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > datetime('now')
+    `).run(tokenHash, purpose);
+    if (result.changes === 0) return null;
+    
+    const row = await db.prepare('SELECT user_id FROM account_tokens WHERE token_hash = ?').get(tokenHash);
+    return row.user_id;
+}
+
+/**
+ * Whether the user was sent a link for `purpose` within the last `seconds`
+ */
+async function recentlySent(db, userId, purpose, seconds) {
+    const row = await db.prepare(`
+        SELECT id FROM account_tokens
+        WHERE user_id = ? AND purpose = ? AND used_at IS NULL AND created_at > datetime('now', ?)
+    `).get(userId, purpose, `-${seconds} seconds`);
+    return !!row;
+}
+
+function linkEmail(user, subject, intro, label, url, outro) {
+    return {
+        to: user.email,
+        subject,
+        text: `Hi ${user.name},\n\n${intro}\n\n${url}\n\n${outro}`,
+        html: `
+            <p>Hi ${escapeHtml(user.name)},</p>
+            <p>${escapeHtml(intro)}</p>
+            <p><a href="${escapeHtml(url)}">${escapeHtml(label)}</a></p>
+            <p style="color: #888;">${escapeHtml(outro)}</p>
+        `
+    };
+}
+
+async function sendPasswordResetEmail(db, user, baseUrl) {
+    const token = await createAccountToken(db, user.id, 'reset_password');
+    await sendMail(linkEmail(
+        user,
+        'Reset your QR Menu password',
+        'Someone asked to reset the password of your QR Menu account. Choose a new one here:',
+        'Reset password',
+        `${baseUrl}/reset-password.html?token=${token}`,
+        `The link works once within ${TOKEN_TTL.reset_password} minutes. If you did not ask for it, ignore this email.`
+    ));
+}
+
+async function sendVerificationEmail(db, user, baseUrl) {
+    const token = await createAccountToken(db, user.id, 'verify_email');
+    await sendMail(linkEmail(
+        user,
+        'Confirm your QR Menu email',
+        'An account for managing your café menu was created with this address. Confirm it to sign in:',
+        'Confirm email',
+        `${baseUrl}/verify-email.html?token=${token}`,
+        `The link works once within ${TOKEN_TTL.verify_email / 60} hours.`
+    ));
+}
+
+module.exports = {
+    TOKEN_TTL,
+    createAccountToken,
+    consumeAccountToken,
+    recentlySent,
+    sendPasswordResetEmail,
+    sendVerificationEmail
+};
@@ -0,0 +1,126 @@
+/**
+ * Allergens Service
+ * Allergen declarations of menu items: the 14 allergens regulated in the EU
+ * (which include the ones FSSAI requires in India) plus custom ones such as
+ * "Kiwi". Each is either contained in the dish or a possible trace.
+ *
+ * Stored as JSON in `menu_items.allergens`:
+ *   { contains: ['milk', 'gluten'], mayContain: ['nuts', 'Kiwi'] }
+ * Regulated allergens are stored by code, anything else by its name.
+ */
+
+const ALLERGENS = [
+    { code: 'gluten', name: 'Gluten', icon: '🌾', aliases: ['cereals containing gluten', 'wheat', 'barley', 'rye', 'oats'] },
+    { code: 'crustaceans', name: 'Crustaceans', icon: '🦐', aliases: ['crustacean', 'shellfish', 'shrimp', 'prawns', 'crab', 'lobster'] },
+    { code: 'eggs', name: 'Eggs', icon: '🥚', aliases: ['egg'] },
+    { code: 'fish', name: 'Fish', icon: '🐟', aliases: [] },
+    { code: 'peanuts', name: 'Peanuts', icon: '🥜', aliases: ['peanut', 'groundnut', 'groundnuts'] },
+    { code: 'soy', name: 'Soy', icon: '🫘', aliases: ['soya', 'soybeans', 'soybean'] },
+    { code: 'milk', name: 'Milk', icon: '🥛', aliases: ['dairy', 'lactose'] },
+    { code: 'nuts', name: 'Tree nuts', icon: '🌰', aliases: ['tree nut', 'almonds', 'cashews', 'walnuts', 'hazelnuts', 'pistachios'] },
+    { code: 'celery', name: 'Celery', icon: '🌿', aliases: ['celeriac'] },
+    { code: 'mustard', name: 'Mustard', icon: '🟡', aliases: [] },
+    { code: 'sesame', name: 'Sesame', icon: '🥯', aliases: ['sesame seeds'] },
+    { code: 'sulphites', name: 'Sulphites', icon: '🍷', aliases: ['sulphite', 'sulfites', 'sulfite', 'sulphur dioxide', 'sulfur dioxide'] },
+    { code: 'lupin', name: 'Lupin', icon: '🌸', aliases: [] },
+    { code: 'molluscs', name: 'Molluscs', icon: '🦪', aliases: ['mollusc', 'mollusks', 'mollusk'] }
+];
+const MAX_PER_LIST = 20;
+const MAX_NAME_LENGTH = 40;
+
+const byName = new Map();
+ALLERGENS.forEach(allergen => {
+    [allergen.code, allergen.name, ...allergen.aliases].forEach(name => byName.set(name.toLowerCase(), allergen.code));
+});
+
+// Regulated allergen by code, or null for custom ones
+function allergenInfo(code) {
+    const allergen = ALLERGENS.find(a => a.code === code);
+    return allergen ? { code: allergen.code, name: allergen.name, icon: allergen.icon } : null;
+}
+
+// "Dairy" -> "milk"; custom names are kept as typed
+function normalizeList(list, label) {
+    if (list === undefined || list === null) return { list: [] };
+    if (!Array.isArray(list)) {
+        return { error: `${label} must be a list` };
+    }
+    if (list.length > MAX_PER_LIST) {
+        return { error: `${label} can have up to ${MAX_PER_LIST} allergens` };
+    }
+    
+    const result = [];
+    for (const entry of list) {
+        const name = typeof entry === 'string' ? entry.trim() : '';
+        if (!name || name.length > MAX_NAME_LENGTH) {
+            return { error: `Allergen names must be 1-${MAX_NAME_LENGTH} characters` };
+        }
+        
+        const value = byName.get(name.toLowerCase()) || name;
+        if (!result.some(existing => existing.toLowerCase() === value.toLowerCase())) {
+            result.push(value);
+        }
+    }
+    return { list: result };
+}
+
+/**
+ * Validate allergens from the API. `null` or '' clears them.
+ * Returns { error } or { allergens } (normalized, or null when there are none)
+ */
+function parseAllergens(input) {
+    if (input === null || input === undefined || input === '') {
+        return { allergens: null };
+    }
+    if (typeof input === 'string') {
+        try {
+            input = JSON.parse(input);
+        } catch (e) {
+            return { error: 'Allergens must be JSON' };
+        }
+    }
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Invalid allergens' };
+    }
+    
+    const contains = normalizeList(input.contains, 'Contains');
+    if (contains.error) return { error: contains.error };
+    const mayContain = normalizeList(input.mayContain, 'May contain');
+    if (mayContain.error) return { error: mayContain.error };
+    
+    // An allergen that is in the dish is not also a possible trace
+    const traces = mayContain.list.filter(name => !contains.list.some(other => other.toLowerCase() === name.toLowerCase()));
+    if (contains.list.length === 0 && traces.length === 0) {
+        return { allergens: null };
+    }
+    
+    return { allergens: { contains: contains.list, mayContain: traces } };
+}
+
+// Stored allergens column -> object. Re-validated because bundle imports
+// write it verbatim; anything invalid counts as no declaration.
+function readAllergens(row) {
+    if (!row || !row.allergens) return null;
+    return parseAllergens(row.allergens).allergens || null;
+}
+
+/**
+ * Regulated allergens declared anywhere in `categories` (each with `items`),
+ * in the regulation's order - the legend of a menu
+ */
+function allergenLegend(categories) {
+    const used = new Set();
+    categories.forEach(cat => (cat.items || []).forEach(item => {
+        const allergens = readAllergens(item);
+        if (allergens) [...allergens.contains, ...allergens.mayContain].forEach(code => used.add(code));
+    }));
+    return ALLERGENS.filter(a => used.has(a.code)).map(a => allergenInfo(a.code));
+}
+
+module.exports = {
+    ALLERGENS: ALLERGENS.map(a => allergenInfo(a.code)),
+    allergenInfo,
+    parseAllergens,
+    readAllergens,
+    allergenLegend
+};
@@ -0,0 +1,443 @@
+/**
+ * Brand Menus Service
+ * Chains (brands) keep one master menu - the menu of the brand's master cafe,
+ * edited with the usual menu tools - and push it to their branches. Branches
+ * get linked copies of the master categories and items (`master_id`), so
+ * orders, translations, promotions and static pages work as in any cafe.
+ * Per linked item a branch may:
+ *   - override the price and availability; `menu_items.overrides` keeps the
+ *     master value each override was made against: { "price": 150 }
+ *   - hide it from its guests (`is_hidden`)
+ * Everything else (names, descriptions, sizes, allergens, ...) follows the
+ * master on every sync. Add-on groups and promotions stay per branch.
+ * Every change to a master menu syncs its branches in the background
+ * (queueBranchPush), so guests and owners of a branch get the master's
+ * current menu without the master's edits waiting for it.
+ */
+
+const { getDb } = require('../database/init');
+const eventBus = require('./eventBus');
+
+const OVERRIDABLE_FIELDS = ['price', 'is_available'];
+
+// Copied from the master on every sync
+const CATEGORY_FIELDS = ['name', 'icon', 'description', 'sort_order', 'is_active', 'schedule'];
+const ITEM_FIELDS = [
+    'name', 'description', 'original_price', 'image', 'calories',
+    'is_vegan', 'is_vegetarian', 'is_gluten_free', 'is_spicy', 'is_bestseller', 'is_popular', 'is_new',
+    'schedule', 'allergens', 'nutrition', 'ingredients', 'sort_order'
+];
+
+const same = (a, b) => (a ?? null) === (b ?? null);
+const pick = (row, fields) => Object.fromEntries(fields.map(field => [field, row[field] ?? null]));
+const sizes = variants => variants.map(v => ({ name: v.name, price: v.price, is_available: v.is_available, sort_order: v.sort_order }));
+
+// Stored overrides -> { field: master value when overridden }; anything invalid counts as none
+function readOverrides(item) {
+    if (!item || !item.overrides) return {};
+    try {
+        const value = JSON.parse(item.overrides);
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+        return Object.fromEntries(Object.entries(value).filter(([field]) => OVERRIDABLE_FIELDS.includes(field)));
+    } catch (e) {
+        return {};
+    }
+}
+
+const writeOverrides = overrides => (Object.keys(overrides).length > 0 ? JSON.stringify(overrides) : null);
+
+/**
+ * Overrides of a linked item after the branch sets `field` to `value`: the
+ * first change remembers the master value, going back to it ends the override
+ */
+function overrideField(item, field, value) {
+    const overrides = readOverrides(item);
+    if (!(field in overrides)) {
+        if (same(item[field], value)) return writeOverrides(overrides);
+        overrides[field] = item[field];
+    } else if (same(overrides[field], value)) {
+        delete overrides[field];
+    }
+    return writeOverrides(overrides);
+}
+
+/**
+ * Items as the owner API shows them: whether they come from the master menu
+ * and which fields the branch overrode
+ */
+function describeBranchItem(item) {
+    return {
+        ...item,
+        from_master: !!item.master_id,
+        overridden: Object.keys(readOverrides(item))
+    };
+}
+
+/**
+ * The brand a cafe belongs to, or null
+ */
+async function getCafeBrand(db, cafeId) {
+    const brand = await db.prepare(`
+        SELECT b.id, b.name, b.slug, b.master_cafe_id FROM brands b
+        JOIN cafes c ON c.brand_id = b.id
+        WHERE c.id = ?
+    `).get(cafeId);
+    if (!brand) return null;
+    
+    return {
+        id: brand.id,
+        name: brand.name,
+        slug: brand.slug,
+        masterCafeId: brand.master_cafe_id,
+        isMaster: brand.master_cafe_id === parseInt(cafeId)
+    };
+}
+
+// Categories and items (with sizes) of a cafe; only the linked ones for branches
+async function loadMenu(db, cafeId, linkedOnly) {
+    const linked = linkedOnly ? ' AND master_id IS NOT NULL' : '';
+    const categories = await db.prepare(`SELECT * FROM categories WHERE cafe_id = ?${linked} ORDER BY sort_order ASC, id ASC`).all(cafeId);
+    const items = await db.prepare(`SELECT * FROM menu_items WHERE cafe_id = ?${linked} ORDER BY sort_order ASC, id ASC`).all(cafeId);
+    const variants = await db.prepare('SELECT * FROM item_variants WHERE cafe_id = ? ORDER BY sort_order ASC, id ASC').all(cafeId);
+    items.forEach(item => {
+        item.variants = variants.filter(v => v.item_id === item.id);
+    });
+    return { categories, items };
+}
+
+function diff(current, next, fields) {
+    const changes = {};
+    fields.forEach(field => {
+        if (!same(current[field], next[field])) {
+            changes[field] = { from: current[field] ?? null, to: next[field] ?? null };
+        }
+    });
+    return changes;
+}
+
+/**
+ * Compare a branch with the master menu and decide what a sync changes.
+ * A conflict is a field the branch overrode that the master changed since;
+ * `resolutions` settles them: { "<itemId>:<field>": "master" | "branch" }.
+ * Unresolved conflicts keep the branch value and are reported again next time.
+ */
+async function planBranchSync(db, masterCafeId, branchCafeId, resolutions = {}) {
+    const master = await loadMenu(db, masterCafeId, false);
+    const branch = await loadMenu(db, branchCafeId, true);
+    
+    const masterCategories = new Map(master.categories.map(cat => [cat.id, cat]));
+    const masterItems = new Map(master.items.map(item => [item.id, item]));
+    const linkedCategories = new Map(branch.categories.map(cat => [cat.master_id, cat]));
+    const linkedItems = new Map(branch.items.map(item => [item.master_id, item]));
+    
+    const categories = [];
+    master.categories.forEach(cat => {
+        const linked = linkedCategories.get(cat.id);
+        if (!linked) {
+            categories.push({ action: 'create', masterId: cat.id, name: cat.name, values: pick(cat, CATEGORY_FIELDS) });
+            return;
+        }
+        const changes = diff(linked, cat, CATEGORY_FIELDS);
+        if (Object.keys(changes).length > 0) {
+            categories.push({ action: 'update', categoryId: linked.id, masterId: cat.id, name: cat.name, changes });
+        }
+    });
+    branch.categories.forEach(cat => {
+        if (!masterCategories.has(cat.master_id)) {
+            categories.push({ action: 'remove', categoryId: cat.id, masterId: cat.master_id, name: cat.name });
+        }
+    });
+    
+    const items = [];
+    const conflicts = [];
+    master.items.forEach(masterItem => {
+        const linked = linkedItems.get(masterItem.id);
+        if (!linked) {
+            items.push({
+                action: 'create',
+                masterId: masterItem.id,
+                categoryMasterId: masterItem.category_id,
+                name: masterItem.name,
+                values: pick(masterItem, [...ITEM_FIELDS, ...OVERRIDABLE_FIELDS]),
+                variants: sizes(masterItem.variants)
+            });
+            return;
+        }
+        
+        const changes = diff(linked, masterItem, ITEM_FIELDS);
+        const linkedCategory = linkedCategories.get(masterItem.category_id);
+        if (!linkedCategory || linkedCategory.id !== linked.category_id) {
+            const from = branch.categories.find(cat => cat.id === linked.category_id);
+            changes.category = { from: from ? from.name : null, to: masterCategories.get(masterItem.category_id)?.name ?? null };
+        }
+        
+        const overrides = readOverrides(linked);
+        const nextOverrides = { ...overrides };
+        OVERRIDABLE_FIELDS.forEach(field => {
+            const masterValue = masterItem[field] ?? null;
+            if (!(field in overrides)) {
+                if (!same(linked[field], masterValue)) changes[field] = { from: linked[field] ?? null, to: masterValue };
+                return;
+            }
+            // Master unchanged since the override, or it now agrees with the branch
+            if (same(overrides[field], masterValue)) return;
+            if (same(linked[field], masterValue)) {
+                delete nextOverrides[field];
+                return;
+            }
+            
+            const resolution = resolutions[`${linked.id}:${field}`] || null;
+            conflicts.push({
+                itemId: linked.id,
+                masterId: masterItem.id,
+                name: masterItem.name,
+                field,
+                branchValue: linked[field] ?? null,
+                masterValue,
+                previousMasterValue: overrides[field],
+                resolution
+            });
+            if (resolution === 'master') {
+                changes[field] = { from: linked[field] ?? null, to: masterValue };
+                delete nextOverrides[field];
+            } else if (resolution === 'branch') {
+                nextOverrides[field] = masterValue;
+            }
+        });
+        
+        const variants = sizes(masterItem.variants);
+        if (JSON.stringify(sizes(linked.variants)) !== JSON.stringify(variants)) {
+            changes.variants = { from: sizes(linked.variants), to: variants };
+        }
+        
+        const overridesChanged = writeOverrides(nextOverrides) !== writeOverrides(overrides);
+        if (Object.keys(changes).length > 0 || overridesChanged) {
+            items.push({
+                action: 'update',
+                itemId: linked.id,
+                masterId: masterItem.id,
+                categoryMasterId: masterItem.category_id,
+                name: masterItem.name,
+                changes,
+                overrides: overridesChanged ? writeOverrides(nextOverrides) : undefined
+            });
+        }
+    });
+    branch.items.forEach(item => {
+        if (!masterItems.has(item.master_id)) {
+            items.push({ action: 'remove', itemId: item.id, masterId: item.master_id, name: item.name });
+        }
+    });
+    
+    const count = (rows, action) => rows.filter(row => row.action === action).length;
+    
+    return {
+        summary: {
+            categoriesCreated: count(categories, 'create'),
+            categoriesUpdated: count(categories, 'update'),
+            categoriesRemoved: count(categories, 'remove'),
+            itemsCreated: count(items, 'create'),
+            itemsUpdated: count(items, 'update'),
+            itemsRemoved: count(items, 'remove'),
+            conflicts: conflicts.filter(conflict => !conflict.resolution).length
+        },
+        categories,
+        items,
+        conflicts
+    };
+}
+
+// Copy the master's translations of linked categories and items to the branch
+async function copyTranslations(tx, masterCafeId, branchCafeId) {
+    for (const [type, table] of [['category', 'categories'], ['item', 'menu_items']]) {
+        await tx.prepare(`
+            DELETE FROM translations WHERE cafe_id = ? AND entity_type = ?
+            AND entity_id IN (SELECT id FROM ${table} WHERE cafe_id = ? AND master_id IS NOT NULL)
+        `).run(branchCafeId, type, branchCafeId);
+        await tx.prepare(`
+            INSERT INTO translations (cafe_id, entity_type, entity_id, field, language, value, source, updated_at)
+            SELECT ?, t.entity_type, b.id, t.field, t.language, t.value, t.source, t.updated_at
+            FROM translations t
+            JOIN ${table} b ON b.master_id = t.entity_id AND b.cafe_id = ?
+            WHERE t.cafe_id = ? AND t.entity_type = ?
+        `).run(branchCafeId, branchCafeId, masterCafeId, type);
+    }
+}
+
+async function replaceVariants(tx, cafeId, itemId, variants) {
+    await tx.prepare('DELETE FROM item_variants WHERE item_id = ? AND cafe_id = ?').run(itemId, cafeId);
+    for (const v of variants) {
+        await tx.prepare(`
+            INSERT INTO item_variants (cafe_id, item_id, name, price, is_available, sort_order)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(cafeId, itemId, v.name, v.price, v.is_available ?? 1, v.sort_order ?? 0);
+    }
+}
+
+/**
+ * Write a sync plan inside a transaction
+ */
+async function applyBranchSync(tx, masterCafeId, branchCafeId, plan) {
+    const categoryIds = new Map();
+    const linked = await tx.prepare('SELECT id, master_id FROM categories WHERE cafe_id = ? AND master_id IS NOT NULL').all(branchCafeId);
+    linked.forEach(cat => categoryIds.set(cat.master_id, cat.id));
+    
+    for (const row of plan.categories) {
+        if (row.action === 'create') {
+            const values = row.values;
+            const result = await tx.prepare(`
+                INSERT INTO categories (cafe_id, master_id, ${CATEGORY_FIELDS.join(', ')})
+                VALUES (?, ?, ${CATEGORY_FIELDS.map(() => '?').join(', ')})
+            `).run(branchCafeId, row.masterId, ...CATEGORY_FIELDS.map(field => values[field]));
+            categoryIds.set(row.masterId, result.lastInsertRowid);
+        } else if (row.action === 'update') {
+            const fields = Object.keys(row.changes);
+            await tx.prepare(`UPDATE categories SET ${fields.map(f => `${f} = ?`).join(', ')} WHERE id = ? AND cafe_id = ?`)
+                .run(...fields.map(f => row.changes[f].to), row.categoryId, branchCafeId);
+        }
+    }
+    
+    for (const row of plan.items) {
+        if (row.action === 'create') {
+            const fields = [...ITEM_FIELDS, ...OVERRIDABLE_FIELDS];
+            const result = await tx.prepare(`
+                INSERT INTO menu_items (cafe_id, category_id, master_id, ${fields.join(', ')})
+                VALUES (?, ?, ?, ${fields.map(() => '?').join(', ')})
+            `).run(branchCafeId, categoryIds.get(row.categoryMasterId), row.masterId, ...fields.map(field => row.values[field]));
+            await replaceVariants(tx, branchCafeId, result.lastInsertRowid, row.variants);
+        } else if (row.action === 'update') {
+            const fields = Object.keys(row.changes).filter(f => f !== 'category' && f !== 'variants');
+            const sets = fields.map(f => `${f} = ?`);
+            const values = fields.map(f => row.changes[f].to);
+            if (row.changes.category) {
+                sets.push('category_id = ?');
+                values.push(categoryIds.get(row.categoryMasterId));
+            }
+            if (row.overrides !== undefined) {
+                sets.push('overrides = ?');
+                values.push(row.overrides);
+            }
+            if (sets.length > 0) {
+                await tx.prepare(`UPDATE menu_items SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND cafe_id = ?`)
+                    .run(...values, row.itemId, branchCafeId);
+            }
+            if (row.changes.variants) {
+                await replaceVariants(tx, branchCafeId, row.itemId, row.changes.variants.to);
+            }
+        } else if (row.action === 'remove') {
+            await tx.prepare('DELETE FROM item_variants WHERE item_id = ? AND cafe_id = ?').run(row.itemId, branchCafeId);
+            await tx.prepare('DELETE FROM item_modifier_groups WHERE item_id = ?').run(row.itemId);
+            await tx.prepare("DELETE FROM price_rules WHERE cafe_id = ? AND scope = 'item' AND target_id = ?").run(branchCafeId, row.itemId);
+            await tx.prepare("DELETE FROM translations WHERE cafe_id = ? AND entity_type = 'item' AND entity_id = ?").run(branchCafeId, row.itemId);
+            await tx.prepare('DELETE FROM menu_items WHERE id = ? AND cafe_id = ?').run(row.itemId, branchCafeId);
+        }
+    }
+    
+    // Categories gone from the master are removed, or kept as the branch's
+    // own when it added items to them
+    for (const row of plan.categories.filter(r => r.action === 'remove')) {
+        const remaining = await tx.prepare('SELECT COUNT(*) as count FROM menu_items WHERE category_id = ?').get(row.categoryId);
+        if (remaining.count > 0) {
+            await tx.prepare('UPDATE categories SET master_id = NULL WHERE id = ? AND cafe_id = ?').run(row.categoryId, branchCafeId);
+        } else {
+            await tx.prepare("DELETE FROM price_rules WHERE cafe_id = ? AND scope = 'category' AND target_id = ?").run(branchCafeId, row.categoryId);
+            await tx.prepare("DELETE FROM translations WHERE cafe_id = ? AND entity_type = 'category' AND entity_id = ?").run(branchCafeId, row.categoryId);
+            await tx.prepare('DELETE FROM categories WHERE id = ? AND cafe_id = ?').run(row.categoryId, branchCafeId);
+        }
+    }
+    
+    await copyTranslations(tx, masterCafeId, branchCafeId);
+}
+
+/**
+ * Plan and apply a sync in one transaction, so the plan cannot go stale;
+ * returns the plan
+ */
+async function syncBranch(tx, masterCafeId, branchCafeId, resolutions = {}) {
+    const plan = await planBranchSync(tx, masterCafeId, branchCafeId, resolutions);
+    await applyBranchSync(tx, masterCafeId, branchCafeId, plan);
+    return plan;
+}
+
+/**
+ * Sync every branch of the brand whose master menu is `masterCafeId` (nothing
+ * for other cafes). Returns [{ cafeId, name, summary }].
+ */
+async function pushToBranches(db, masterCafeId) {
+    const branches = await db.prepare(`
+        SELECT c.id, c.name FROM cafes c
+        JOIN brands b ON b.id = c.brand_id
+        WHERE b.master_cafe_id = ? AND c.id != b.master_cafe_id
+    `).all(masterCafeId);
+    
+    const results = [];
+    for (const branch of branches) {
+        const plan = await db.transaction(tx => syncBranch(tx, masterCafeId, branch.id));
+        eventBus.publish(eventBus.menuChannel(branch.id), 'menu.changed', { reason: 'brand_synced' });
+        results.push({ cafeId: branch.id, name: branch.name, summary: plan.summary });
+    }
+    return results;
+}
+
+/**
+ * Detach a branch from its brand: the copies become the cafe's own menu
+ */
+async function unlinkBranch(tx, cafeId) {
+    await tx.prepare('UPDATE categories SET master_id = NULL WHERE cafe_id = ?').run(cafeId);
+    await tx.prepare('UPDATE menu_items SET master_id = NULL, overrides = NULL WHERE cafe_id = ?').run(cafeId);
+    await tx.prepare('UPDATE cafes SET brand_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(cafeId);
+}
+
+// Master cafe id -> whether another push is due when the running one ends
+const branchPushes = new Map();
+
+/**
+ * Push `masterCafeId` to its branches after the current request, one push per
+ * master at a time; changes made meanwhile are picked up by one more push.
+ * Failures are logged - the explicit push route catches branches up.
+ */
+function queueBranchPush(masterCafeId) {
+    const key = String(masterCafeId);
+    if (branchPushes.has(key)) {
+        branchPushes.set(key, true);
+        return;
+    }
+    
+    branchPushes.set(key, false);
+    setImmediate(async () => {
+        do {
+            branchPushes.set(key, false);
+            try {
+                await pushToBranches(await getDb(), masterCafeId);
+            } catch (error) {
+                console.error('Brand menu sync error:', error);
+            }
+        } while (branchPushes.get(key));
+        branchPushes.delete(key);
+    });
+}
+
+/**
+ * Before a master cafe is deleted: its branches keep their copies as their
+ * own menus and the brand is left without a master
+ */
+async function detachMaster(tx, masterCafeId) {
+    const branches = 'SELECT c.id FROM cafes c JOIN brands b ON b.id = c.brand_id WHERE b.master_cafe_id = ?';
+    await tx.prepare(`UPDATE categories SET master_id = NULL WHERE cafe_id IN (${branches})`).run(masterCafeId);
+    await tx.prepare(`UPDATE menu_items SET master_id = NULL, overrides = NULL WHERE cafe_id IN (${branches})`).run(masterCafeId);
+    await tx.prepare('UPDATE brands SET master_cafe_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE master_cafe_id = ?').run(masterCafeId);
+}
+
+module.exports = {
+    OVERRIDABLE_FIELDS,
+    readOverrides,
+    overrideField,
+    describeBranchItem,
+    getCafeBrand,
+    planBranchSync,
+    syncBranch,
+    pushToBranches,
+    queueBranchPush,
+    unlinkBranch,
+    detachMaster
+};
@@ -0,0 +1,109 @@
+/**
+ * Cafe Roles Service
+ * What each member of a cafe may do. Users belong to cafes through
+ * `cafe_members` with one role per cafe; platform admins may do everything
+ * in every cafe.
+ */
+
+// Permission -> what it allows, as shown to owners
+const PERMISSIONS = {
+    view: 'See the menu, orders, tables and settings',
+    availability: 'Mark items available or sold out',
+    orders: 'Accept, complete and cancel orders',
+    menu: 'Edit categories, items, add-ons and translations',
+    pricing: 'Manage promotions and happy hours',
+    settings: 'Change cafe details, theme and QR codes',
+    tables: 'Manage tables and their QR codes',
+    publish: 'Publish and deploy the menu',
+    analytics: 'See scan and menu analytics',
+    staff: 'Invite and remove staff'
+};
+
+const ROLES = {
+    owner: { label: 'Owner', permissions: Object.keys(PERMISSIONS) },
+    manager: { label: 'Manager', permissions: Object.keys(PERMISSIONS).filter(permission => permission !== 'staff') },
+    editor: { label: 'Menu editor', permissions: ['view', 'availability', 'menu'] },
+    staff: { label: 'Waiter / kitchen', permissions: ['view', 'availability', 'orders'] }
+};
+
+const isRole = role => Object.prototype.hasOwnProperty.call(ROLES, role);
+
+// Platform admins ('admin') may do everything
+function roleCan(role, permission) {
+    if (role === 'admin') return true;
+    return isRole(role) && ROLES[role].permissions.includes(permission);
+}
+
+// Role and permissions of a member, for the dashboard
+function describeRole(role) {
+    if (role === 'admin') {
+        return { role, label: 'Admin', permissions: Object.keys(PERMISSIONS) };
+    }
+    return isRole(role) ? { role, label: ROLES[role].label, permissions: ROLES[role].permissions } : null;
+}
+
+/**
+ * A user's role in a cafe: 'admin' for platform admins, the membership role,
+ * or null when the user does not belong to the cafe
+ */
+async function getCafeRole(db, user, cafeId) {
+    if (user.role === 'admin') return 'admin';
+    if (!cafeId) return null;
+    
+    const member = await db.prepare('SELECT role FROM cafe_members WHERE cafe_id = ? AND user_id = ?').get(cafeId, user.id);
+    return member && isRole(member.role) ? member.role : null;
+}
+
+/**
+ * Cafes a user belongs to, oldest membership first, with the role in each
+ */
+async function getMemberCafes(db, userId) {
+    const rows = await db.prepare(`
+        SELECT c.id, c.name, c.slug, c.logo, m.role
+        FROM cafe_members m
+        JOIN cafes c ON c.id = m.cafe_id
+        WHERE m.user_id = ?
+        ORDER BY m.created_at ASC, c.id ASC
+    `).all(userId);
+    return rows
+        .filter(row => isRole(row.role))
+        .map(row => ({ ...row, roleLabel: ROLES[row.role].label }));
+}
+
+/**
+ * Make a user owner of a cafe (keeping any other memberships). Users without
+ * a current cafe start working in this one.
+ */
+async function assignOwner(db, userId, cafeId, invitedBy) {
+    await db.prepare(`
+        INSERT INTO cafe_members (cafe_id, user_id, role, invited_by) VALUES (?, ?, 'owner', ?)
+        ON CONFLICT (cafe_id, user_id) DO UPDATE SET role = 'owner', updated_at = CURRENT_TIMESTAMP
+    `).run(cafeId, userId, invitedBy);
+    await db.prepare('UPDATE users SET cafe_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND cafe_id IS NULL')
+        .run(cafeId, userId);
+}
+
+/**
+ * Point a user's current cafe at one of their memberships when it no longer is one
+ */
+async function resetCurrentCafe(db, userId) {
+    await db.prepare(`
+        UPDATE users SET cafe_id = (
+            SELECT m.cafe_id FROM cafe_members m WHERE m.user_id = users.id
+            ORDER BY m.created_at ASC LIMIT 1
+        ), updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND (cafe_id IS NULL OR cafe_id NOT IN (SELECT cafe_id FROM cafe_members WHERE user_id = ?))
+    `).run(userId, userId);
+}
+
+module.exports = {
+    PERMISSIONS,
+    ROLES: Object.entries(ROLES).map(([role, info]) => ({ role, label: info.label, permissions: info.permissions })),
+    isRole,
+    roleCan,
+    describeRole,
+    getCafeRole,
+    getMemberCafes,
+    assignOwner,
+    resetCurrentCafe
+};
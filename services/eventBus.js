@@ -0,0 +1,73 @@
+/**
+ * Event Bus Service
+ * In-process pub/sub for live menu and order updates, streamed to
+ * browsers as Server-Sent Events
+ */
+
+const { EventEmitter } = require('events');
+
+const HEARTBEAT_INTERVAL = 25000; // Keep proxies from closing idle streams
+
+class EventBus {
+    constructor() {
+        this.emitter = new EventEmitter();
+        // Every open SSE connection adds a listener
+        this.emitter.setMaxListeners(0);
+    }
+    
+    /**
+     * Channel guests subscribe to for menu changes
+     */
+    menuChannel(cafeId) {
+        return `menu:${cafeId}`;
+    }
+    
+    /**
+     * Channel owners subscribe to for orders and waiter calls
+     */
+    ownerChannel(cafeId) {
+        return `owner:${cafeId}`;
+    }
+    
+    /**
+     * Publish an event to everyone listening on a channel
+     */
+    publish(channel, type, data = {}) {
+        this.emitter.emit(channel, { type, data, timestamp: new Date().toISOString() });
+    }
+    
+    /**
+     * Listen on a channel, returns an unsubscribe function
+     */
+    subscribe(channel, listener) {
+        this.emitter.on(channel, listener);
+        return () => this.emitter.off(channel, listener);
+    }
+    
+    /**
+     * Turn an HTTP response into an SSE stream for a channel
+     */
+    stream(req, res, channel) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write('retry: 5000\n\n');
+        
+        const unsubscribe = this.subscribe(channel, event => {
+            res.write(`event: ${event.type}\ndata: ${JSON.stringify({ ...event.data, timestamp: event.timestamp })}\n\n`);
+        });
+        
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+        
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+    }
+}
+
+module.exports = new EventBus();
@@ -0,0 +1,91 @@
+/**
+ * Mailer Service
+ * Sends account emails through the transport named in MAIL_TRANSPORT:
+ *   smtp    - SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ *   file    - writes every message as an .eml file into MAIL_DIR (./mail),
+ *             for trying things out without a mail server
+ *   console - prints messages to the log (default outside production)
+ * Production needs MAIL_TRANSPORT set to a transport that delivers mail.
+ * MAIL_FROM is the sender.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const DEFAULT_FROM = 'QR Menu <no-reply@qrmenu.local>';
+
+function resolveTransportName(env = process.env) {
+    const name = env.MAIL_TRANSPORT;
+    
+    if (env.NODE_ENV === 'production') {
+        if (!name) {
+            throw new Error('MAIL_TRANSPORT must be set in production');
+        }
+        if (name === 'console') {
+            throw new Error('MAIL_TRANSPORT=console does not deliver mail and cannot be used in production');
+        }
+    }
+    return name || 'console';
+}
+
+// Resolved on load so a production deployment that cannot send mail fails to boot
+const transportName = resolveTransportName();
+
+function createTransport(name = transportName) {
+    if (name === 'smtp') {
+        const transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+        return { name, send: message => transporter.sendMail(message) };
+    }
+    
+    if (name === 'file') {
+        const dir = process.env.MAIL_DIR || path.join(__dirname, '..', 'mail');
+        const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+        return {
+            name,
+            async send(message) {
+                const info = await transporter.sendMail(message);
+                fs.mkdirSync(dir, { recursive: true });
+                const recipient = String(message.to).replace(/[^a-z0-9@.-]+/gi, '_');
+                const file = path.join(dir, `${Date.now()}-${recipient}.eml`);
+                fs.writeFileSync(file, info.message);
+                return { ...info, file };
+            }
+        };
+    }
+    
+    if (name === 'console') {
+        return {
+            name,
+            async send(message) {
+                console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+                return { messageId: null };
+            }
+        };
+    }
+    
+    throw new Error(`Unknown mail transport: ${name}`);
+}
+
+let transport = null;
+
+/**
+ * Send a message: { to, subject, text, html }
+ */
+async function sendMail(message) {
+    if (!transport) {
+        transport = createTransport();
+    }
+    return transport.send({ from: process.env.MAIL_FROM || DEFAULT_FROM, ...message });
+}
+
+module.exports = {
+    resolveTransportName,
+    createTransport,
+    sendMail
+};
@@ -0,0 +1,211 @@
+/**
+ * Menu Engagement Service
+ * Folds batched events from the public menu (item views and opens, category
+ * clicks, views and dwell time, search terms) into per-day counters, and
+ * ranks a cafe's items by how often guests actually look at them.
+ */
+
+const MAX_EVENTS_PER_BATCH = 100;
+const MAX_DWELL_MS = 10 * 60 * 1000;
+const MAX_DAYS = 365;
+const TOP_SEARCH_TERMS = 20;
+
+// Event type -> what it is about
+const EVENT_TYPES = {
+    item_view: 'item',
+    item_open: 'item',
+    category_click: 'category',
+    category_view: 'category',
+    category_dwell: 'category',
+    search: 'term'
+};
+
+/**
+ * Validate a beacon batch against the cafe's items and categories and sum it
+ * into counter rows. Unknown types and ids are dropped rather than rejected,
+ * so one stale event (e.g. a just-deleted item) does not lose the batch.
+ * Returns { error } or { counters: [{ event, subjectId, term, count }] }
+ */
+async function collectEvents(db, cafeId, events) {
+    if (!Array.isArray(events) || events.length === 0) {
+        return { error: 'events must be a non-empty array' };
+    }
+    if (events.length > MAX_EVENTS_PER_BATCH) {
+        return { error: `At most ${MAX_EVENTS_PER_BATCH} events per batch` };
+    }
+    
+    const itemIds = new Set((await db.prepare('SELECT id FROM menu_items WHERE cafe_id = ?').all(cafeId)).map(row => row.id));
+    const categoryIds = new Set((await db.prepare('SELECT id FROM categories WHERE cafe_id = ?').all(cafeId)).map(row => row.id));
+    
+    const counters = new Map();
+    const add = (event, subjectId, term, amount) => {
+        const key = `${event}|${subjectId}|${term}`;
+        const counter = counters.get(key) || { event, subjectId, term, count: 0 };
+        counter.count += amount;
+        counters.set(key, counter);
+    };
+    
+    for (const event of events) {
+        const kind = event && EVENT_TYPES[event.type];
+        if (!kind) continue;
+        
+        if (kind === 'term') {
+            const term = typeof event.term === 'string' ? event.term.trim().toLowerCase().slice(0, 50) : '';
+            if (term) add(event.type, 0, term, 1);
+            continue;
+        }
+        
+        const id = parseInt(event.id);
+        if (!(kind === 'item' ? itemIds : categoryIds).has(id)) continue;
+        
+        if (event.type === 'category_dwell') {
+            // Stored as whole seconds
+            const ms = Math.min(Math.max(parseInt(event.ms) || 0, 0), MAX_DWELL_MS);
+            if (ms >= 1000) add(event.type, id, '', Math.round(ms / 1000));
+        } else {
+            add(event.type, id, '', 1);
+        }
+    }
+    
+    return { counters: [...counters.values()] };
+}
+
+/**
+ * Add counters to today's (UTC) rows
+ */
+async function recordCounters(tx, cafeId, counters) {
+    const day = new Date().toISOString().slice(0, 10);
+    
+    for (const counter of counters) {
+        await tx.prepare(`
+            INSERT INTO menu_engagement_daily (cafe_id, day, event, subject_id, term, count)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT (cafe_id, day, event, subject_id, term) DO UPDATE SET count = count + excluded.count
+        `).run(cafeId, day, counter.event, counter.subjectId, counter.term, counter.count);
+    }
+}
+
+/**
+ * Read ?days=1-365 (default 30). Returns { error } or { days }
+ */
+function parseEngagementOptions(query) {
+    const days = parseInt(query.days || 30);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+        return { error: `Days must be between 1 and ${MAX_DAYS}` };
+    }
+    return { days };
+}
+
+function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Engagement report for the last `days` days (UTC). Every item is ranked by
+ * views, next to its availability and bestseller flag, with hints where the
+ * two disagree:
+ *   bestseller_rarely_seen  - bestseller viewed less than the median available item
+ *   popular_unavailable     - hidden item that was viewed more than the median
+ *   never_seen              - available item nobody scrolled to
+ */
+async function getEngagementReport(db, cafeId, { days }) {
+    const since = new Date(Date.now() - (days - 1) * 86400000).toISOString().slice(0, 10);
+    
+    const items = await db.prepare(`
+        SELECT i.id, i.name, i.is_available, i.is_bestseller, c.name AS category,
+               COALESCE(SUM(CASE WHEN e.event = 'item_view' THEN e.count END), 0) AS views,
+               COALESCE(SUM(CASE WHEN e.event = 'item_open' THEN e.count END), 0) AS opens
+        FROM menu_items i
+        LEFT JOIN categories c ON c.id = i.category_id
+        LEFT JOIN menu_engagement_daily e
+            ON e.cafe_id = i.cafe_id AND e.subject_id = i.id AND e.event IN ('item_view', 'item_open') AND e.day >= ?
+        WHERE i.cafe_id = ?
+        GROUP BY i.id
+        ORDER BY views DESC, opens DESC, i.name
+    `).all(since, cafeId);
+    
+    const categories = await db.prepare(`
+        SELECT c.id, c.name, c.icon,
+               COALESCE(SUM(CASE WHEN e.event = 'category_view' THEN e.count END), 0) AS views,
+               COALESCE(SUM(CASE WHEN e.event = 'category_click' THEN e.count END), 0) AS clicks,
+               COALESCE(SUM(CASE WHEN e.event = 'category_dwell' THEN e.count END), 0) AS dwell_seconds
+        FROM categories c
+        LEFT JOIN menu_engagement_daily e
+            ON e.cafe_id = c.cafe_id AND e.subject_id = c.id AND e.event LIKE 'category_%' AND e.day >= ?
+        WHERE c.cafe_id = ?
+        GROUP BY c.id
+        ORDER BY views DESC, c.sort_order
+    `).all(since, cafeId);
+    
+    const searches = await db.prepare(`
+        SELECT term, SUM(count) AS searches FROM menu_engagement_daily
+        WHERE cafe_id = ? AND event = 'search' AND day >= ?
+        GROUP BY term ORDER BY searches DESC LIMIT ${TOP_SEARCH_TERMS}
+    `).all(cafeId, since);
+    
+    const series = await db.prepare(`
+        SELECT day,
+               SUM(CASE WHEN event = 'item_view' THEN count ELSE 0 END) AS item_views,
+               SUM(CASE WHEN event = 'item_open' THEN count ELSE 0 END) AS item_opens,
+               SUM(CASE WHEN event = 'category_click' THEN count ELSE 0 END) AS category_clicks,
+               SUM(CASE WHEN event = 'search' THEN count ELSE 0 END) AS searches
+        FROM menu_engagement_daily
+        WHERE cafe_id = ? AND day >= ?
+        GROUP BY day ORDER BY day
+    `).all(cafeId, since);
+    
+    const totalViews = items.reduce((sum, item) => sum + item.views, 0);
+    const typicalViews = median(items.filter(item => item.is_available).map(item => item.views));
+    
+    return {
+        range: { days, since },
+        totals: {
+            itemViews: totalViews,
+            itemOpens: items.reduce((sum, item) => sum + item.opens, 0),
+            categoryClicks: categories.reduce((sum, cat) => sum + cat.clicks, 0),
+            searches: series.reduce((sum, row) => sum + row.searches, 0)
+        },
+        items: items.map((item, index) => {
+            const flags = [];
+            if (totalViews > 0) {
+                if (item.is_bestseller && item.is_available && item.views < typicalViews) flags.push('bestseller_rarely_seen');
+                if (!item.is_available && item.views > typicalViews) flags.push('popular_unavailable');
+                if (item.is_available && item.views === 0) flags.push('never_seen');
+            }
+            
+            return {
+                rank: index + 1,
+                id: item.id,
+                name: item.name,
+                category: item.category,
+                isAvailable: !!item.is_available,
+                isBestseller: !!item.is_bestseller,
+                views: item.views,
+                opens: item.opens,
+                viewShare: totalViews ? +(item.views / totalViews).toFixed(4) : 0,
+                flags
+            };
+        }),
+        categories: categories.map(cat => ({
+            id: cat.id,
+            name: cat.name,
+            icon: cat.icon,
+            views: cat.views,
+            clicks: cat.clicks,
+            dwellSeconds: cat.dwell_seconds,
+            avgDwellSeconds: cat.views ? Math.round(cat.dwell_seconds / cat.views) : 0
+        })),
+        searches,
+        series
+    };
+}
+
+module.exports = {
+    collectEvents,
+    recordCounters,
+    parseEngagementOptions,
+    getEngagementReport
+};
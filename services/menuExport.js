@@ -0,0 +1,478 @@
+/**
+ * Menu Export Service
+ * Snapshots a cafe (profile, menu, variants, add-ons, promotions, translations) as JSON or CSV and
+ * packs it with its uploaded images into a portable ZIP bundle that
+ * can be restored as a new cafe
+ */
+
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const yauzl = require('yauzl');
+const { parsePriceRule } = require('./priceRules');
+const { TRANSLATABLE_FIELDS, normalizeLanguage } = require('./menuTranslations');
+
+const BUNDLE_FORMAT = 'qrmenu-bundle';
+const BUNDLE_VERSION = 1;
+const MANIFEST_NAME = 'menu.json';
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+const MAX_BUNDLE_FILES = 1000;
+const MAX_UNPACKED_SIZE = 100 * 1024 * 1024;
+
+// Columns copied to and from a snapshot - everything else (ids, slugs,
+// deploy state) belongs to the environment and is never exported
+const CAFE_FIELDS = [
+    'name', 'tagline', 'description', 'logo', 'cover_image', 'phone', 'email', 'address',
+    'website', 'google_link', 'instagram', 'facebook', 'currency', 'primary_color',
+    'secondary_color', 'accent_color', 'background_color', 'text_color', 'timezone',
+    'default_language', 'languages'
+];
+const CATEGORY_FIELDS = ['name', 'icon', 'description', 'sort_order', 'is_active', 'schedule'];
+const ITEM_FIELDS = [
+    'name', 'description', 'price', 'original_price', 'image', 'calories', 'is_vegan',
+    'is_vegetarian', 'is_gluten_free', 'is_spicy', 'is_bestseller', 'is_popular', 'is_new',
+    'is_available', 'sort_order', 'schedule', 'allergens', 'nutrition', 'ingredients'
+];
+const VARIANT_FIELDS = ['name', 'price', 'is_available', 'sort_order'];
+const GROUP_FIELDS = ['name', 'min_select', 'max_select', 'sort_order'];
+const OPTION_FIELDS = ['name', 'price_delta', 'is_available', 'sort_order'];
+const PRICE_RULE_FIELDS = ['name', 'scope', 'discount_type', 'amount', 'schedule', 'is_active'];
+
+// Value checks for the fields above; fields not listed are text (string or null).
+// A hand-edited bundle is checked before anything is restored, like a CSV import.
+const FIELD_CHECKS = {
+    amount: value => value === null || (typeof value === 'number' && Number.isFinite(value) && value >= 0),
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    count: value => value === null || (Number.isInteger(value) && value >= 0),
+    integer: value => Number.isInteger(value),
+    flag: value => [0, 1, true, false].includes(value),
+    text: value => value === null || typeof value === 'string'
+};
+const FIELD_TYPES = {
+    price: 'amount', original_price: 'amount', price_delta: 'number',
+    calories: 'count', min_select: 'count', max_select: 'count', sort_order: 'integer',
+    is_active: 'flag', is_available: 'flag', is_vegan: 'flag', is_vegetarian: 'flag', is_gluten_free: 'flag',
+    is_spicy: 'flag', is_bestseller: 'flag', is_popular: 'flag', is_new: 'flag'
+};
+const MAX_NAME_LENGTH = 200;
+
+// Same headers the CSV import reads (services/menuImport.js)
+const CSV_COLUMNS = [
+    ['category', item => item.category],
+    ['name', item => item.name],
+    ['description', item => item.description],
+    ['price', item => item.price],
+    ['original_price', item => item.original_price],
+    ['calories', item => item.calories],
+    ['available', item => item.is_available ? 'yes' : 'no'],
+    ['vegan', item => item.is_vegan ? 'yes' : 'no'],
+    ['vegetarian', item => item.is_vegetarian ? 'yes' : 'no'],
+    ['gluten_free', item => item.is_gluten_free ? 'yes' : 'no'],
+    ['spicy', item => item.is_spicy ? 'yes' : 'no'],
+    ['bestseller', item => item.is_bestseller ? 'yes' : 'no'],
+    ['new', item => item.is_new ? 'yes' : 'no']
+];
+
+// Copy the listed fields a row has (missing ones fall back to column defaults on restore)
+const pick = (row, fields) => Object.fromEntries(fields.filter(f => row[f] !== undefined).map(f => [f, row[f]]));
+
+// Translations of one row as { fr: { name, description }, ... }
+function rowTranslations(rows, type, id) {
+    const result = {};
+    rows.filter(row => row.entity_type === type && row.entity_id === id).forEach(row => {
+        result[row.language] = { ...result[row.language], [row.field]: row.value };
+    });
+    return result;
+}
+
+/**
+ * Build a self-contained snapshot of a cafe. Rows reference each other by
+ * position-independent `ref` keys (their old ids) so they survive restore.
+ */
+async function buildSnapshot(db, cafeId) {
+    const cafe = await db.prepare('SELECT * FROM cafes WHERE id = ?').get(cafeId);
+    if (!cafe) return null;
+    
+    const categories = await db.prepare('SELECT * FROM categories WHERE cafe_id = ? ORDER BY sort_order ASC, id ASC').all(cafeId);
+    const items = await db.prepare('SELECT * FROM menu_items WHERE cafe_id = ? ORDER BY sort_order ASC, id ASC').all(cafeId);
+    const variants = await db.prepare('SELECT * FROM item_variants WHERE cafe_id = ? ORDER BY sort_order ASC, id ASC').all(cafeId);
+    const groups = await db.prepare('SELECT * FROM modifier_groups WHERE cafe_id = ? ORDER BY sort_order ASC, id ASC').all(cafeId);
+    const options = await db.prepare(`
+        SELECT mo.* FROM modifier_options mo
+        JOIN modifier_groups mg ON mo.group_id = mg.id
+        WHERE mg.cafe_id = ?
+        ORDER BY mo.sort_order ASC, mo.id ASC
+    `).all(cafeId);
+    const links = await db.prepare(`
+        SELECT img.* FROM item_modifier_groups img
+        JOIN modifier_groups mg ON img.group_id = mg.id
+        WHERE mg.cafe_id = ?
+        ORDER BY img.sort_order ASC
+    `).all(cafeId);
+    const priceRules = await db.prepare('SELECT * FROM price_rules WHERE cafe_id = ? ORDER BY id ASC').all(cafeId);
+    const translations = await db.prepare('SELECT * FROM translations WHERE cafe_id = ? ORDER BY language ASC').all(cafeId);
+    
+    return {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        cafe: { ...pick(cafe, CAFE_FIELDS), translations: rowTranslations(translations, 'cafe', cafe.id) },
+        modifierGroups: groups.map(group => ({
+            ref: group.id,
+            ...pick(group, GROUP_FIELDS),
+            options: options.filter(o => o.group_id === group.id).map(o => pick(o, OPTION_FIELDS))
+        })),
+        categories: categories.map(cat => ({
+            ref: cat.id,
+            ...pick(cat, CATEGORY_FIELDS),
+            translations: rowTranslations(translations, 'category', cat.id),
+            items: items.filter(item => item.category_id === cat.id).map(item => ({
+                ref: item.id,
+                ...pick(item, ITEM_FIELDS),
+                translations: rowTranslations(translations, 'item', item.id),
+                variants: variants.filter(v => v.item_id === item.id).map(v => pick(v, VARIANT_FIELDS)),
+                modifierGroupRefs: links.filter(l => l.item_id === item.id).map(l => l.group_id)
+            }))
+        })),
+        priceRules: priceRules.map(rule => ({ ...pick(rule, PRICE_RULE_FIELDS), targetRef: rule.target_id }))
+    };
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Flatten a snapshot to one CSV row per item
+ */
+function snapshotToCSV(snapshot) {
+    const lines = [CSV_COLUMNS.map(([header]) => header).join(',')];
+    
+    snapshot.categories.forEach(cat => {
+        cat.items.forEach(item => {
+            const row = { ...item, category: cat.name };
+            lines.push(CSV_COLUMNS.map(([, value]) => csvCell(value(row))).join(','));
+        });
+    });
+    
+    // BOM so Excel opens UTF-8 (currency symbols, accents) correctly
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+// Uploaded files referenced by the snapshot, as paths relative to uploads/
+function getSnapshotImages(snapshot) {
+    const paths = [snapshot.cafe.logo, snapshot.cafe.cover_image];
+    snapshot.categories.forEach(cat => cat.items.forEach(item => paths.push(item.image)));
+    
+    return [...new Set(paths)]
+        .filter(p => typeof p === 'string' && p.startsWith('/uploads/'))
+        .map(p => p.slice('/uploads/'.length))
+        .filter(rel => fs.existsSync(path.join(UPLOADS_DIR, rel)));
+}
+
+/**
+ * Stream a ZIP with menu.json and every referenced upload to a response
+ */
+function writeBundle(res, snapshot) {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.pipe(res);
+    archive.append(JSON.stringify(snapshot, null, 2), { name: MANIFEST_NAME });
+    getSnapshotImages(snapshot).forEach(rel => {
+        archive.file(path.join(UPLOADS_DIR, rel), { name: `uploads/${rel}` });
+    });
+    return archive.finalize();
+}
+
+/**
+ * Unpack a bundle into { snapshot, files } where files maps
+ * "/uploads/<dir>/<name>" to its contents. Entries that are not the
+ * manifest or an image under uploads/ are ignored.
+ */
+function readBundle(buffer) {
+    return new Promise((resolve, reject) => {
+        yauzl.fromBuffer(buffer, { lazyEntries: true }, (error, zip) => {
+            if (error) return reject(new Error('Not a valid ZIP file'));
+            
+            let manifest = null;
+            const files = {};
+            let count = 0;
+            let unpacked = 0;
+            
+            const readEntry = entry => new Promise((done, fail) => {
+                zip.openReadStream(entry, (streamError, stream) => {
+                    if (streamError) return fail(streamError);
+                    const chunks = [];
+                    stream.on('data', chunk => {
+                        unpacked += chunk.length;
+                        if (unpacked > MAX_UNPACKED_SIZE) {
+                            stream.destroy(new Error('Bundle is too large'));
+                        } else {
+                            chunks.push(chunk);
+                        }
+                    });
+                    stream.on('end', () => done(Buffer.concat(chunks)));
+                    stream.on('error', fail);
+                });
+            });
+            
+            zip.on('entry', async entry => {
+                try {
+                    if (++count > MAX_BUNDLE_FILES) {
+                        throw new Error('Bundle has too many files');
+                    }
+                    
+                    const match = entry.fileName.match(/^uploads\/(logos|items)\/([^/]+)$/);
+                    
+                    if (entry.fileName === MANIFEST_NAME) {
+                        manifest = await readEntry(entry);
+                    } else if (match && /\.(jpe?g|png|gif|webp)$/i.test(match[2])) {
+                        files[`/uploads/${match[1]}/${match[2]}`] = await readEntry(entry);
+                    }
+                    
+                    zip.readEntry();
+                } catch (entryError) {
+                    zip.close();
+                    reject(entryError);
+                }
+            });
+            
+            zip.on('end', () => {
+                if (!manifest) {
+                    return reject(new Error(`Bundle is missing ${MANIFEST_NAME}`));
+                }
+                
+                let snapshot;
+                try {
+                    snapshot = JSON.parse(manifest.toString('utf8'));
+                } catch (parseError) {
+                    return reject(new Error(`${MANIFEST_NAME} is not valid JSON`));
+                }
+                
+                if (snapshot.format !== BUNDLE_FORMAT || snapshot.version > BUNDLE_VERSION) {
+                    return reject(new Error('Unsupported bundle format'));
+                }
+                if (!snapshot.cafe?.name || !Array.isArray(snapshot.categories)) {
+                    return reject(new Error('Bundle has no cafe data'));
+                }
+                
+                const errors = validateSnapshot(snapshot);
+                if (errors.length > 0) {
+                    return reject(new Error(`Bundle has invalid menu data: ${errors.slice(0, 5).join('; ')}`));
+                }
+                
+                resolve({ snapshot, files });
+            });
+            
+            zip.on('error', reject);
+            zip.readEntry();
+        });
+    });
+}
+
+/**
+ * Check the fields restoreSnapshot writes. Returns a list of errors, e.g.
+ * 'Item "Latte": invalid price "abc"'
+ */
+function validateSnapshot(snapshot) {
+    const errors = [];
+    const label = (type, row, index) => typeof row.name === 'string' && row.name ? `${type} "${row.name}"` : `${type} ${index + 1}`;
+    const list = (value, where, name) => {
+        if (value === undefined || value === null) return [];
+        if (Array.isArray(value) && value.every(entry => entry && typeof entry === 'object')) return value;
+        errors.push(`${where}: invalid ${name}`);
+        return [];
+    };
+    const check = (row, fields, where, { nameRequired = true, priceRequired = false } = {}) => {
+        if (nameRequired && (typeof row.name !== 'string' || !row.name.trim() || row.name.length > MAX_NAME_LENGTH)) {
+            errors.push(`${where}: name is required (up to ${MAX_NAME_LENGTH} characters)`);
+        }
+        if (priceRequired && row.price == null) {
+            errors.push(`${where}: price is required`);
+        }
+        for (const field of fields) {
+            if (field === 'name' || row[field] === undefined) continue;
+            if (!FIELD_CHECKS[FIELD_TYPES[field] || 'text'](row[field])) {
+                errors.push(`${where}: invalid ${field.replace(/_/g, ' ')} ${JSON.stringify(row[field])}`);
+            }
+        }
+    };
+    
+    check(snapshot.cafe, CAFE_FIELDS, 'Cafe');
+    
+    list(snapshot.modifierGroups, 'Bundle', 'add-on groups').forEach((group, groupIndex) => {
+        const where = label('Add-on group', group, groupIndex);
+        check(group, GROUP_FIELDS, where);
+        list(group.options, where, 'options').forEach((option, index) => {
+            check(option, OPTION_FIELDS, `${where}, ${label('option', option, index)}`);
+        });
+    });
+    
+    list(snapshot.categories, 'Bundle', 'categories').forEach((category, categoryIndex) => {
+        const where = label('Category', category, categoryIndex);
+        check(category, CATEGORY_FIELDS, where);
+        list(category.items, where, 'items').forEach((item, itemIndex) => {
+            const itemWhere = label('Item', item, itemIndex);
+            check(item, ITEM_FIELDS, itemWhere);
+            list(item.variants, itemWhere, 'variants').forEach((variant, index) => {
+                check(variant, VARIANT_FIELDS, `${itemWhere}, ${label('variant', variant, index)}`, { priceRequired: true });
+            });
+        });
+    });
+    
+    return errors;
+}
+
+/**
+ * Bundled images get new file names; returns a map of old path -> new path.
+ * Nothing is written yet - see saveBundleImages.
+ */
+function planBundleImages(files) {
+    const planned = {};
+    
+    Object.keys(files).forEach(oldPath => {
+        const dir = oldPath.split('/')[2];
+        const fileName = `${Date.now()}-${Math.round(Math.random() * 1E9)}${path.extname(oldPath).toLowerCase()}`;
+        planned[oldPath] = `/uploads/${dir}/${fileName}`;
+    });
+    
+    return planned;
+}
+
+/**
+ * Write bundled images to the paths planned by planBundleImages. Called once
+ * the restored cafe is committed, so a failed import leaves no files behind.
+ */
+function saveBundleImages(files, images) {
+    Object.entries(images).forEach(([oldPath, newPath]) => {
+        const file = path.join(UPLOADS_DIR, newPath.replace(/^\/uploads\//, ''));
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, files[oldPath]);
+    });
+}
+
+async function insertRow(tx, table, fields) {
+    const columns = Object.keys(fields);
+    const result = await tx.prepare(`
+        INSERT INTO ${table} (${columns.join(', ')})
+        VALUES (${columns.map(() => '?').join(', ')})
+    `).run(...columns.map(column => fields[column]));
+    return result.lastInsertRowid;
+}
+
+// Restore { fr: { name, description } } for a new row; unknown languages and fields are skipped.
+// The row's own texts are recorded as their sources.
+async function restoreTranslations(tx, cafeId, type, id, translations, row) {
+    const restored = new Set();
+    for (const [code, fields] of Object.entries(translations || {})) {
+        const language = normalizeLanguage(code);
+        if (!language || restored.has(language) || !fields || typeof fields !== 'object') continue;
+        restored.add(language);
+        
+        for (const field of TRANSLATABLE_FIELDS[type]) {
+            if (typeof fields[field] !== 'string' || !fields[field].trim()) continue;
+            await insertRow(tx, 'translations', {
+                cafe_id: cafeId, entity_type: type, entity_id: id, field, language, value: fields[field].trim(),
+                source: typeof row[field] === 'string' ? row[field] : null
+            });
+        }
+    }
+}
+
+/**
+ * Recreate a snapshot as a new cafe inside a transaction.
+ * `images` maps bundled paths to their new location; other upload paths
+ * are dropped because the files do not exist in this environment.
+ */
+async function restoreSnapshot(tx, snapshot, { slug, userId, images = {} }) {
+    const imagePath = value => {
+        if (typeof value !== 'string' || !value.startsWith('/uploads/')) return value ?? null;
+        return images[value] || null;
+    };
+    
+    const cafe = pick(snapshot.cafe, CAFE_FIELDS);
+    cafe.logo = imagePath(cafe.logo);
+    cafe.cover_image = imagePath(cafe.cover_image);
+    
+    const cafeId = await insertRow(tx, 'cafes', { ...cafe, slug, created_by: userId });
+    await restoreTranslations(tx, cafeId, 'cafe', cafeId, snapshot.cafe.translations, cafe);
+    const stats = { categories: 0, items: 0, modifierGroups: 0, priceRules: 0 };
+    
+    const groupIds = {};
+    for (const group of snapshot.modifierGroups || []) {
+        const groupId = await insertRow(tx, 'modifier_groups', { ...pick(group, GROUP_FIELDS), cafe_id: cafeId });
+        groupIds[group.ref] = groupId;
+        stats.modifierGroups++;
+        
+        for (const option of group.options || []) {
+            await insertRow(tx, 'modifier_options', { ...pick(option, OPTION_FIELDS), group_id: groupId });
+        }
+    }
+    
+    const categoryIds = {};
+    const itemIds = {};
+    for (const category of snapshot.categories) {
+        const categoryId = await insertRow(tx, 'categories', { ...pick(category, CATEGORY_FIELDS), cafe_id: cafeId });
+        categoryIds[category.ref] = categoryId;
+        await restoreTranslations(tx, cafeId, 'category', categoryId, category.translations, category);
+        stats.categories++;
+        
+        for (const item of category.items || []) {
+            const fields = pick(item, ITEM_FIELDS);
+            fields.image = imagePath(fields.image);
+            const itemId = await insertRow(tx, 'menu_items', { ...fields, cafe_id: cafeId, category_id: categoryId });
+            itemIds[item.ref] = itemId;
+            await restoreTranslations(tx, cafeId, 'item', itemId, item.translations, fields);
+            stats.items++;
+            
+            for (const variant of item.variants || []) {
+                await insertRow(tx, 'item_variants', { ...pick(variant, VARIANT_FIELDS), cafe_id: cafeId, item_id: itemId });
+            }
+            
+            const refs = (item.modifierGroupRefs || []).filter(ref => groupIds[ref]);
+            for (let index = 0; index < refs.length; index++) {
+                await insertRow(tx, 'item_modifier_groups', { item_id: itemId, group_id: groupIds[refs[index]], sort_order: index });
+            }
+        }
+    }
+    
+    // Invalid promotions, or ones for categories or items that did not make it, are dropped
+    for (const entry of snapshot.priceRules || []) {
+        const { rule } = parsePriceRule({
+            name: entry.name,
+            scope: entry.scope,
+            targetId: entry.scope === 'category' ? categoryIds[entry.targetRef] : itemIds[entry.targetRef],
+            discountType: entry.discount_type,
+            amount: entry.amount,
+            schedule: entry.schedule,
+            isActive: entry.is_active === undefined ? true : !!entry.is_active
+        });
+        if (!rule) continue;
+        
+        await insertRow(tx, 'price_rules', {
+            cafe_id: cafeId,
+            name: rule.name,
+            scope: rule.scope,
+            target_id: rule.targetId,
+            discount_type: rule.discountType,
+            amount: rule.amount,
+            schedule: rule.schedule ? JSON.stringify(rule.schedule) : null,
+            is_active: rule.isActive ? 1 : 0
+        });
+        stats.priceRules++;
+    }
+    
+    return { cafeId, stats };
+}
+
+module.exports = {
+    buildSnapshot,
+    snapshotToCSV,
+    writeBundle,
+    readBundle,
+    validateSnapshot,
+    planBundleImages,
+    saveBundleImages,
+    restoreSnapshot
+};
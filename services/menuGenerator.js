@@ -6,13 +6,36 @@
 const fs = require('fs');
 const path = require('path');
 const { getDb } = require('../database/init');
+const { cafeTimezone, readSchedule, applySchedules, describeSchedule } = require('./menuSchedule');
+const { getPriceRules, activePriceRules, applyPriceRules } = require('./priceRules');
+const { cafeLanguages, languageName, getTranslations, translateMenu } = require('./menuTranslations');
+const { allergenInfo, readAllergens, allergenLegend } = require('./allergens');
+const { readNutrition, readIngredients, describeNutrition } = require('./nutrition');
+const { buildMenuStructuredData, structuredDataScript } = require('./menuStructuredData');
 
 class MenuGenerator {
     
     /**
-     * Generate complete static HTML for a café menu
+     * Generate complete static HTML for a café menu.
+     * Pass `print` ({ pageSize, columns, images }) to add the paper layout used for PDFs.
+     * Scheduled categories and items are filtered by the cafe's local time at `now`,
+     * and `priceRules` running at that moment set the prices;
+     * printed menus keep everything at regular prices and list the serving times instead.
+     * `language` is the language of the (already translated) texts; screen pages of
+     * menus with several languages link to each other's pages.
      */
-    generateMenuHTML(cafe, categories) {
+    generateMenuHTML(cafe, categories, { print = null, now = new Date(), priceRules = [], language = null } = {}) {
+        categories = print
+            ? categories.map(cat => ({
+                ...cat,
+                availability_note: describeSchedule(readSchedule(cat)),
+                items: (cat.items || []).map(item => ({ ...item, availability_note: describeSchedule(readSchedule(item)) }))
+            }))
+            : applyPriceRules(
+                applySchedules(categories, cafeTimezone(cafe), now),
+                activePriceRules(priceRules, cafeTimezone(cafe), now)
+            );
+        
         const theme = {
             primary: cafe.primary_color || '#D4A574',
             secondary: cafe.secondary_color || '#8B7355',
@@ -22,14 +45,19 @@ class MenuGenerator {
         };
         
         const currency = cafe.currency || '₹';
+        const { defaultLanguage, languages } = cafeLanguages(cafe);
+        const pageLanguage = language || defaultLanguage;
+        const otherLanguages = print ? [] : languages.filter(code => code !== pageLanguage);
         
         return `<!DOCTYPE html>
-<html lang="en">
+<html lang="${pageLanguage}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>${this.escapeHtml(cafe.name)} - Menu</title>
     <meta name="description" content="${this.escapeHtml(cafe.tagline || 'View our delicious menu')}">
+    ${otherLanguages.map(code => `<link rel="alternate" hreflang="${code}" href="${this.languageHref(pageLanguage, code, defaultLanguage)}">`).join('\n    ')}
+    ${print ? '' : structuredDataScript(buildMenuStructuredData(cafe, categories, { language: pageLanguage }))}
     <link rel="preconnect" href="https://fonts.googleapis.com">
     <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
     <link href="https://fonts.googleapis.com/css2?family=Playfair+Display:wght@400;500;600;700&family=Poppins:wght@300;400;500;600&display=swap" rel="stylesheet">
@@ -121,6 +149,31 @@ class MenuGenerator {
             z-index: 1;
         }
         
+        .language-switcher {
+            display: flex;
+            justify-content: center;
+            flex-wrap: wrap;
+            gap: 0.5rem;
+            margin-top: 1rem;
+            position: relative;
+            z-index: 1;
+            font-size: 0.85rem;
+        }
+        
+        .language-switcher a,
+        .language-switcher span {
+            padding: 0.25rem 0.75rem;
+            border-radius: 20px;
+            border: 1px solid rgba(255,255,255,0.5);
+            color: var(--white);
+            text-decoration: none;
+        }
+        
+        .language-switcher .active {
+            background: var(--white);
+            color: var(--secondary);
+        }
+        
         /* Contact Bar */
         .contact-bar {
             background: var(--white);
@@ -327,6 +380,11 @@ class MenuGenerator {
             color: #333;
         }
         
+        .badge-promotion {
+            background: #E91E63;
+            color: white;
+        }
+        
         .item-price {
             font-weight: 600;
             color: var(--primary);
@@ -347,12 +405,97 @@ class MenuGenerator {
             line-height: 1.5;
         }
         
+        .item-options {
+            font-size: 0.8rem;
+            color: #888;
+            margin-top: 0.25rem;
+        }
+        
+        .price-from {
+            font-size: 0.75rem;
+            font-weight: 400;
+        }
+        
         .item-meta {
             margin-top: 0.5rem;
             font-size: 0.75rem;
             color: #888;
         }
         
+        .availability-note {
+            margin-top: 0.25rem;
+            font-size: 0.8rem;
+            font-style: italic;
+            color: var(--secondary);
+        }
+        
+        .item-allergens {
+            margin-top: 0.25rem;
+            font-size: 0.8rem;
+            color: #888;
+        }
+        
+        .item-allergens .allergen {
+            margin-right: 0.2rem;
+        }
+        
+        .item-allergens .may-contain {
+            margin-left: 0.25rem;
+            opacity: 0.7;
+        }
+        
+        .item-nutrition {
+            margin-top: 0.35rem;
+            font-size: 0.8rem;
+            color: #666;
+        }
+        
+        .item-nutrition summary {
+            cursor: pointer;
+            color: var(--secondary);
+            font-weight: 500;
+        }
+        
+        .item-nutrition table {
+            width: 100%;
+            margin-top: 0.35rem;
+            border-collapse: collapse;
+        }
+        
+        .item-nutrition td {
+            padding: 0.15rem 0;
+            border-bottom: 1px solid var(--accent);
+        }
+        
+        .item-nutrition td:last-child {
+            text-align: right;
+        }
+        
+        .item-nutrition .ingredients {
+            margin-top: 0.35rem;
+        }
+        
+        .allergen-legend {
+            margin-top: 2rem;
+            padding: 1rem;
+            background: var(--white);
+            border-radius: 12px;
+            font-size: 0.85rem;
+            color: #666;
+            break-inside: avoid;
+        }
+        
+        .allergen-legend h3 {
+            font-family: 'Playfair Display', serif;
+            color: var(--secondary);
+            margin-bottom: 0.5rem;
+        }
+        
+        .allergen-legend span {
+            display: inline-block;
+            margin-right: 1rem;
+        }
+        
         /* Footer */
         .footer {
             background: var(--secondary);
@@ -456,6 +599,7 @@ class MenuGenerator {
         .category-section:nth-child(2) .menu-item { animation-delay: 0.2s; }
         .category-section:nth-child(3) .menu-item { animation-delay: 0.3s; }
     </style>
+    ${print ? this.generatePrintCSS(print) : ''}
 </head>
 <body>
     <!-- Header -->
@@ -466,6 +610,13 @@ class MenuGenerator {
         }
         <h1 class="cafe-name">${this.escapeHtml(cafe.name)}</h1>
         ${cafe.tagline ? `<p class="tagline">${this.escapeHtml(cafe.tagline)}</p>` : ''}
+        ${otherLanguages.length > 0 ? `
+        <nav class="language-switcher">
+            ${languages.map(code => code === pageLanguage
+                ? `<span class="active">${this.escapeHtml(languageName(code))}</span>`
+                : `<a href="${this.languageHref(pageLanguage, code, defaultLanguage)}" hreflang="${code}" lang="${code}">${this.escapeHtml(languageName(code))}</a>`
+            ).join('')}
+        </nav>` : ''}
     </header>
     
     <!-- Contact Bar -->
@@ -493,6 +644,7 @@ class MenuGenerator {
                 ${this.escapeHtml(cat.name)}
             </h2>
             ${cat.description ? `<p style="color: #666; margin-bottom: 1rem; font-size: 0.9rem;">${this.escapeHtml(cat.description)}</p>` : ''}
+            ${cat.availability_note ? `<p class="availability-note" style="margin-bottom: 1rem;">${this.escapeHtml(cat.availability_note)}</p>` : ''}
             <div class="menu-items">
                 ${cat.items && cat.items.length > 0 ? cat.items.map(item => this.generateItemHTML(item, currency)).join('') : `
                 <div class="empty-state">
@@ -508,6 +660,7 @@ class MenuGenerator {
             <p>Our delicious menu is being prepared.</p>
         </div>
         `}
+        ${this.generateAllergenLegendHTML(categories)}
     </main>
     
     <!-- Footer -->
@@ -557,6 +710,70 @@ class MenuGenerator {
 </html>`;
     }
     
+    /**
+     * Generate print stylesheet (page size, 1 or 2 columns, optional images)
+     */
+    generatePrintCSS({ pageSize = 'A4', columns = 1, images = true }) {
+        return `<style>
+        @page {
+            size: ${pageSize};
+            margin: 12mm;
+        }
+        
+        body {
+            min-height: 0;
+            background: var(--white);
+            -webkit-print-color-adjust: exact;
+            print-color-adjust: exact;
+        }
+        
+        .categories-nav,
+        .contact-item svg,
+        .social-links,
+        .item-nutrition,
+        .powered-by {
+            display: none;
+        }
+        
+        .header {
+            padding: 1.5rem 1rem;
+        }
+        
+        .contact-bar {
+            padding: 0.5rem;
+        }
+        
+        .menu-container {
+            max-width: none;
+            padding: 1rem 0;
+            ${columns > 1 ? `column-count: ${columns}; column-gap: 10mm;` : ''}
+        }
+        
+        .category-title {
+            break-after: avoid;
+        }
+        
+        .menu-item,
+        .menu-item:hover {
+            animation: none;
+            box-shadow: none;
+            transform: none;
+            border: 1px solid var(--accent);
+            break-inside: avoid;
+        }
+        
+        ${images ? '' : `.item-image,
+        .item-placeholder {
+            display: none;
+        }`}
+        
+        .footer {
+            padding: 1rem;
+            margin-top: 0;
+        }
+    </style>`;
+    }
+    
     /**
      * Generate contact bar HTML
      */
@@ -630,6 +847,48 @@ class MenuGenerator {
         `;
     }
     
+    /**
+     * Generate one page per menu language: the default language as index.html,
+     * the others in a folder named after the language (fr/index.html).
+     * `translations` maps language -> translations (see services/menuTranslations).
+     * Returns [{ language, file, html }]
+     */
+    generateLanguagePages(cafe, categories, { translations = {}, ...options } = {}) {
+        const { defaultLanguage, languages } = cafeLanguages(cafe);
+        
+        return languages.map(language => {
+            const translated = language === defaultLanguage
+                ? { cafe, categories }
+                : translateMenu(cafe, categories, translations[language]);
+            
+            return {
+                language,
+                file: language === defaultLanguage ? 'index.html' : path.join(language, 'index.html'),
+                html: this.generateMenuHTML(translated.cafe, translated.categories, { ...options, language })
+            };
+        });
+    }
+    
+    /**
+     * Relative link from one language page to another
+     */
+    languageHref(from, to, defaultLanguage) {
+        const root = from === defaultLanguage ? './' : '../';
+        return to === defaultLanguage ? root : `${root}${to}/`;
+    }
+    
+    /**
+     * Translations of every extra language of a cafe, for generateLanguagePages()
+     */
+    async loadTranslations(db, cafe) {
+        const { defaultLanguage, languages } = cafeLanguages(cafe);
+        const translations = {};
+        for (const language of languages.filter(code => code !== defaultLanguage)) {
+            translations[language] = await getTranslations(db, cafe.id, language);
+        }
+        return translations;
+    }
+    
     /**
      * Generate item HTML
      */
@@ -641,6 +900,7 @@ class MenuGenerator {
         if (item.is_vegetarian) badges.push('<span class="badge badge-vegetarian">🥬 Vegetarian</span>');
         if (item.is_spicy) badges.push('<span class="badge badge-spicy">🌶️ Spicy</span>');
         if (item.is_gluten_free) badges.push('<span class="badge badge-gf">GF</span>');
+        if (item.promotion_label) badges.push(`<span class="badge badge-promotion">🏷️ ${this.escapeHtml(item.promotion_label)}</span>`);
         
         return `
             <div class="menu-item">
@@ -655,17 +915,103 @@ class MenuGenerator {
                             ${badges.length > 0 ? `<div class="item-badges">${badges.join('')}</div>` : ''}
                         </div>
                         <div class="item-price">
-                            ${currency}${parseFloat(item.price).toFixed(2)}
-                            ${item.original_price ? `<span class="original-price">${currency}${parseFloat(item.original_price).toFixed(2)}</span>` : ''}
+                            ${this.generatePriceHTML(item, currency)}
                         </div>
                     </div>
                     ${item.description ? `<p class="item-description">${this.escapeHtml(item.description)}</p>` : ''}
                     ${item.calories ? `<p class="item-meta">${item.calories} cal</p>` : ''}
+                    ${this.generateAllergensHTML(item)}
+                    ${this.generateNutritionHTML(item)}
+                    ${item.availability_note ? `<p class="availability-note">${this.escapeHtml(item.availability_note)}</p>` : ''}
+                    ${this.generateOptionsHTML(item, currency)}
                 </div>
             </div>
         `;
     }
     
+    /**
+     * Generate allergen icons (custom allergens by name); traces after "May contain"
+     */
+    generateAllergensHTML(item) {
+        const allergens = readAllergens(item);
+        if (!allergens) return '';
+        
+        const icon = name => {
+            const info = allergenInfo(name);
+            return info
+                ? `<span class="allergen" role="img" aria-label="${info.name}" title="${info.name}">${info.icon}</span>`
+                : `<span class="allergen">${this.escapeHtml(name)}</span>`;
+        };
+        
+        return `<p class="item-allergens">
+            ${allergens.contains.map(icon).join('')}
+            ${allergens.mayContain.length > 0 ? `<span class="may-contain">May contain: ${allergens.mayContain.map(icon).join('')}</span>` : ''}
+        </p>`;
+    }
+    
+    /**
+     * Generate the expandable nutrition facts and ingredients panel
+     */
+    generateNutritionHTML(item) {
+        const rows = describeNutrition(readNutrition(item), item.calories);
+        const ingredients = readIngredients(item);
+        // Calories alone are already shown under the description
+        const hasFacts = rows.some(row => row.key !== 'calories');
+        if (!hasFacts && !ingredients) return '';
+        
+        const summary = hasFacts && ingredients ? 'Nutrition &amp; ingredients' : ingredients ? 'Ingredients' : 'Nutrition facts';
+        return `<details class="item-nutrition">
+            <summary>${summary}</summary>
+            ${hasFacts ? `<table>${rows.map(row => `<tr><td>${row.label}</td><td>${row.value}</td></tr>`).join('')}</table>` : ''}
+            ${ingredients ? `<p class="ingredients"><strong>Ingredients:</strong> ${ingredients.map(name => this.escapeHtml(name)).join(', ')}</p>` : ''}
+        </details>`;
+    }
+    
+    /**
+     * Generate the legend of the allergen icons used on the menu
+     */
+    generateAllergenLegendHTML(categories) {
+        const legend = allergenLegend(categories);
+        if (legend.length === 0) return '';
+        
+        return `
+        <section class="allergen-legend">
+            <h3>Allergens</h3>
+            <p>${legend.map(allergen => `<span>${allergen.icon} ${allergen.name}</span>`).join('')}</p>
+            <p>"May contain" marks possible traces. Please tell our staff about any allergies.</p>
+        </section>`;
+    }
+    
+    /**
+     * Generate price HTML (lowest size price when the item has sizes)
+     */
+    generatePriceHTML(item, currency) {
+        const variants = item.variants || [];
+        if (variants.length > 0) {
+            const lowest = Math.min(...variants.map(v => parseFloat(v.price)));
+            return `<span class="price-from">from</span> ${currency}${lowest.toFixed(2)}`;
+        }
+        
+        return `${currency}${parseFloat(item.price).toFixed(2)}
+            ${item.original_price ? `<span class="original-price">${currency}${parseFloat(item.original_price).toFixed(2)}</span>` : ''}`;
+    }
+    
+    /**
+     * Generate sizes and add-on groups HTML
+     */
+    generateOptionsHTML(item, currency) {
+        const variants = item.variants || [];
+        const groups = item.modifier_groups || [];
+        if (variants.length === 0 && groups.length === 0) return '';
+        
+        return `
+            <div class="item-options">
+                ${variants.length > 0 ? `<p>${variants.map(v => `${this.escapeHtml(v.name)} ${currency}${parseFloat(v.price).toFixed(2)}`).join(' · ')}</p>` : ''}
+                ${groups.map(group => `<p>${this.escapeHtml(group.name)}: ${group.options.map(o => this.escapeHtml(o.name)).join(', ')}</p>`).join('')}
+            </div>
+        `;
+    }
+    
     /**
      * Escape HTML special characters
      */
@@ -686,18 +1032,18 @@ class MenuGenerator {
         const db = await getDb();
         
         // Get café
-        const cafe = db.prepare('SELECT * FROM cafes WHERE id = ?').get(cafeId);
+        const cafe = await db.prepare('SELECT * FROM cafes WHERE id = ?').get(cafeId);
         if (!cafe) {
             throw new Error('Café not found');
         }
         
         // Get categories with items
-        const categories = db.prepare(`
+        const categories = await db.prepare(`
             SELECT * FROM categories WHERE cafe_id = ? AND is_active = 1 ORDER BY sort_order ASC
         `).all(cafeId);
         
-        const items = db.prepare(`
-            SELECT * FROM menu_items WHERE cafe_id = ? AND is_available = 1 ORDER BY sort_order ASC
+        const items = await db.prepare(`
+            SELECT * FROM menu_items WHERE cafe_id = ? AND is_available = 1 AND is_hidden = 0 ORDER BY sort_order ASC
         `).all(cafeId);
         
         // Organize items by category
@@ -706,18 +1052,20 @@ class MenuGenerator {
             items: items.filter(item => item.category_id === cat.id)
         }));
         
-        // Generate HTML
-        const html = this.generateMenuHTML(cafe, categoriesWithItems);
+        // Generate one page per language, with the promotions running right now
+        const pages = this.generateLanguagePages(cafe, categoriesWithItems, {
+            priceRules: await getPriceRules(db, cafeId),
+            translations: await this.loadTranslations(db, cafe)
+        });
         
         // Save to deploy folder
         const deployDir = path.join(__dirname, '..', 'deploy', cafe.slug);
         
-        if (!fs.existsSync(deployDir)) {
-            fs.mkdirSync(deployDir, { recursive: true });
-        }
-        
-        // Write HTML file
-        fs.writeFileSync(path.join(deployDir, 'index.html'), html);
+        // Write HTML files (index.html, fr/index.html, ...)
+        pages.forEach(page => {
+            fs.mkdirSync(path.dirname(path.join(deployDir, page.file)), { recursive: true });
+            fs.writeFileSync(path.join(deployDir, page.file), page.html);
+        });
         
         // Copy images if they exist locally
         const imagesDir = path.join(deployDir, 'images');
@@ -726,7 +1074,7 @@ class MenuGenerator {
         }
         
         // Update last generated timestamp
-        db.prepare('UPDATE cafes SET last_generated = ? WHERE id = ?')
+        await db.prepare('UPDATE cafes SET last_generated = ? WHERE id = ?')
             .run(new Date().toISOString(), cafeId);
         
         return {
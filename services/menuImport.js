@@ -0,0 +1,365 @@
+/**
+ * Menu Import Service
+ * Parses spreadsheet exports (CSV from Excel, Google Sheets, Numbers) and
+ * plans which categories and items an import creates, updates or skips
+ */
+
+const { getCategoryIcon } = require('./googleExtractor');
+
+const MAX_IMPORT_ROWS = 2000;
+
+// Accepted header names (normalized) for each item field
+const COLUMN_ALIASES = {
+    category: ['category', 'category_name', 'section'],
+    name: ['name', 'item', 'item_name'],
+    description: ['description', 'desc'],
+    price: ['price'],
+    original_price: ['original_price', 'compare_at_price', 'mrp', 'was_price'],
+    calories: ['calories', 'kcal'],
+    is_available: ['available', 'is_available', 'availability', 'in_stock'],
+    is_vegan: ['vegan', 'is_vegan'],
+    is_vegetarian: ['vegetarian', 'is_vegetarian', 'veg'],
+    is_gluten_free: ['gluten_free', 'is_gluten_free', 'gf'],
+    is_spicy: ['spicy', 'is_spicy'],
+    is_bestseller: ['bestseller', 'is_bestseller'],
+    is_new: ['new', 'is_new'],
+    dietary: ['dietary', 'dietary_flags', 'tags']
+};
+
+// Tokens allowed in a combined "dietary" column
+const DIETARY_TOKENS = {
+    vegan: 'is_vegan',
+    vegetarian: 'is_vegetarian',
+    veg: 'is_vegetarian',
+    gluten_free: 'is_gluten_free',
+    gf: 'is_gluten_free',
+    spicy: 'is_spicy',
+    bestseller: 'is_bestseller',
+    new: 'is_new'
+};
+
+const FLAG_FIELDS = ['is_vegan', 'is_vegetarian', 'is_gluten_free', 'is_spicy', 'is_bestseller', 'is_new'];
+const TRUE_VALUES = ['1', 'yes', 'y', 'true', 'x', '✓'];
+const FALSE_VALUES = ['0', 'no', 'n', 'false', ''];
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, CRLF).
+ * The delimiter is detected from the header so Excel's ";" exports work too.
+ */
+function parseCSV(text) {
+    const input = text.replace(/^\uFEFF/, '');
+    const firstLine = input.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t']
+        .map(d => ({ d, count: firstLine.split(d).length }))
+        .sort((a, b) => b.count - a.count)[0].d;
+    
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    
+    // Drop completely empty lines
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+function normalizeHeader(header) {
+    return header.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+// Accepts "120", "₹1,200.50" and decimal commas like "4,50"
+function parseNumber(value) {
+    let cleaned = value.replace(/[^0-9.,-]/g, '');
+    if (/^-?\d+,\d{1,2}$/.test(cleaned)) {
+        cleaned = cleaned.replace(',', '.');
+    } else {
+        cleaned = cleaned.replace(/,/g, '');
+    }
+    return cleaned === '' ? NaN : Number(cleaned);
+}
+
+function parseBoolean(value) {
+    const normalized = value.trim().toLowerCase();
+    if (TRUE_VALUES.includes(normalized)) return 1;
+    if (FALSE_VALUES.includes(normalized)) return 0;
+    return null;
+}
+
+/**
+ * Turn parsed CSV into item rows, validating every cell.
+ * Returns { rows: [{ line, item }], errors: [{ line, errors }] } or throws
+ * when the header itself is unusable.
+ */
+function readMenuRows(text) {
+    const table = parseCSV(text);
+    
+    if (table.length < 2) {
+        throw new Error('The file needs a header row and at least one item');
+    }
+    
+    if (table.length - 1 > MAX_IMPORT_ROWS) {
+        throw new Error(`Imports are limited to ${MAX_IMPORT_ROWS} rows`);
+    }
+    
+    // Map each field to its column index
+    const headers = table[0].map(normalizeHeader);
+    const columns = {};
+    Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+        const index = headers.findIndex(h => aliases.includes(h));
+        if (index !== -1) columns[field] = index;
+    });
+    
+    if (columns.category === undefined || columns.name === undefined) {
+        throw new Error('The header must include "category" and "name" columns');
+    }
+    
+    const rows = [];
+    const errors = [];
+    
+    table.slice(1).forEach((cells, index) => {
+        const line = index + 2; // Spreadsheet line number (header is line 1)
+        const cell = field => columns[field] === undefined ? undefined : (cells[columns[field]] || '').trim();
+        const rowErrors = [];
+        const item = {};
+        
+        item.category = cell('category');
+        item.name = cell('name');
+        if (!item.category) rowErrors.push('Category is required');
+        if (!item.name) rowErrors.push('Name is required');
+        if (item.name && item.name.length > 200) rowErrors.push('Name is too long');
+        
+        if (columns.description !== undefined) {
+            item.description = cell('description');
+        }
+        
+        ['price', 'original_price'].forEach(field => {
+            const value = cell(field);
+            if (value === undefined) return;
+            if (value === '') {
+                item[field] = null;
+                return;
+            }
+            const number = parseNumber(value);
+            if (isNaN(number) || number < 0) {
+                rowErrors.push(`Invalid ${field.replace('_', ' ')} "${value}"`);
+            } else {
+                item[field] = Math.round(number * 100) / 100;
+            }
+        });
+        
+        if (columns.calories !== undefined) {
+            const value = cell('calories');
+            const number = value === '' ? null : parseInt(value);
+            if (number !== null && (isNaN(number) || number < 0)) {
+                rowErrors.push(`Invalid calories "${value}"`);
+            } else {
+                item.calories = number;
+            }
+        }
+        
+        [...FLAG_FIELDS, 'is_available'].forEach(field => {
+            const value = cell(field);
+            if (value === undefined) return;
+            // Blank availability means available, blank flags mean "no"
+            const parsed = field === 'is_available' && value === '' ? 1 : parseBoolean(value);
+            if (parsed === null) {
+                rowErrors.push(`Invalid ${field.replace('is_', '').replace('_', ' ')} value "${value}" (use yes/no)`);
+            } else {
+                item[field] = parsed;
+            }
+        });
+        
+        if (columns.dietary !== undefined) {
+            cell('dietary').split(/[,;|/]/).map(normalizeHeader).filter(Boolean).forEach(token => {
+                if (DIETARY_TOKENS[token]) {
+                    item[DIETARY_TOKENS[token]] = 1;
+                } else {
+                    rowErrors.push(`Unknown dietary tag "${token}"`);
+                }
+            });
+        }
+        
+        if (rowErrors.length > 0) {
+            errors.push({ line, name: item.name || null, errors: rowErrors });
+        } else {
+            rows.push({ line, item });
+        }
+    });
+    
+    return { rows, errors };
+}
+
+const key = (...parts) => parts.map(p => String(p).trim().toLowerCase()).join('\u0000');
+
+/**
+ * Compare import rows with the current menu and decide what happens to each.
+ * Only columns present in the file are compared, so a price-only sheet
+ * never wipes descriptions.
+ */
+async function planImport(db, cafeId, { rows, errors }) {
+    const categories = await db.prepare('SELECT id, name FROM categories WHERE cafe_id = ?').all(cafeId);
+    const items = await db.prepare('SELECT * FROM menu_items WHERE cafe_id = ?').all(cafeId);
+    
+    const categoriesByName = {};
+    categories.forEach(cat => { categoriesByName[key(cat.name)] = cat; });
+    
+    const itemsByKey = {};
+    items.forEach(item => { itemsByKey[key(item.category_id, item.name)] = item; });
+    
+    const newCategories = [];
+    const plannedRows = [];
+    const seen = {};
+    const allErrors = [...errors];
+    
+    for (const { line, item } of rows) {
+        const rowKey = key(item.category, item.name);
+        if (seen[rowKey]) {
+            allErrors.push({ line, name: item.name, errors: [`Duplicate of line ${seen[rowKey]}`] });
+            continue;
+        }
+        seen[rowKey] = line;
+        
+        let category = categoriesByName[key(item.category)];
+        if (!category) {
+            category = { id: null, name: item.category, icon: getCategoryIcon(item.category) };
+            categoriesByName[key(item.category)] = category;
+            newCategories.push(category);
+        }
+        
+        const existing = category.id ? itemsByKey[key(category.id, item.name)] : null;
+        const fields = Object.keys(item).filter(f => f !== 'category' && f !== 'name');
+        
+        if (!existing) {
+            plannedRows.push({ line, action: 'create', category: category.name, name: item.name, item });
+            continue;
+        }
+        
+        const changes = {};
+        fields.forEach(field => {
+            const current = existing[field] === undefined ? null : existing[field];
+            const next = item[field] === undefined ? null : item[field];
+            if ((current ?? '') !== (next ?? '')) {
+                changes[field] = { from: current, to: next };
+            }
+        });
+        
+        plannedRows.push({
+            line,
+            action: Object.keys(changes).length > 0 ? 'update' : 'skip',
+            category: category.name,
+            name: existing.name,
+            itemId: existing.id,
+            item,
+            changes
+        });
+    }
+    
+    allErrors.sort((a, b) => a.line - b.line);
+    
+    return {
+        summary: {
+            categoriesCreated: newCategories.length,
+            itemsCreated: plannedRows.filter(r => r.action === 'create').length,
+            itemsUpdated: plannedRows.filter(r => r.action === 'update').length,
+            itemsSkipped: plannedRows.filter(r => r.action === 'skip').length,
+            errors: allErrors.length
+        },
+        categories: newCategories.map(cat => ({ name: cat.name, icon: cat.icon })),
+        rows: plannedRows,
+        errors: allErrors
+    };
+}
+
+/**
+ * Write a plan inside a transaction
+ */
+async function applyImport(tx, cafeId, plan) {
+    const categoryIds = {};
+    const existing = await tx.prepare('SELECT id, name FROM categories WHERE cafe_id = ?').all(cafeId);
+    existing.forEach(cat => { categoryIds[key(cat.name)] = cat.id; });
+    
+    const maxCatOrder = await tx.prepare('SELECT MAX(sort_order) as max FROM categories WHERE cafe_id = ?').get(cafeId);
+    let catSortOrder = (maxCatOrder?.max || 0) + 1;
+    
+    for (const cat of plan.categories) {
+        const result = await tx.prepare(`
+            INSERT INTO categories (cafe_id, name, icon, sort_order)
+            VALUES (?, ?, ?, ?)
+        `).run(cafeId, cat.name, cat.icon, catSortOrder++);
+        categoryIds[key(cat.name)] = result.lastInsertRowid;
+    }
+    
+    const sortOrders = {};
+    
+    for (const row of plan.rows) {
+        const item = row.item;
+        
+        if (row.action === 'create') {
+            const categoryId = categoryIds[key(row.category)];
+            
+            if (sortOrders[categoryId] === undefined) {
+                const maxOrder = await tx.prepare('SELECT MAX(sort_order) as max FROM menu_items WHERE category_id = ?').get(categoryId);
+                sortOrders[categoryId] = (maxOrder?.max || 0) + 1;
+            }
+            
+            await tx.prepare(`
+                INSERT INTO menu_items (
+                    cafe_id, category_id, name, description, price, original_price, calories,
+                    is_vegan, is_vegetarian, is_gluten_free, is_spicy, is_bestseller, is_new,
+                    is_available, sort_order
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(
+                cafeId, categoryId, item.name, item.description || '',
+                item.price ?? null, item.original_price ?? null, item.calories ?? null,
+                item.is_vegan || 0, item.is_vegetarian || 0, item.is_gluten_free || 0,
+                item.is_spicy || 0, item.is_bestseller || 0, item.is_new || 0,
+                item.is_available ?? 1, sortOrders[categoryId]++
+            );
+        } else if (row.action === 'update') {
+            const fields = Object.keys(row.changes);
+            await tx.prepare(`
+                UPDATE menu_items SET ${fields.map(f => `${f} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND cafe_id = ?
+            `).run(...fields.map(f => row.changes[f].to), row.itemId, cafeId);
+        }
+    }
+}
+
+module.exports = {
+    parseCSV,
+    readMenuRows,
+    planImport,
+    applyImport
+};
@@ -0,0 +1,126 @@
+/**
+ * Menu Options Service
+ * Loads item variants (sizes) and modifier groups (add-ons) and prices
+ * a selection of them server-side
+ */
+
+/**
+ * Attach `variants` and `modifier_groups` to every item of a cafe
+ */
+async function attachItemOptions(db, cafeId, items, { availableOnly = false } = {}) {
+    const availableSql = availableOnly ? ' AND is_available = 1' : '';
+    
+    const variants = await db.prepare(`
+        SELECT id, item_id, name, price, is_available, sort_order
+        FROM item_variants
+        WHERE cafe_id = ?${availableSql}
+        ORDER BY sort_order ASC, id ASC
+    `).all(cafeId);
+    
+    const groups = await getModifierGroups(db, cafeId, { availableOnly });
+    const groupsById = {};
+    groups.forEach(group => { groupsById[group.id] = group; });
+    
+    const links = await db.prepare(`
+        SELECT img.item_id, img.group_id
+        FROM item_modifier_groups img
+        JOIN modifier_groups mg ON img.group_id = mg.id
+        WHERE mg.cafe_id = ?
+        ORDER BY img.sort_order ASC, img.group_id ASC
+    `).all(cafeId);
+    
+    return items.map(item => ({
+        ...item,
+        variants: variants.filter(v => v.item_id === item.id),
+        modifier_groups: links
+            .filter(link => link.item_id === item.id && groupsById[link.group_id])
+            .map(link => groupsById[link.group_id])
+    }));
+}
+
+/**
+ * Get all modifier groups of a cafe with their options
+ */
+async function getModifierGroups(db, cafeId, { availableOnly = false } = {}) {
+    const groups = await db.prepare(`
+        SELECT id, name, min_select, max_select, sort_order
+        FROM modifier_groups
+        WHERE cafe_id = ?
+        ORDER BY sort_order ASC, id ASC
+    `).all(cafeId);
+    
+    const options = await db.prepare(`
+        SELECT mo.id, mo.group_id, mo.name, mo.price_delta, mo.is_available, mo.sort_order
+        FROM modifier_options mo
+        JOIN modifier_groups mg ON mo.group_id = mg.id
+        WHERE mg.cafe_id = ?${availableOnly ? ' AND mo.is_available = 1' : ''}
+        ORDER BY mo.sort_order ASC, mo.id ASC
+    `).all(cafeId);
+    
+    return groups.map(group => ({
+        ...group,
+        options: options.filter(o => o.group_id === group.id)
+    }));
+}
+
+/**
+ * Validate a variant/modifier selection for an item and compute its unit price.
+ * Returns { error } or { unitPrice, variantName, modifierNames }
+ */
+function priceSelection(item, variantId, optionIds = []) {
+    let unitPrice = item.price === null || item.price === undefined ? null : Number(item.price);
+    let variantName = null;
+    
+    if (item.variants.length > 0) {
+        const variant = item.variants.find(v => v.id === parseInt(variantId));
+        if (!variant) {
+            return { error: `Please choose a size for ${item.name}` };
+        }
+        unitPrice = Number(variant.price);
+        variantName = variant.name;
+    } else if (variantId) {
+        return { error: `${item.name} has no sizes` };
+    }
+    
+    if (unitPrice === null) {
+        return { error: `${item.name} cannot be ordered online` };
+    }
+    
+    const selected = (Array.isArray(optionIds) ? optionIds : []).map(id => parseInt(id));
+    const modifierNames = [];
+    let matched = 0;
+    
+    for (const group of item.modifier_groups) {
+        const chosen = group.options.filter(o => selected.includes(o.id));
+        matched += chosen.length;
+        
+        if (chosen.length < group.min_select) {
+            return { error: `Please choose ${group.name} for ${item.name}` };
+        }
+        
+        if (group.max_select && chosen.length > group.max_select) {
+            return { error: `Choose at most ${group.max_select} ${group.name} for ${item.name}` };
+        }
+        
+        chosen.forEach(option => {
+            unitPrice += Number(option.price_delta) || 0;
+            modifierNames.push(option.name);
+        });
+    }
+    
+    if (matched !== selected.length) {
+        return { error: `Some options for ${item.name} are no longer available` };
+    }
+    
+    return {
+        unitPrice: Math.round(unitPrice * 100) / 100,
+        variantName,
+        modifierNames
+    };
+}
+
+module.exports = {
+    attachItemOptions,
+    getModifierGroups,
+    priceSelection
+};
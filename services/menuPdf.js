@@ -0,0 +1,97 @@
+/**
+ * Menu PDF Service
+ * Renders the printable menu (menuGenerator HTML + print stylesheet) and
+ * other print artifacts to PDF with headless Chrome
+ */
+
+const fs = require('fs');
+const path = require('path');
+const puppeteer = require('puppeteer');
+const menuGenerator = require('./menuGenerator');
+
+const PAGE_SIZES = { a4: 'A4', a5: 'A5', letter: 'Letter' };
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+const IMAGE_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.gif': 'image/gif', '.webp': 'image/webp' };
+
+/**
+ * Read print options from a query string: ?size=a4|a5|letter&columns=1|2&images=true|false
+ * Returns { error } or { pageSize, columns, images }
+ */
+function parsePrintOptions(query) {
+    const size = (query.size || 'a4').toLowerCase();
+    const columns = parseInt(query.columns || 1);
+    
+    if (!PAGE_SIZES[size]) {
+        return { error: 'Size must be a4, a5 or letter' };
+    }
+    if (columns !== 1 && columns !== 2) {
+        return { error: 'Columns must be 1 or 2' };
+    }
+    
+    return {
+        pageSize: PAGE_SIZES[size],
+        columns,
+        images: !['false', '0', 'no'].includes(String(query.images).toLowerCase())
+    };
+}
+
+// The page is rendered from a string, so /uploads/... paths are inlined as data URIs
+function inlineImage(src) {
+    if (typeof src !== 'string' || !src.startsWith('/uploads/')) return src;
+    
+    const filePath = path.join(UPLOADS_DIR, path.normalize(src.slice('/uploads/'.length)));
+    const type = IMAGE_TYPES[path.extname(filePath).toLowerCase()];
+    if (!type || !filePath.startsWith(UPLOADS_DIR) || !fs.existsSync(filePath)) return null;
+    
+    return `data:${type};base64,${fs.readFileSync(filePath).toString('base64')}`;
+}
+
+/**
+ * Render an HTML document to a PDF buffer. The page size comes from the
+ * document's @page rule unless `format` is given.
+ */
+async function renderPDF(html, options = {}) {
+    let browser = null;
+    
+    try {
+        browser = await puppeteer.launch({
+            headless: 'new',
+            args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+        });
+        
+        const page = await browser.newPage();
+        await page.setContent(html, { waitUntil: 'networkidle0', timeout: 30000 });
+        await page.evaluate(() => document.fonts.ready);
+        
+        return await page.pdf({
+            printBackground: true,
+            preferCSSPageSize: true,
+            ...options
+        });
+    } finally {
+        if (browser) await browser.close();
+    }
+}
+
+/**
+ * Render a cafe's menu to a PDF buffer
+ */
+async function generateMenuPDF(cafe, categories, print) {
+    const html = menuGenerator.generateMenuHTML(
+        { ...cafe, logo: inlineImage(cafe.logo) },
+        categories.map(cat => ({
+            ...cat,
+            items: cat.items.map(item => ({ ...item, image: print.images ? inlineImage(item.image) : null }))
+        })),
+        { print }
+    );
+    
+    return renderPDF(html, { format: print.pageSize });
+}
+
+module.exports = {
+    parsePrintOptions,
+    inlineImage,
+    renderPDF,
+    generateMenuPDF
+};
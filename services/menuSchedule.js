@@ -0,0 +1,310 @@
+/**
+ * Menu Schedule Service
+ * Time-based availability for categories and items: weekly time windows and
+ * an optional date range, evaluated in the cafe's timezone. Outside its
+ * schedule an entry is hidden, or shown with an "Available from 7:00" hint.
+ *
+ * Stored as JSON in `schedule`:
+ *   {
+ *     windows: [{ days: [1, 2, 3, 4, 5], start: '17:00', end: '19:00' }],  // days 0 = Sunday; [] = every day
+ *     startDate: '2026-06-01', endDate: '2026-08-31',                     // optional, inclusive
+ *     whenClosed: 'hide' | 'hint'
+ *   }
+ * A window whose end is not after its start runs past midnight (22:00-02:00).
+ */
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const MAX_WINDOWS = 10;
+const SCHEDULE_KEYS = ['windows', 'startDate', 'endDate', 'whenClosed'];
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+function isValidTimezone(timezone) {
+    if (typeof timezone !== 'string' || !timezone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+function cafeTimezone(cafe) {
+    return cafe && isValidTimezone(cafe.timezone) ? cafe.timezone : DEFAULT_TIMEZONE;
+}
+
+// "7:00" / "07:00" / "24:00" -> minutes after midnight
+function parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+    if (!match) return null;
+    const minutes = parseInt(match[1]) * 60 + parseInt(match[2]);
+    return parseInt(match[2]) < 60 && minutes <= 24 * 60 ? minutes : null;
+}
+
+function formatTime(minutes) {
+    return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function isValidDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+function addDays(date, days) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+}
+
+function weekdayOf(date) {
+    return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+function formatDate(date) {
+    const [, month, day] = date.split('-').map(Number);
+    return `${day} ${MONTH_NAMES[month - 1]}`;
+}
+
+/**
+ * Validate a schedule from the API. `null`, '' or {} clears it; any other
+ * shape than { windows, startDate, endDate, whenClosed } is an error, so a
+ * malformed request never wipes a saved schedule.
+ * Returns { error } or { schedule } (normalized, or null)
+ */
+function parseSchedule(input) {
+    if (input === undefined) {
+        return { error: 'Schedule required (null clears it)' };
+    }
+    if (input === null || input === '') {
+        return { schedule: null };
+    }
+    if (typeof input === 'string') {
+        try {
+            input = JSON.parse(input);
+        } catch (e) {
+            return { error: 'Schedule must be JSON' };
+        }
+    }
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Invalid schedule' };
+    }
+    
+    const keys = Object.keys(input);
+    if (keys.length === 0) {
+        return { schedule: null };
+    }
+    if (keys.some(key => !SCHEDULE_KEYS.includes(key)) || !['windows', 'startDate', 'endDate'].some(key => key in input)) {
+        return { error: 'Unrecognized schedule format' };
+    }
+    
+    const windows = input.windows || [];
+    if (!Array.isArray(windows) || windows.length > MAX_WINDOWS) {
+        return { error: `Schedule can have up to ${MAX_WINDOWS} time windows` };
+    }
+    
+    const normalized = [];
+    for (const window of windows) {
+        const start = parseTime(window && window.start);
+        const end = parseTime(window && window.end);
+        if (start === null || end === null || start === end || start === 24 * 60) {
+            return { error: 'Each time window needs a start and end time (HH:MM)' };
+        }
+        
+        const days = window.days || [];
+        if (!Array.isArray(days) || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+            return { error: 'Days must be numbers from 0 (Sunday) to 6 (Saturday)' };
+        }
+        
+        normalized.push({ days: [...new Set(days)].sort(), start: formatTime(start), end: formatTime(end) });
+    }
+    
+    const startDate = input.startDate || null;
+    const endDate = input.endDate || null;
+    if ((startDate && !isValidDate(startDate)) || (endDate && !isValidDate(endDate))) {
+        return { error: 'Dates must be YYYY-MM-DD' };
+    }
+    if (startDate && endDate && startDate > endDate) {
+        return { error: 'Start date must be before end date' };
+    }
+    
+    if (normalized.length === 0 && !startDate && !endDate) {
+        return { schedule: null };
+    }
+    
+    const whenClosed = input.whenClosed || 'hide';
+    if (whenClosed !== 'hide' && whenClosed !== 'hint') {
+        return { error: 'whenClosed must be hide or hint' };
+    }
+    
+    return { schedule: { windows: normalized, startDate, endDate, whenClosed } };
+}
+
+// Stored schedule column -> object. Re-validated because bundle imports
+// write it verbatim; anything invalid counts as no schedule.
+function readSchedule(row) {
+    if (!row || !row.schedule) return null;
+    return parseSchedule(row.schedule).schedule || null;
+}
+
+/**
+ * Wall-clock date, weekday and minutes in a timezone
+ */
+function localTime(timezone, now = new Date()) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).formatToParts(now).forEach(part => { parts[part.type] = part.value; });
+    
+    const date = `${parts.year}-${parts.month}-${parts.day}`;
+    return { date, weekday: weekdayOf(date), minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute) };
+}
+
+function inDateRange(schedule, date) {
+    return (!schedule.startDate || date >= schedule.startDate) && (!schedule.endDate || date <= schedule.endDate);
+}
+
+function runsOn(window, weekday) {
+    return window.days.length === 0 || window.days.includes(weekday);
+}
+
+function isOpenAt(schedule, local) {
+    if (!inDateRange(schedule, local.date)) return false;
+    if (schedule.windows.length === 0) return true;
+    
+    return schedule.windows.some(window => {
+        const start = parseTime(window.start);
+        const end = parseTime(window.end);
+        if (start < end) {
+            return runsOn(window, local.weekday) && local.minutes >= start && local.minutes < end;
+        }
+        // Overnight: the evening part today, or the early-morning tail of yesterday's window
+        return (runsOn(window, local.weekday) && local.minutes >= start) ||
+            (runsOn(window, (local.weekday + 6) % 7) && local.minutes < end);
+    });
+}
+
+/**
+ * Next time the schedule opens, as { date, minutes, days (from today) }, or null
+ */
+function nextOpening(schedule, local) {
+    let date = local.date;
+    if (schedule.startDate && schedule.startDate > date) date = schedule.startDate;
+    
+    for (let i = 0; i < 8; i++, date = addDays(date, 1)) {
+        if (schedule.endDate && date > schedule.endDate) return null;
+        
+        const starts = schedule.windows.length === 0
+            ? [0]
+            : schedule.windows.filter(window => runsOn(window, weekdayOf(date))).map(window => parseTime(window.start));
+        
+        const upcoming = starts
+            .filter(minutes => date > local.date || minutes > local.minutes)
+            .sort((a, b) => a - b)[0];
+        
+        if (upcoming !== undefined) {
+            const days = Math.round((new Date(`${date}T00:00:00Z`) - new Date(`${local.date}T00:00:00Z`)) / 86400000);
+            return { date, minutes: upcoming, days };
+        }
+    }
+    
+    return null;
+}
+
+function describeNextOpening(next) {
+    const at = next.minutes ? ` from ${formatTime(next.minutes)}` : '';
+    if (next.days === 0) return `Available from ${formatTime(next.minutes)}`;
+    if (next.days === 1) return `Available tomorrow${at}`;
+    if (next.days < 7) return `Available ${DAY_NAMES[weekdayOf(next.date)]}${at}`;
+    return `Available ${formatDate(next.date)}${at}`;
+}
+
+/**
+ * Where an entry stands right now: { visible, note }.
+ * `note` is the "Available from ..." hint for entries shown while closed.
+ */
+function scheduleState(schedule, local) {
+    if (!schedule || isOpenAt(schedule, local)) {
+        return { visible: true, note: null };
+    }
+    
+    const next = schedule.whenClosed === 'hint' ? nextOpening(schedule, local) : null;
+    return next ? { visible: true, note: describeNextOpening(next) } : { visible: false, note: null };
+}
+
+/**
+ * Filter categories (each with `items`) by their schedules at `now` in the
+ * cafe's timezone. Entries shown while closed get `availability_note`; the
+ * items of a closed category inherit its note. Schedule columns are removed.
+ */
+function applySchedules(categories, timezone, now = new Date()) {
+    const local = localTime(timezone, now);
+    
+    return categories.reduce((visible, { schedule, ...category }) => {
+        const categoryState = scheduleState(readSchedule({ schedule }), local);
+        if (!categoryState.visible) return visible;
+        
+        const items = (category.items || []).reduce((shown, { schedule: itemSchedule, ...item }) => {
+            const itemState = scheduleState(readSchedule({ schedule: itemSchedule }), local);
+            if (itemState.visible) {
+                shown.push({ ...item, availability_note: categoryState.note || itemState.note });
+            }
+            return shown;
+        }, []);
+        
+        visible.push({ ...category, availability_note: categoryState.note, items });
+        return visible;
+    }, []);
+}
+
+/**
+ * Whether a parsed schedule is open at `now` (no schedule is always open)
+ */
+function isScheduleOpen(schedule, timezone, now = new Date()) {
+    return !schedule || isOpenAt(schedule, localTime(timezone, now));
+}
+
+/**
+ * Whether an item can be ordered right now (its own and its category's schedule)
+ */
+function isAvailableNow(item, category, timezone, now = new Date()) {
+    return [readSchedule(category), readSchedule(item)].every(schedule => isScheduleOpen(schedule, timezone, now));
+}
+
+/**
+ * Human-readable schedule for printed menus, e.g. "Mon–Fri 17:00–19:00"
+ */
+function describeSchedule(schedule) {
+    if (!schedule) return '';
+    
+    const describeDays = days => {
+        if (days.length === 0 || days.length === 7) return '';
+        const consecutive = days.every((day, i) => i === 0 || day === days[i - 1] + 1);
+        return consecutive && days.length > 2
+            ? `${DAY_NAMES[days[0]]}–${DAY_NAMES[days[days.length - 1]]} `
+            : `${days.map(day => DAY_NAMES[day]).join(', ')} `;
+    };
+    
+    const parts = schedule.windows.map(window => `${describeDays(window.days)}${window.start}–${window.end}`);
+    if (schedule.startDate || schedule.endDate) {
+        parts.push(schedule.startDate && schedule.endDate
+            ? `${formatDate(schedule.startDate)} – ${formatDate(schedule.endDate)}`
+            : schedule.startDate ? `from ${formatDate(schedule.startDate)}` : `until ${formatDate(schedule.endDate)}`);
+    }
+    return parts.join(' · ');
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isValidTimezone,
+    cafeTimezone,
+    parseSchedule,
+    readSchedule,
+    localTime,
+    applySchedules,
+    isScheduleOpen,
+    isAvailableNow,
+    describeSchedule
+};
@@ -0,0 +1,117 @@
+/**
+ * Menu Structured Data Service
+ * schema.org JSON-LD of a cafe and its menu (CafeOrCoffeeShop > Menu >
+ * MenuSection > MenuItem) for search engines, with prices, diets and nutrition facts.
+ */
+
+const { readNutrition } = require('./nutrition');
+
+// Currency symbols cafes use -> ISO 4217 codes
+const CURRENCY_CODES = {
+    '₹': 'INR', 'Rs': 'INR', 'Rs.': 'INR',
+    '$': 'USD', 'US$': 'USD', 'C$': 'CAD', 'A$': 'AUD', 'S$': 'SGD',
+    '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₩': 'KRW', '฿': 'THB',
+    '₱': 'PHP', 'RM': 'MYR', 'Rp': 'IDR', 'AED': 'AED', 'CHF': 'CHF'
+};
+
+const DIETS = [
+    ['is_vegan', 'https://schema.org/VeganDiet'],
+    ['is_vegetarian', 'https://schema.org/VegetarianDiet'],
+    ['is_gluten_free', 'https://schema.org/GlutenFreeDiet']
+];
+
+// "₹" -> "INR"; three-letter codes are used as they are
+function currencyCode(currency) {
+    const symbol = String(currency || '₹').trim();
+    if (/^[A-Z]{3}$/.test(symbol)) return symbol;
+    return CURRENCY_CODES[symbol] || null;
+}
+
+// Only absolute URLs mean something outside the page
+const absoluteUrl = url => (/^https?:\/\//i.test(url || '') ? url : undefined);
+
+function nutritionInformation(item) {
+    const nutrition = readNutrition(item) || {};
+    const info = {
+        calories: item.calories ? `${item.calories} calories` : undefined,
+        servingSize: nutrition.servingSize ? `${nutrition.servingSize.amount} ${nutrition.servingSize.unit}` : undefined,
+        proteinContent: nutrition.protein !== undefined ? `${nutrition.protein} g` : undefined,
+        carbohydrateContent: nutrition.carbs !== undefined ? `${nutrition.carbs} g` : undefined,
+        sugarContent: nutrition.sugar !== undefined ? `${nutrition.sugar} g` : undefined,
+        fatContent: nutrition.fat !== undefined ? `${nutrition.fat} g` : undefined,
+        sodiumContent: nutrition.sodium !== undefined ? `${nutrition.sodium} mg` : undefined
+    };
+    if (Object.values(info).every(value => value === undefined)) return undefined;
+    return { '@type': 'NutritionInformation', ...info };
+}
+
+function offers(item, priceCurrency) {
+    const offer = (price, name) => ({
+        '@type': 'Offer',
+        name,
+        price: parseFloat(price).toFixed(2),
+        priceCurrency: priceCurrency || undefined
+    });
+    const variants = item.variants || [];
+    return variants.length > 0 ? variants.map(v => offer(v.price, v.name)) : offer(item.price);
+}
+
+function menuItem(item, priceCurrency) {
+    const diets = DIETS.filter(([flag]) => item[flag]).map(([, diet]) => diet);
+    return {
+        '@type': 'MenuItem',
+        name: item.name,
+        description: item.description || undefined,
+        image: absoluteUrl(item.image),
+        offers: offers(item, priceCurrency),
+        suitableForDiet: diets.length > 0 ? diets : undefined,
+        nutrition: nutritionInformation(item)
+    };
+}
+
+/**
+ * JSON-LD object of a cafe and its categories (each with `items`), as shown
+ * on the menu. Optional `url` is the menu page's address, `language` its language.
+ */
+function buildMenuStructuredData(cafe, categories, { url, language } = {}) {
+    const priceCurrency = currencyCode(cafe.currency);
+    
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'CafeOrCoffeeShop',
+        name: cafe.name,
+        description: cafe.tagline || cafe.description || undefined,
+        url: absoluteUrl(cafe.website),
+        image: absoluteUrl(cafe.logo),
+        telephone: cafe.phone || undefined,
+        email: cafe.email || undefined,
+        address: cafe.address || undefined,
+        currenciesAccepted: priceCurrency || undefined,
+        hasMenu: {
+            '@type': 'Menu',
+            name: `${cafe.name} Menu`,
+            url: absoluteUrl(url),
+            inLanguage: language || undefined,
+            hasMenuSection: categories.map(cat => ({
+                '@type': 'MenuSection',
+                name: cat.name,
+                description: cat.description || undefined,
+                hasMenuItem: (cat.items || []).map(item => menuItem(item, priceCurrency))
+            }))
+        }
+    };
+}
+
+/**
+ * The structured data as a <script> tag for an HTML page
+ */
+function structuredDataScript(data) {
+    // JSON.stringify drops the undefined fields; "<" is escaped so texts cannot close the tag
+    return `<script type="application/ld+json">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>`;
+}
+
+module.exports = {
+    currencyCode,
+    buildMenuStructuredData,
+    structuredDataScript
+};
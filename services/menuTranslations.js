@@ -0,0 +1,306 @@
+/**
+ * Menu Translations Service
+ * Cafe, category and item texts in further languages. The columns on
+ * cafes/categories/menu_items hold the default language; translations are
+ * stored per field and language, and every field without one falls back
+ * to the default text.
+ */
+
+// Entity type -> fields that can be translated
+const TRANSLATABLE_FIELDS = {
+    cafe: ['tagline', 'description'],
+    category: ['name', 'description'],
+    item: ['name', 'description']
+};
+const DEFAULT_LANGUAGE = process.env.DEFAULT_LANGUAGE || 'en';
+const MAX_LANGUAGES = 10;
+const MAX_ENTRIES = 2000;
+const MAX_VALUE_LENGTH = 2000;
+const MAX_SUGGESTIONS = 3;
+
+// "fr", "pt-br" -> "fr", "pt-BR"; null if not a language code
+function normalizeLanguage(code) {
+    const match = /^([a-z]{2,3})(?:[-_]([a-z]{2}))?$/i.exec(String(code || '').trim());
+    if (!match) return null;
+    return match[2] ? `${match[1].toLowerCase()}-${match[2].toUpperCase()}` : match[1].toLowerCase();
+}
+
+/**
+ * Validate a cafe's default language and the list of languages its menu is
+ * offered in (array or comma-separated). The default is always included, first.
+ * Returns { error } or { defaultLanguage, languages }
+ */
+function parseLanguages(defaultLanguage, languages) {
+    const main = normalizeLanguage(defaultLanguage || DEFAULT_LANGUAGE);
+    if (!main) {
+        return { error: 'Invalid default language' };
+    }
+    
+    const list = Array.isArray(languages) ? languages : String(languages || '').split(',');
+    const codes = [main];
+    for (const code of list) {
+        if (!String(code).trim()) continue;
+        const language = normalizeLanguage(code);
+        if (!language) {
+            return { error: `Invalid language code: ${String(code).trim()}` };
+        }
+        if (!codes.includes(language)) codes.push(language);
+    }
+    
+    if (codes.length > MAX_LANGUAGES) {
+        return { error: `A menu can have up to ${MAX_LANGUAGES} languages` };
+    }
+    
+    return { defaultLanguage: main, languages: codes };
+}
+
+/**
+ * A cafe's stored language settings, with fallbacks for cafes that never set them
+ */
+function cafeLanguages(cafe) {
+    const parsed = parseLanguages(cafe && cafe.default_language, cafe && cafe.languages);
+    return parsed.error ? { defaultLanguage: DEFAULT_LANGUAGE, languages: [DEFAULT_LANGUAGE] } : parsed;
+}
+
+/**
+ * The language to serve for a requested one: an exact match, then the
+ * request's base language (fr-CA -> fr), then the cafe's default
+ */
+function resolveLanguage(cafe, requested) {
+    const { defaultLanguage, languages } = cafeLanguages(cafe);
+    const language = normalizeLanguage(requested);
+    if (!language) return defaultLanguage;
+    if (languages.includes(language)) return language;
+    
+    const base = language.split('-')[0];
+    return languages.find(code => code === base || code.split('-')[0] === base) || defaultLanguage;
+}
+
+// Name of a language in that language ("fr" -> "français")
+function languageName(code) {
+    try {
+        return new Intl.DisplayNames([code], { type: 'language' }).of(code) || code;
+    } catch (e) {
+        return code;
+    }
+}
+
+const translationKey = (type, id, field) => `${type}:${id}:${field}`;
+
+/**
+ * Translations of a cafe in one language, as a Map of "type:id:field" -> text
+ */
+async function getTranslations(db, cafeId, language) {
+    const rows = await db.prepare(`
+        SELECT entity_type, entity_id, field, value FROM translations
+        WHERE cafe_id = ? AND language = ?
+    `).all(cafeId, language);
+    
+    return new Map(rows.map(row => [translationKey(row.entity_type, row.entity_id, row.field), row.value]));
+}
+
+function translateRow(type, row, translations) {
+    const translated = { ...row };
+    TRANSLATABLE_FIELDS[type].forEach(field => {
+        const value = translations.get(translationKey(type, row.id, field));
+        if (value) translated[field] = value;
+    });
+    return translated;
+}
+
+/**
+ * Overlay translations on a cafe row and its categories (each with `items`).
+ * Fields without a translation keep their default-language text.
+ */
+function translateMenu(cafe, categories, translations) {
+    if (!translations || translations.size === 0) {
+        return { cafe, categories };
+    }
+    
+    return {
+        cafe: translateRow('cafe', cafe, translations),
+        categories: categories.map(cat => ({
+            ...translateRow('category', cat, translations),
+            items: (cat.items || []).map(item => translateRow('item', item, translations))
+        }))
+    };
+}
+
+// Stable key of a text in translation files: "item.12.name"
+const entryKey = (type, id, field) => `${type}.${id}.${field}`;
+
+/**
+ * Whether a translation is out of date. Translations remember the source
+ * text they were made from; older rows without one are stale when their
+ * cafe or item was edited after them (categories have no updated_at).
+ */
+function isStale(translation, source, entityUpdatedAt) {
+    if (translation.source !== null && translation.source !== undefined) {
+        return translation.source !== source;
+    }
+    return !!entityUpdatedAt && entityUpdatedAt > translation.updated_at;
+}
+
+/**
+ * Translation memory: what other entries with the same source text were
+ * translated to in `language`, across all cafes, most used first.
+ * Returns a Map of source text -> [translation]
+ */
+async function getSuggestions(db, language, sources) {
+    const texts = [...new Set(sources)].slice(0, MAX_ENTRIES);
+    const suggestions = new Map();
+    if (texts.length === 0) return suggestions;
+    
+    const rows = await db.prepare(`
+        SELECT source, value, COUNT(*) AS uses FROM translations
+        WHERE language = ? AND source IN (${texts.map(() => '?').join(', ')})
+        GROUP BY source, value
+        ORDER BY uses DESC, value ASC
+    `).all(language, ...texts);
+    
+    rows.forEach(row => {
+        const values = suggestions.get(row.source) || [];
+        if (values.length < MAX_SUGGESTIONS) values.push(row.value);
+        suggestions.set(row.source, values);
+    });
+    return suggestions;
+}
+
+/**
+ * Every translatable text of a cafe next to its translation in `language`,
+ * for the dashboard editor and translation files:
+ * [{ key, type, id, field, context, source, value, status, suggestions }]
+ * `status` is translated, missing or stale; missing and stale entries get
+ * `suggestions` from the translation memory.
+ */
+async function getTranslationSheet(db, cafeId, language) {
+    const cafe = await db.prepare('SELECT id, name, tagline, description, updated_at FROM cafes WHERE id = ?').get(cafeId);
+    const categories = await db.prepare('SELECT id, name, description FROM categories WHERE cafe_id = ? ORDER BY sort_order ASC, id ASC').all(cafeId);
+    const items = await db.prepare(`
+        SELECT i.id, i.name, i.description, i.updated_at, c.name AS category FROM menu_items i
+        LEFT JOIN categories c ON c.id = i.category_id
+        WHERE i.cafe_id = ? ORDER BY c.sort_order ASC, i.sort_order ASC, i.id ASC
+    `).all(cafeId);
+    const rows = await db.prepare(`
+        SELECT entity_type, entity_id, field, value, source, updated_at FROM translations
+        WHERE cafe_id = ? AND language = ?
+    `).all(cafeId, language);
+    const translations = new Map(rows.map(row => [translationKey(row.entity_type, row.entity_id, row.field), row]));
+    
+    const sheet = [];
+    const add = (type, row, context) => TRANSLATABLE_FIELDS[type].forEach(field => {
+        if (!row[field]) return;
+        const translation = translations.get(translationKey(type, row.id, field));
+        sheet.push({
+            key: entryKey(type, row.id, field),
+            type,
+            id: row.id,
+            field,
+            context,
+            source: row[field],
+            value: translation ? translation.value : '',
+            status: !translation ? 'missing' : isStale(translation, row[field], row.updated_at) ? 'stale' : 'translated'
+        });
+    });
+    
+    if (cafe) add('cafe', cafe, cafe.name);
+    categories.forEach(cat => add('category', cat, cat.name));
+    items.forEach(item => add('item', item, item.category ? `${item.category} › ${item.name}` : item.name));
+    
+    const open = sheet.filter(entry => entry.status !== 'translated');
+    const suggestions = await getSuggestions(db, language, open.map(entry => entry.source));
+    open.forEach(entry => {
+        entry.suggestions = (suggestions.get(entry.source) || []).filter(value => value !== entry.value);
+    });
+    
+    return sheet;
+}
+
+// Counts of a sheet's entries by status
+function summarizeSheet(sheet) {
+    const summary = { total: sheet.length, translated: 0, missing: 0, stale: 0 };
+    sheet.forEach(entry => { summary[entry.status]++; });
+    return summary;
+}
+
+/**
+ * Save translations in one language: [{ type, id, field, value, source }].
+ * An empty value removes the translation. `source` is the text that was
+ * translated (imports pass the one from the file); it defaults to the
+ * current text. Entries are checked against the cafe's own categories and
+ * items. Returns { error } or { saved, removed }
+ */
+async function saveTranslations(tx, cafeId, language, entries) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+        return { error: 'entries must be a non-empty array' };
+    }
+    if (entries.length > MAX_ENTRIES) {
+        return { error: `At most ${MAX_ENTRIES} translations at once` };
+    }
+    
+    const rows = {
+        cafe: await tx.prepare('SELECT id, tagline, description FROM cafes WHERE id = ?').all(cafeId),
+        category: await tx.prepare('SELECT id, name, description FROM categories WHERE cafe_id = ?').all(cafeId),
+        item: await tx.prepare('SELECT id, name, description FROM menu_items WHERE cafe_id = ?').all(cafeId)
+    };
+    const sources = new Map();
+    Object.entries(rows).forEach(([type, list]) => list.forEach(row => {
+        TRANSLATABLE_FIELDS[type].forEach(field => sources.set(translationKey(type, row.id, field), row[field] || ''));
+    }));
+    
+    for (const entry of entries) {
+        const fields = entry && Object.prototype.hasOwnProperty.call(TRANSLATABLE_FIELDS, entry.type) && TRANSLATABLE_FIELDS[entry.type];
+        if (!fields || !fields.includes(entry.field)) {
+            return { error: `Cannot translate ${entry && entry.type} ${entry && entry.field}` };
+        }
+        if (!sources.has(translationKey(entry.type, parseInt(entry.id), entry.field))) {
+            return { error: `Unknown ${entry.type}: ${entry.id}` };
+        }
+        if (entry.value !== null && entry.value !== undefined && typeof entry.value !== 'string') {
+            return { error: 'Translations must be text' };
+        }
+        if ((entry.value && entry.value.length > MAX_VALUE_LENGTH) || (typeof entry.source === 'string' && entry.source.length > MAX_VALUE_LENGTH)) {
+            return { error: `Translations can be up to ${MAX_VALUE_LENGTH} characters` };
+        }
+    }
+    
+    let saved = 0;
+    let removed = 0;
+    for (const entry of entries) {
+        const value = (entry.value || '').trim();
+        if (value) {
+            const source = typeof entry.source === 'string'
+                ? entry.source
+                : sources.get(translationKey(entry.type, parseInt(entry.id), entry.field));
+            await tx.prepare(`
+                INSERT INTO translations (cafe_id, entity_type, entity_id, field, language, value, source)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT (entity_type, entity_id, field, language)
+                DO UPDATE SET value = excluded.value, source = excluded.source, updated_at = CURRENT_TIMESTAMP
+            `).run(cafeId, entry.type, parseInt(entry.id), entry.field, language, value, source);
+            saved++;
+        } else {
+            await tx.prepare(`
+                DELETE FROM translations
+                WHERE cafe_id = ? AND entity_type = ? AND entity_id = ? AND field = ? AND language = ?
+            `).run(cafeId, entry.type, parseInt(entry.id), entry.field, language);
+            removed++;
+        }
+    }
+    
+    return { saved, removed };
+}
+
+module.exports = {
+    TRANSLATABLE_FIELDS,
+    normalizeLanguage,
+    parseLanguages,
+    cafeLanguages,
+    resolveLanguage,
+    languageName,
+    getTranslations,
+    translateMenu,
+    getTranslationSheet,
+    summarizeSheet,
+    saveTranslations
+};
@@ -0,0 +1,202 @@
+/**
+ * Nutrition Service
+ * Optional nutrition facts and ingredient lists of menu items. Energy stays
+ * in `menu_items.calories` (kcal); the other values are stored as JSON in
+ * `menu_items.nutrition`, converted to fixed units:
+ *   { servingSize: { amount: 250, unit: 'ml' }, protein: 4.5, carbs: 30,
+ *     sugar: 12, fat: 8, sodium: 300 }        // grams, sodium in milligrams
+ * Ingredients are a JSON list of names in `menu_items.ingredients`.
+ */
+
+const NUTRIENTS = {
+    protein: { label: 'Protein', unit: 'g' },
+    carbs: { label: 'Carbohydrates', unit: 'g' },
+    sugar: { label: 'of which sugars', unit: 'g' },
+    fat: { label: 'Fat', unit: 'g' },
+    sodium: { label: 'Sodium', unit: 'mg' }
+};
+
+// Mass units in grams
+const MASS_UNITS = { mg: 0.001, g: 1, kg: 1000 };
+
+// Serving size units -> [stored unit, factor]
+const SERVING_UNITS = {
+    g: ['g', 1], kg: ['g', 1000],
+    ml: ['ml', 1], cl: ['ml', 10], l: ['ml', 1000],
+    oz: ['oz', 1], 'fl oz': ['fl oz', 1],
+    pc: ['pc', 1], pcs: ['pc', 1], piece: ['pc', 1], pieces: ['pc', 1]
+};
+
+const MAX_GRAMS = 1000;
+const MAX_SERVING = 10000;
+const MAX_INGREDIENTS = 50;
+const MAX_INGREDIENT_LENGTH = 80;
+
+// 12, "12", "12g", "1,5 g", "300 mg" -> { amount, unit }; null if not a quantity
+function parseQuantity(value, defaultUnit) {
+    if (typeof value === 'number') {
+        return isFinite(value) && value >= 0 ? { amount: value, unit: defaultUnit } : null;
+    }
+    const match = /^(\d+(?:[.,]\d+)?)\s*([a-z][a-z ]*)?$/i.exec(String(value).trim());
+    if (!match) return null;
+    return { amount: parseFloat(match[1].replace(',', '.')), unit: (match[2] || defaultUnit || '').trim().toLowerCase() };
+}
+
+const isBlank = value => value === null || value === undefined || value === '';
+const round = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Validate nutrition facts from the API. Values may carry their unit
+ * ("300 mg", "0.3 g"); plain numbers are grams, milligrams for sodium.
+ * `null` or '' clears them. Returns { error } or { nutrition } (or null)
+ */
+function parseNutrition(input) {
+    if (isBlank(input)) {
+        return { nutrition: null };
+    }
+    if (typeof input === 'string') {
+        try {
+            input = JSON.parse(input);
+        } catch (e) {
+            return { error: 'Nutrition must be JSON' };
+        }
+    }
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Invalid nutrition facts' };
+    }
+    
+    const nutrition = {};
+    
+    if (!isBlank(input.servingSize)) {
+        const size = typeof input.servingSize === 'object'
+            ? parseQuantity(input.servingSize.amount, input.servingSize.unit)
+            : parseQuantity(input.servingSize, null);
+        const unit = size && SERVING_UNITS[size.unit];
+        if (!unit) {
+            return { error: 'Serving size needs an amount and unit (g, ml, oz, fl oz or pc)' };
+        }
+        
+        const amount = round(size.amount * unit[1], 1);
+        if (!(amount > 0) || amount > MAX_SERVING) {
+            return { error: `Serving size must be between 0 and ${MAX_SERVING}` };
+        }
+        nutrition.servingSize = { amount, unit: unit[0] };
+    }
+    
+    for (const [key, nutrient] of Object.entries(NUTRIENTS)) {
+        if (isBlank(input[key])) continue;
+        
+        const quantity = parseQuantity(input[key], nutrient.unit);
+        if (!quantity || !MASS_UNITS[quantity.unit]) {
+            return { error: `${nutrient.label} must be an amount in g or mg` };
+        }
+        
+        const grams = quantity.amount * MASS_UNITS[quantity.unit];
+        if (grams > MAX_GRAMS) {
+            return { error: `${nutrient.label} cannot be more than ${MAX_GRAMS} g` };
+        }
+        nutrition[key] = nutrient.unit === 'mg' ? Math.round(grams * 1000) : round(grams, 1);
+    }
+    
+    if (nutrition.sugar !== undefined && nutrition.carbs !== undefined && nutrition.sugar > nutrition.carbs) {
+        return { error: 'Sugars are part of carbohydrates and cannot be more' };
+    }
+    
+    return { nutrition: Object.keys(nutrition).length > 0 ? nutrition : null };
+}
+
+// Split on commas and new lines outside brackets: "Chocolate (cocoa, sugar), milk"
+function splitIngredients(text) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const char of text) {
+        if (char === '(' || char === '[') depth++;
+        if ((char === ')' || char === ']') && depth > 0) depth--;
+        if ((char === ',' || char === '\n' || char === ';') && depth === 0) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current);
+    return parts;
+}
+
+/**
+ * Validate an ingredient list (array, or comma/line separated text).
+ * `null` or '' clears it. Returns { error } or { ingredients } (or null)
+ */
+function parseIngredients(input) {
+    if (isBlank(input)) {
+        return { ingredients: null };
+    }
+    
+    const list = Array.isArray(input) ? input : typeof input === 'string' ? splitIngredients(input) : null;
+    if (!list || list.some(name => typeof name !== 'string')) {
+        return { error: 'Ingredients must be a list of names' };
+    }
+    
+    const ingredients = list.map(name => name.trim()).filter(Boolean);
+    if (ingredients.length > MAX_INGREDIENTS) {
+        return { error: `Up to ${MAX_INGREDIENTS} ingredients` };
+    }
+    if (ingredients.some(name => name.length > MAX_INGREDIENT_LENGTH)) {
+        return { error: `Ingredient names can be up to ${MAX_INGREDIENT_LENGTH} characters` };
+    }
+    
+    return { ingredients: ingredients.length > 0 ? ingredients : null };
+}
+
+// Stored columns -> values. Re-validated because bundle imports write them
+// verbatim; anything invalid counts as not given.
+function readNutrition(row) {
+    if (!row || !row.nutrition) return null;
+    return parseNutrition(row.nutrition).nutrition || null;
+}
+
+function readIngredients(row) {
+    if (!row || !row.ingredients) return null;
+    let value = row.ingredients;
+    if (typeof value === 'string') {
+        try {
+            value = JSON.parse(value);
+        } catch (e) {
+            return null;
+        }
+    }
+    return parseIngredients(value).ingredients || null;
+}
+
+function formatAmount(amount, unit) {
+    return `${amount} ${unit}`;
+}
+
+/**
+ * Rows of a nutrition panel: [{ key, label, value }], energy first
+ */
+function describeNutrition(nutrition, calories) {
+    const rows = [];
+    if (nutrition && nutrition.servingSize) {
+        rows.push({ key: 'servingSize', label: 'Serving size', value: formatAmount(nutrition.servingSize.amount, nutrition.servingSize.unit) });
+    }
+    if (calories) {
+        rows.push({ key: 'calories', label: 'Energy', value: `${calories} kcal` });
+    }
+    Object.entries(NUTRIENTS).forEach(([key, nutrient]) => {
+        if (nutrition && nutrition[key] !== undefined) {
+            rows.push({ key, label: nutrient.label, value: formatAmount(nutrition[key], nutrient.unit) });
+        }
+    });
+    return rows;
+}
+
+module.exports = {
+    NUTRIENTS,
+    parseNutrition,
+    parseIngredients,
+    readNutrition,
+    readIngredients,
+    describeNutrition
+};
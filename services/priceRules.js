@@ -0,0 +1,154 @@
+/**
+ * Price Rules Service
+ * Time-bound promotions: a percentage or fixed amount off one item, a
+ * category or the whole menu, optionally limited to weekly time windows and
+ * a date range (the schedule format of services/menuSchedule). Effective
+ * prices are always worked out here, for the public menu, static pages and
+ * orders alike - never taken from the client.
+ */
+
+const { parseSchedule, readSchedule, isScheduleOpen } = require('./menuSchedule');
+
+const SCOPES = ['menu', 'category', 'item'];
+const DISCOUNT_TYPES = ['percent', 'fixed'];
+const MAX_NAME_LENGTH = 60;
+
+// When several rules match an item and give the same price, the most specific wins
+const SPECIFICITY = { item: 2, category: 1, menu: 0 };
+
+/**
+ * Validate a rule from the API:
+ *   { name, scope: 'menu'|'category'|'item', targetId, discountType: 'percent'|'fixed',
+ *     amount, schedule, isActive }
+ * `name` is the promotion label guests see (e.g. "Happy Hour").
+ * Returns { error } or { rule } - the target's existence is checked by the caller.
+ */
+function parsePriceRule(input) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        return { error: `Name is required (up to ${MAX_NAME_LENGTH} characters)` };
+    }
+    
+    const scope = input.scope || 'menu';
+    if (!SCOPES.includes(scope)) {
+        return { error: 'Scope must be menu, category or item' };
+    }
+    
+    const targetId = scope === 'menu' ? null : parseInt(input.targetId);
+    if (scope !== 'menu' && !targetId) {
+        return { error: `Choose the ${scope} this rule applies to` };
+    }
+    
+    const discountType = input.discountType || 'percent';
+    if (!DISCOUNT_TYPES.includes(discountType)) {
+        return { error: 'Discount type must be percent or fixed' };
+    }
+    
+    const amount = parseFloat(input.amount);
+    if (!(amount > 0) || (discountType === 'percent' && amount > 100)) {
+        return { error: discountType === 'percent' ? 'Percentage must be between 0 and 100' : 'Amount must be greater than 0' };
+    }
+    
+    const parsed = parseSchedule(input.schedule ?? null);
+    if (parsed.error) {
+        return { error: parsed.error };
+    }
+    
+    // Rules have nothing to hide outside their times
+    let schedule = null;
+    if (parsed.schedule) {
+        const { whenClosed, ...times } = parsed.schedule;
+        schedule = times;
+    }
+    
+    return {
+        rule: {
+            name,
+            scope,
+            targetId,
+            discountType,
+            amount: Math.round(amount * 100) / 100,
+            schedule,
+            isActive: input.isActive === undefined ? true : !!input.isActive
+        }
+    };
+}
+
+/**
+ * All price rules of a cafe, as stored
+ */
+async function getPriceRules(db, cafeId) {
+    return db.prepare('SELECT * FROM price_rules WHERE cafe_id = ? ORDER BY id ASC').all(cafeId);
+}
+
+/**
+ * Rules that are switched on and inside their schedule at `now`
+ */
+function activePriceRules(rules, timezone, now = new Date()) {
+    return rules.filter(rule => rule.is_active && isScheduleOpen(readSchedule(rule), timezone, now));
+}
+
+// Whether any rule starts or stops with the clock
+function hasTimedRules(rules) {
+    return rules.some(rule => rule.is_active && rule.schedule);
+}
+
+function discountedPrice(rule, price) {
+    const off = rule.discount_type === 'percent' ? price * rule.amount / 100 : rule.amount;
+    return Math.max(0, Math.round((price - off) * 100) / 100);
+}
+
+function appliesTo(rule, item) {
+    if (rule.scope === 'item') return rule.target_id === item.id;
+    if (rule.scope === 'category') return rule.target_id === item.category_id;
+    return true;
+}
+
+/**
+ * Apply the best of `rules` (already filtered to active ones) to an item and
+ * its sizes. A discounted item gets its regular price as `original_price`
+ * and the rule's name as `promotion_label`.
+ */
+function priceItem(item, rules) {
+    const variants = item.variants || [];
+    const basePrice = item.price !== null && item.price !== undefined
+        ? Number(item.price)
+        : variants.length > 0 ? Math.min(...variants.map(v => Number(v.price))) : null;
+    
+    const rule = basePrice === null ? null : rules
+        .filter(candidate => appliesTo(candidate, item))
+        .sort((a, b) => discountedPrice(a, basePrice) - discountedPrice(b, basePrice) || SPECIFICITY[b.scope] - SPECIFICITY[a.scope])[0];
+    
+    if (!rule || discountedPrice(rule, basePrice) >= basePrice) {
+        return { ...item, promotion_label: null };
+    }
+    
+    return {
+        ...item,
+        price: item.price === null || item.price === undefined ? item.price : discountedPrice(rule, Number(item.price)),
+        original_price: item.price,
+        promotion_label: rule.name,
+        ...(item.variants ? {
+            variants: variants.map(v => ({ ...v, price: discountedPrice(rule, Number(v.price)), original_price: v.price }))
+        } : {})
+    };
+}
+
+/**
+ * Price every item of `categories` (each with `items`) with the active rules
+ */
+function applyPriceRules(categories, rules) {
+    return categories.map(cat => ({
+        ...cat,
+        items: (cat.items || []).map(item => priceItem(item, rules))
+    }));
+}
+
+module.exports = {
+    parsePriceRule,
+    getPriceRules,
+    activePriceRules,
+    hasTimedRules,
+    priceItem,
+    applyPriceRules
+};
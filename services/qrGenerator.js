@@ -0,0 +1,266 @@
+/**
+ * QR Code Generator Service
+ * Builds menu URLs and renders QR codes for cafés and their tables, with
+ * optional styling (module/finder shapes, gradient, centered logo) drawn as
+ * SVG and checked for scannability by decoding a rendered copy
+ */
+
+const QRCode = require('qrcode');
+const AlignmentPattern = require('qrcode/lib/core/alignment-pattern');
+const jsQR = require('jsqr');
+const { Resvg } = require('@resvg/resvg-js');
+const { inlineImage } = require('./menuPdf');
+
+const MODULE_STYLES = ['square', 'rounded', 'dots'];
+const FINDER_STYLES = ['square', 'rounded', 'circle'];
+const MIN_CONTRAST = 4;
+const MAX_LOGO_SIZE = 0.3;
+const QUIET_ZONE = 2;
+
+/**
+ * Resolve the public base URL (Vercel, custom, or request host)
+ */
+function getBaseUrl(req) {
+    return process.env.VERCEL_URL
+        ? `https://${process.env.VERCEL_URL}`
+        : (process.env.BASE_URL || `${req.protocol}://${req.get('host')}`);
+}
+
+/**
+ * Build the short menu URL encoded in a QR code
+ */
+function buildMenuUrl(baseUrl, slug, tableToken) {
+    const menuUrl = `${baseUrl}/m/${slug}`;
+    return tableToken ? `${menuUrl}?t=${encodeURIComponent(tableToken)}` : menuUrl;
+}
+
+// WCAG relative luminance of a #RRGGBB color
+function luminance(hex) {
+    const [r, g, b] = [1, 3, 5].map(i => {
+        const c = parseInt(hex.slice(i, i + 2), 16) / 255;
+        return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function contrastRatio(a, b) {
+    const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+    return (light + 0.05) / (dark + 0.05);
+}
+
+// Dark modules must be darker than the background and clearly distinct from it
+function hasEnoughContrast(dark, light) {
+    return luminance(dark) < luminance(light) && contrastRatio(dark, light) >= MIN_CONTRAST;
+}
+
+const isHexColor = value => typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value);
+
+/**
+ * Default style for a café: its primary color when that scans well, else black
+ */
+function getDefaultQRStyle(cafe) {
+    const primary = isHexColor(cafe.primary_color) ? cafe.primary_color : '#000000';
+    return {
+        moduleStyle: 'square',
+        finderStyle: 'square',
+        darkColor: hasEnoughContrast(primary, '#FFFFFF') ? primary : '#000000',
+        gradientColor: null,
+        lightColor: '#FFFFFF',
+        logo: false,
+        logoSize: 0.2
+    };
+}
+
+/**
+ * The café's saved style (cafes.qr_style) merged over the defaults
+ */
+function getCafeQRStyle(cafe) {
+    let saved = {};
+    try {
+        saved = cafe.qr_style ? JSON.parse(cafe.qr_style) : {};
+    } catch (error) {
+        saved = {};
+    }
+    return { ...getDefaultQRStyle(cafe), ...saved };
+}
+
+/**
+ * Validate style options from a request on top of `base`.
+ * Returns { error } or { style }
+ */
+function parseQRStyle(input, base) {
+    const style = { ...base };
+    
+    ['moduleStyle', 'finderStyle', 'darkColor', 'lightColor'].forEach(key => {
+        if (input[key] !== undefined) style[key] = input[key];
+    });
+    if (input.gradientColor !== undefined) style.gradientColor = input.gradientColor || null;
+    if (input.logo !== undefined) style.logo = input.logo === true || input.logo === 'true';
+    if (input.logoSize !== undefined) style.logoSize = parseFloat(input.logoSize);
+    
+    if (!MODULE_STYLES.includes(style.moduleStyle)) {
+        return { error: `Module style must be one of: ${MODULE_STYLES.join(', ')}` };
+    }
+    if (!FINDER_STYLES.includes(style.finderStyle)) {
+        return { error: `Finder style must be one of: ${FINDER_STYLES.join(', ')}` };
+    }
+    if (![style.darkColor, style.lightColor].every(isHexColor) || (style.gradientColor && !isHexColor(style.gradientColor))) {
+        return { error: 'Colors must be hex values like #1A2B3C' };
+    }
+    if (isNaN(style.logoSize) || style.logoSize < 0.1 || style.logoSize > MAX_LOGO_SIZE) {
+        return { error: `Logo size must be between 0.1 and ${MAX_LOGO_SIZE}` };
+    }
+    
+    for (const dark of [style.darkColor, style.gradientColor].filter(Boolean)) {
+        if (luminance(dark) >= luminance(style.lightColor)) {
+            return { error: `The code color ${dark} must be darker than the background ${style.lightColor}` };
+        }
+        if (!hasEnoughContrast(dark, style.lightColor)) {
+            const ratio = contrastRatio(dark, style.lightColor).toFixed(1);
+            return { error: `${dark} on ${style.lightColor} is too low-contrast to scan reliably (${ratio}:1, needs ${MIN_CONTRAST}:1)` };
+        }
+    }
+    
+    return { style };
+}
+
+// A bigger logo covers more modules, so it needs more error correction
+function getErrorCorrectionLevel(style, hasLogo) {
+    if (!hasLogo) return 'M';
+    return style.logoSize <= 0.15 ? 'Q' : 'H';
+}
+
+// Path for one dark module at (x, y), one unit square
+function modulePath(shape, x, y) {
+    if (shape === 'dots') {
+        return `M${x + 0.05} ${y + 0.5}a0.45 0.45 0 1 0 0.9 0a0.45 0.45 0 1 0 -0.9 0z`;
+    }
+    if (shape === 'rounded') {
+        return `M${x + 0.3} ${y}h0.4a0.3 0.3 0 0 1 0.3 0.3v0.4a0.3 0.3 0 0 1 -0.3 0.3h-0.4a0.3 0.3 0 0 1 -0.3 -0.3v-0.4a0.3 0.3 0 0 1 0.3 -0.3z`;
+    }
+    return `M${x} ${y}h1v1h-1z`;
+}
+
+// Rectangle path with corner radius r (r = 0 gives square corners)
+function roundedRect(x, y, size, r) {
+    if (!r) return `M${x} ${y}h${size}v${size}h-${size}z`;
+    const side = size - 2 * r;
+    return `M${x + r} ${y}h${side}a${r} ${r} 0 0 1 ${r} ${r}v${side}a${r} ${r} 0 0 1 -${r} ${r}h-${side}a${r} ${r} 0 0 1 -${r} -${r}v-${side}a${r} ${r} 0 0 1 ${r} -${r}z`;
+}
+
+function circle(cx, cy, r) {
+    return `M${cx - r} ${cy}a${r} ${r} 0 1 0 ${r * 2} 0a${r} ${r} 0 1 0 -${r * 2} 0z`;
+}
+
+// 7x7 finder pattern (outer ring + 3x3 eye) with its top-left corner at (x, y)
+function finderPath(shape, x, y) {
+    if (shape === 'circle') {
+        return circle(x + 3.5, y + 3.5, 3.5) + circle(x + 3.5, y + 3.5, 2.5) + circle(x + 3.5, y + 3.5, 1.5);
+    }
+    const [outer, inner, eye] = shape === 'rounded' ? [2, 1.2, 0.8] : [0, 0, 0];
+    return roundedRect(x, y, 7, outer) + roundedRect(x + 1, y + 1, 5, inner) + roundedRect(x + 2, y + 2, 3, eye);
+}
+
+let gradientCounter = 0;
+
+/**
+ * Build the inner SVG markup of a styled QR code in module units.
+ * Returns { size, markup } where size includes the quiet zone.
+ */
+function buildQRSymbol(url, cafe, style) {
+    const logoHref = style.logo ? inlineImage(cafe.logo) : null;
+    const qr = QRCode.create(url, { errorCorrectionLevel: getErrorCorrectionLevel(style, !!logoHref) });
+    const count = qr.modules.size;
+    const size = count + QUIET_ZONE * 2;
+    
+    // Finder patterns sit in three corners and are drawn separately
+    const finders = [[0, 0], [count - 7, 0], [0, count - 7]];
+    const inFinder = (row, col) => finders.some(([fx, fy]) => col >= fx && col < fx + 7 && row >= fy && row < fy + 7);
+    
+    // Alignment patterns stay square so scanners can lock onto styled codes
+    const alignments = AlignmentPattern.getPositions(qr.version).filter(([row, col]) => !inFinder(row, col));
+    const inAlignment = (row, col) => alignments.some(([ay, ax]) => Math.abs(row - ay) <= 2 && Math.abs(col - ax) <= 2);
+    
+    // Modules behind the logo are left out (error correction restores them)
+    const logoSide = logoHref ? Math.round(count * style.logoSize) : 0;
+    const logoStart = (count - logoSide) / 2;
+    const underLogo = (row, col) => logoSide > 0 &&
+        col + 1 > logoStart - 0.5 && col < logoStart + logoSide + 0.5 &&
+        row + 1 > logoStart - 0.5 && row < logoStart + logoSide + 0.5;
+    
+    let modules = '';
+    for (let row = 0; row < count; row++) {
+        for (let col = 0; col < count; col++) {
+            if (qr.modules.get(row, col) && !inFinder(row, col) && !underLogo(row, col)) {
+                const shape = inAlignment(row, col) ? 'square' : style.moduleStyle;
+                modules += modulePath(shape, col + QUIET_ZONE, row + QUIET_ZONE);
+            }
+        }
+    }
+    
+    const finderMarkup = finders.map(([fx, fy]) => finderPath(style.finderStyle, fx + QUIET_ZONE, fy + QUIET_ZONE)).join('');
+    
+    let fill = style.darkColor;
+    let defs = '';
+    if (style.gradientColor) {
+        const id = `qr-gradient-${++gradientCounter}`;
+        defs = `<defs><linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="0" y1="0" x2="${size}" y2="${size}"><stop offset="0" stop-color="${style.darkColor}"/><stop offset="1" stop-color="${style.gradientColor}"/></linearGradient></defs>`;
+        fill = `url(#${id})`;
+    }
+    
+    const logoMarkup = logoHref ? `
+        <path d="${roundedRect(logoStart + QUIET_ZONE - 0.5, logoStart + QUIET_ZONE - 0.5, logoSide + 1, 1)}" fill="${style.lightColor}"/>
+        <image href="${logoHref}" x="${logoStart + QUIET_ZONE}" y="${logoStart + QUIET_ZONE}" width="${logoSide}" height="${logoSide}" preserveAspectRatio="xMidYMid meet"/>` : '';
+    
+    return {
+        size,
+        markup: `${defs}
+        <rect width="${size}" height="${size}" fill="${style.lightColor}"/>
+        <path d="${modules}" fill="${fill}"/>
+        <path d="${finderMarkup}" fill="${fill}" fill-rule="evenodd"/>${logoMarkup}`
+    };
+}
+
+/**
+ * Render a styled QR code as a standalone SVG document
+ */
+function renderQRSVG(url, cafe, style, { width = 1024 } = {}) {
+    const { size, markup } = buildQRSymbol(url, cafe, style);
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${width}" viewBox="0 0 ${size} ${size}">${markup}
+</svg>`;
+}
+
+/**
+ * Rasterize an SVG to PNG at the given pixel width
+ */
+function renderQRPNG(svg, width = 1024) {
+    return new Resvg(svg, { fitTo: { mode: 'width', value: width } }).render().asPng();
+}
+
+/**
+ * Scannability self-check: render the SVG and decode it like a phone would
+ */
+function isScannable(svg, url) {
+    const image = new Resvg(svg, { fitTo: { mode: 'width', value: 600 } }).render();
+    const result = jsQR(new Uint8ClampedArray(image.pixels), image.width, image.height);
+    return !!result && result.data === url;
+}
+
+/**
+ * Render a QR code as a PNG buffer in the café's saved style
+ */
+async function generateQRBuffer(url, cafe) {
+    return renderQRPNG(renderQRSVG(url, cafe, getCafeQRStyle(cafe)));
+}
+
+module.exports = {
+    getBaseUrl,
+    buildMenuUrl,
+    getCafeQRStyle,
+    parseQRStyle,
+    buildQRSymbol,
+    renderQRSVG,
+    renderQRPNG,
+    isScannable,
+    generateQRBuffer
+};
@@ -0,0 +1,210 @@
+/**
+ * QR Print Service
+ * Composes a cafe's (styled) QR code with its logo, name, tagline, call-to-action
+ * and colors into print-ready layouts (posters, table tents, sticker sheets)
+ * rendered as SVG, or PDF through headless Chrome
+ */
+
+const { inlineImage, renderPDF } = require('./menuPdf');
+const { getCafeQRStyle, buildQRSymbol } = require('./qrGenerator');
+
+const DEFAULT_CTA = 'Scan to view our menu';
+const SANS = 'Helvetica, Arial, sans-serif';
+const SERIF = 'Georgia, \'Times New Roman\', serif';
+
+function escapeXml(text) {
+    return String(text || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Shrink long text so it fits `maxWidth` mm (average glyph is ~0.55em wide)
+function fitFontSize(text, maxWidth, baseSize) {
+    const length = String(text || '').length || 1;
+    return Math.min(baseSize, +(maxWidth / (length * 0.55)).toFixed(2));
+}
+
+function text(value, x, y, { size, maxWidth, color, family = SANS, weight = 'normal', anchor = 'middle' }) {
+    if (!value) return '';
+    const fontSize = maxWidth ? fitFontSize(value, maxWidth, size) : size;
+    return `<text x="${x}" y="${y}" font-family="${family}" font-size="${fontSize}" font-weight="${weight}" fill="${color}" text-anchor="${anchor}">${escapeXml(value)}</text>`;
+}
+
+/**
+ * Draw the cafe's styled QR code, `size` mm square at (x, y)
+ */
+function qrCode(ctx, url, x, y, size) {
+    const symbol = buildQRSymbol(url, ctx.cafe, ctx.qrStyle);
+    return `
+        <g transform="translate(${x} ${y}) scale(${(size / symbol.size).toFixed(4)})">${symbol.markup}
+        </g>`;
+}
+
+// Round logo, clipped to a circle with a unique id per use
+let clipCounter = 0;
+function logo(href, cx, cy, radius) {
+    if (!href) return '';
+    const id = `logo-clip-${++clipCounter}`;
+    return `
+        <clipPath id="${id}"><circle cx="${cx}" cy="${cy}" r="${radius}"/></clipPath>
+        <circle cx="${cx}" cy="${cy}" r="${radius + 1}" fill="#FFFFFF"/>
+        <image href="${href}" x="${cx - radius}" y="${cy - radius}" width="${radius * 2}" height="${radius * 2}" clip-path="url(#${id})" preserveAspectRatio="xMidYMid slice"/>`;
+}
+
+/**
+ * A4 poster with a colored header band
+ */
+function renderPoster(ctx, [entry]) {
+    const { theme, cafe } = ctx;
+    const hasLogo = !!ctx.logo;
+    
+    return `
+        <rect width="210" height="297" fill="${theme.background}"/>
+        <rect width="210" height="85" fill="${theme.primary}"/>
+        ${logo(ctx.logo, 105, 28, 16)}
+        ${text(cafe.name, 105, hasLogo ? 62 : 45, { size: 13, maxWidth: 180, color: '#FFFFFF', family: SERIF, weight: 'bold' })}
+        ${text(cafe.tagline, 105, hasLogo ? 74 : 60, { size: 5.5, maxWidth: 180, color: '#FFFFFF' })}
+        <rect x="37" y="102" width="136" height="136" rx="6" fill="#FFFFFF" stroke="${theme.accent}" stroke-width="1.5"/>
+        ${qrCode(ctx, entry.url, 42, 107, 126)}
+        ${text(entry.label, 105, 252, { size: 9, maxWidth: 180, color: theme.text, weight: 'bold' })}
+        ${text(ctx.cta, 105, entry.label ? 266 : 258, { size: 9, maxWidth: 180, color: theme.primary, weight: 'bold' })}
+        ${text(ctx.displayUrl, 105, 280, { size: 4, maxWidth: 180, color: theme.text })}
+        <rect y="289" width="210" height="8" fill="${theme.secondary}"/>`;
+}
+
+/**
+ * A4 poster on white, large QR code
+ */
+function renderMinimalPoster(ctx, [entry]) {
+    const { theme, cafe } = ctx;
+    
+    return `
+        <rect width="210" height="297" fill="#FFFFFF"/>
+        ${logo(ctx.logo, 105, 30, 12)}
+        ${text(cafe.name, 105, ctx.logo ? 58 : 45, { size: 12, maxWidth: 180, color: theme.text, family: SERIF, weight: 'bold' })}
+        ${qrCode(ctx, entry.url, 30, 72, 150)}
+        ${text(entry.label, 105, 238, { size: 8, maxWidth: 180, color: theme.text })}
+        ${text(ctx.cta, 105, 254, { size: 10, maxWidth: 180, color: theme.primary, weight: 'bold' })}
+        ${text(ctx.displayUrl, 105, 268, { size: 4, maxWidth: 180, color: theme.text })}`;
+}
+
+/**
+ * A4 landscape sheet folded along the middle into a tent.
+ * The top panel is upside down so both sides read upright once folded.
+ */
+function renderTableTent(ctx, [entry]) {
+    const { theme, cafe } = ctx;
+    
+    // Built twice so each panel gets its own logo clip id
+    const panel = () => `
+        <rect width="297" height="105" fill="${theme.background}"/>
+        <rect width="8" height="105" fill="${theme.primary}"/>
+        ${qrCode(ctx, entry.url, 22, 12.5, 80)}
+        ${logo(ctx.logo, 125, 28, 9)}
+        ${text(cafe.name, ctx.logo ? 140 : 118, 32, { size: 10, maxWidth: 160, color: theme.text, family: SERIF, weight: 'bold', anchor: 'start' })}
+        ${text(cafe.tagline, 118, 46, { size: 4.5, maxWidth: 160, color: theme.text, anchor: 'start' })}
+        ${text(entry.label, 118, 64, { size: 8, maxWidth: 160, color: theme.secondary, weight: 'bold', anchor: 'start' })}
+        ${text(ctx.cta, 118, 82, { size: 8, maxWidth: 160, color: theme.primary, weight: 'bold', anchor: 'start' })}`;
+    
+    return `
+        <g transform="rotate(180 148.5 52.5)">${panel()}</g>
+        <g transform="translate(0 105)">${panel()}</g>
+        <line x1="0" y1="105" x2="297" y2="105" stroke="#BBBBBB" stroke-width="0.3" stroke-dasharray="3 2"/>`;
+}
+
+/**
+ * A4 sheet of 12 round-cornered 60mm stickers with cut guides
+ */
+function renderStickerSheet(ctx, entries) {
+    const { theme, cafe } = ctx;
+    const cell = 60;
+    const gap = 5;
+    
+    return `
+        <rect width="210" height="297" fill="#FFFFFF"/>
+        ${entries.map((entry, index) => {
+            const x = 10 + (index % 3) * (cell + gap);
+            const y = 21 + Math.floor(index / 3) * (cell + gap);
+            return `
+        <rect x="${x}" y="${y}" width="${cell}" height="${cell}" rx="4" fill="#FFFFFF" stroke="${theme.accent}" stroke-width="0.4"/>
+        ${qrCode(ctx, entry.url, x + 10, y + 3, 40)}
+        ${text(entry.label || ctx.cta, x + 30, y + 49, { size: 3.6, maxWidth: 54, color: theme.primary, weight: 'bold' })}
+        ${text(cafe.name, x + 30, y + 55, { size: 3, maxWidth: 54, color: theme.text })}`;
+        }).join('')}`;
+}
+
+const LAYOUTS = {
+    poster: { name: 'A4 Poster', width: 210, height: 297, perPage: 1, render: renderPoster },
+    'poster-minimal': { name: 'A4 Poster (minimal)', width: 210, height: 297, perPage: 1, render: renderMinimalPoster },
+    'table-tent': { name: 'Table Tent (A4, fold in half)', width: 297, height: 210, perPage: 1, render: renderTableTent },
+    stickers: { name: 'Sticker Sheet (12 per A4)', width: 210, height: 297, perPage: 12, render: renderStickerSheet }
+};
+
+/**
+ * Compose print pages for a cafe.
+ * `entries` is a list of { url, label } (one per table, or just the cafe QR);
+ * a single cafe QR fills the whole sticker sheet.
+ * Returns { layout, pages: [svg string] }
+ */
+function generatePrintPages(cafe, entries, { layout: layoutKey = 'poster', cta } = {}) {
+    const layout = LAYOUTS[layoutKey];
+    if (!layout) {
+        throw new Error(`Unknown layout: ${layoutKey}`);
+    }
+    
+    const ctx = {
+        cafe,
+        cta: cta || DEFAULT_CTA,
+        logo: inlineImage(cafe.logo),
+        displayUrl: entries.length === 1 ? entries[0].url.replace(/^https?:\/\//, '').replace(/\?.*$/, '') : '',
+        theme: {
+            primary: cafe.primary_color || '#2C5F2D',
+            secondary: cafe.secondary_color || '#97BC62',
+            accent: cafe.accent_color || '#DAA520',
+            background: cafe.background_color || '#FDFBF7',
+            text: cafe.text_color || '#2D3436'
+        },
+        qrStyle: getCafeQRStyle(cafe)
+    };
+    
+    const filled = layout.perPage > 1 && entries.length === 1
+        ? Array(layout.perPage).fill(entries[0])
+        : entries;
+    
+    const pages = [];
+    for (let i = 0; i < filled.length; i += layout.perPage) {
+        pages.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}mm" height="${layout.height}mm" viewBox="0 0 ${layout.width} ${layout.height}">${layout.render(ctx, filled.slice(i, i + layout.perPage))}
+</svg>`);
+    }
+    
+    return { layout, pages };
+}
+
+/**
+ * Combine pages into one PDF
+ */
+function renderPrintPDF({ layout, pages }) {
+    const html = `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <style>
+        @page { size: ${layout.width}mm ${layout.height}mm; margin: 0; }
+        body { margin: 0; }
+        svg { display: block; break-after: page; }
+        svg:last-child { break-after: auto; }
+    </style>
+</head>
+<body>${pages.join('')}</body>
+</html>`;
+
+    return renderPDF(html);
+}
+
+module.exports = {
+    LAYOUTS,
+    generatePrintPages,
+    renderPrintPDF
+};
@@ -0,0 +1,216 @@
+/**
+ * Scan Analytics Service
+ * Records every hit on a cafe's /m/:slug short link and aggregates them for
+ * the owner dashboard. Nothing leaves our database: visitors are only known
+ * by a salted hash of IP + user-agent that rotates daily.
+ */
+
+const crypto = require('crypto');
+
+// Salts visitor hashes. Resolved on load so a production deployment without
+// one fails to boot.
+function resolveHashSalt(env = process.env) {
+    if (env.ANALYTICS_SALT) return env.ANALYTICS_SALT;
+    if (env.NODE_ENV === 'production') {
+        throw new Error('ANALYTICS_SALT must be set in production');
+    }
+    return 'local-analytics-salt';
+}
+
+const HASH_SALT = resolveHashSalt();
+const MAX_DAYS = 365;
+const MAX_HOURLY_DAYS = 14;
+const TOP_REFERRERS = 10;
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|facebookexternalhit|whatsapp|curl|wget|python-requests|headless/i;
+
+// Coarse device class; the raw user-agent is never stored
+function classifyUserAgent(userAgent) {
+    if (!userAgent) return 'unknown';
+    if (BOT_PATTERN.test(userAgent)) return 'bot';
+    if (/iPad|Tablet|Android(?!.*Mobile)/i.test(userAgent)) return 'tablet';
+    if (/Mobi|iPhone|iPod|Android/i.test(userAgent)) return 'mobile';
+    return 'desktop';
+}
+
+// Only the referring host is kept
+function referrerHost(referrer) {
+    if (!referrer) return null;
+    try {
+        return new URL(referrer).hostname || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// ?src= labels printed codes (e.g. "flyer", "window"); anything else is dropped
+function normalizeSource(value) {
+    if (typeof value !== 'string') return null;
+    const source = value.trim().toLowerCase().replace(/[^a-z0-9_-]/g, '').slice(0, 40);
+    return source || null;
+}
+
+function hashVisitor(ip, userAgent, day) {
+    return crypto.createHash('sha256')
+        .update(`${HASH_SALT}|${day}|${ip || ''}|${userAgent || ''}`)
+        .digest('hex')
+        .slice(0, 16);
+}
+
+/**
+ * Record a short-link hit. Returns false if the slug is unknown.
+ */
+async function recordScan(db, req) {
+    const cafe = await db.prepare('SELECT id FROM cafes WHERE slug = ?').get(req.params.slug);
+    if (!cafe) return false;
+    
+    let table = null;
+    if (typeof req.query.t === 'string' && req.query.t) {
+        table = await db.prepare('SELECT id FROM cafe_tables WHERE token = ? AND cafe_id = ?').get(req.query.t, cafe.id);
+    }
+    
+    const userAgent = req.headers['user-agent'] || '';
+    const day = new Date().toISOString().slice(0, 10);
+    
+    await db.prepare(`
+        INSERT INTO scan_events (cafe_id, table_id, source, device, referrer, visitor_hash)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+        cafe.id,
+        table ? table.id : null,
+        normalizeSource(req.query.src),
+        classifyUserAgent(userAgent),
+        referrerHost(req.headers.referer),
+        hashVisitor(req.ip, userAgent, day)
+    );
+    
+    return true;
+}
+
+/**
+ * Read report options from a query string:
+ * ?days=1-365&interval=day|hour&tzOffset=<minutes, as Date#getTimezoneOffset>
+ * Returns { error } or { days, interval, tzOffset }
+ */
+function parseReportOptions(query) {
+    const days = parseInt(query.days || 30);
+    const interval = (query.interval || 'day').toLowerCase();
+    const tzOffset = parseInt(query.tzOffset || 0);
+    
+    if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+        return { error: `Days must be between 1 and ${MAX_DAYS}` };
+    }
+    if (interval !== 'day' && interval !== 'hour') {
+        return { error: 'Interval must be day or hour' };
+    }
+    if (interval === 'hour' && days > MAX_HOURLY_DAYS) {
+        return { error: `Hourly buckets are limited to ${MAX_HOURLY_DAYS} days` };
+    }
+    if (!Number.isInteger(tzOffset) || Math.abs(tzOffset) > 14 * 60) {
+        return { error: 'Invalid timezone offset' };
+    }
+    
+    return { days, interval, tzOffset };
+}
+
+// "YYYY-MM-DD HH:MM:SS", the format CURRENT_TIMESTAMP stores
+function sqlTimestamp(date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Aggregate a cafe's scans over the last `days` days, bucketed in the
+ * viewer's timezone. Bots are counted separately and left out of every
+ * other figure. Visitor hashes rotate daily, so `visitors` counts a guest
+ * once per day they scanned.
+ */
+async function getScanReport(db, cafeId, { days, interval, tzOffset }) {
+    const shift = `${-tzOffset} minutes`;
+    
+    // Local midnight `days - 1` days ago, expressed in UTC
+    const localNow = new Date(Date.now() - tzOffset * 60000);
+    const localStart = Date.UTC(localNow.getUTCFullYear(), localNow.getUTCMonth(), localNow.getUTCDate() - (days - 1));
+    const since = sqlTimestamp(new Date(localStart + tzOffset * 60000));
+    
+    const range = 'cafe_id = ? AND created_at >= ?';
+    const humans = `${range} AND device != 'bot'`;
+    
+    const bucketFormat = interval === 'hour' ? '%Y-%m-%d %H:00' : '%Y-%m-%d';
+    const seriesRows = await db.prepare(`
+        SELECT strftime('${bucketFormat}', created_at, ?) AS bucket,
+               COUNT(*) AS scans, COUNT(DISTINCT visitor_hash) AS visitors
+        FROM scan_events WHERE ${humans}
+        GROUP BY bucket
+    `).all(shift, cafeId, since);
+    
+    const hourRows = await db.prepare(`
+        SELECT CAST(strftime('%H', created_at, ?) AS INTEGER) AS hour, COUNT(*) AS scans
+        FROM scan_events WHERE ${humans}
+        GROUP BY hour
+    `).all(shift, cafeId, since);
+    
+    const sources = await db.prepare(`
+        SELECT s.table_id, s.source, t.name AS table_name,
+               COUNT(*) AS scans, COUNT(DISTINCT s.visitor_hash) AS visitors
+        FROM scan_events s
+        LEFT JOIN cafe_tables t ON t.id = s.table_id
+        WHERE s.cafe_id = ? AND s.created_at >= ? AND s.device != 'bot'
+        GROUP BY s.table_id, s.source
+        ORDER BY scans DESC
+    `).all(cafeId, since);
+    
+    const devices = await db.prepare(`
+        SELECT device, COUNT(*) AS scans FROM scan_events WHERE ${range}
+        GROUP BY device ORDER BY scans DESC
+    `).all(cafeId, since);
+    
+    const referrers = await db.prepare(`
+        SELECT referrer, COUNT(*) AS scans FROM scan_events WHERE ${humans} AND referrer IS NOT NULL
+        GROUP BY referrer ORDER BY scans DESC LIMIT ${TOP_REFERRERS}
+    `).all(cafeId, since);
+    
+    const totals = await db.prepare(`
+        SELECT COUNT(*) AS scans, COUNT(DISTINCT visitor_hash) AS visitors
+        FROM scan_events WHERE ${humans}
+    `).get(cafeId, since);
+    
+    // Fill empty buckets so charts have a continuous axis
+    const counts = new Map(seriesRows.map(row => [row.bucket, row]));
+    const step = interval === 'hour' ? 3600000 : 86400000;
+    const series = [];
+    for (let t = localStart; t <= localNow.getTime(); t += step) {
+        const iso = new Date(t).toISOString();
+        const bucket = interval === 'hour' ? `${iso.slice(0, 10)} ${iso.slice(11, 13)}:00` : iso.slice(0, 10);
+        const row = counts.get(bucket);
+        series.push({ bucket, scans: row ? row.scans : 0, visitors: row ? row.visitors : 0 });
+    }
+    
+    const byHourOfDay = Array.from({ length: 24 }, (_, hour) => ({ hour, scans: 0 }));
+    hourRows.forEach(row => { byHourOfDay[row.hour].scans = row.scans; });
+    
+    const bots = devices.find(row => row.device === 'bot');
+    
+    return {
+        range: { days, interval, tzOffset, since },
+        totals: { scans: totals.scans, visitors: totals.visitors, bots: bots ? bots.scans : 0 },
+        series,
+        byHourOfDay,
+        sources: sources.map(row => ({
+            tableId: row.table_id,
+            source: row.source,
+            label: row.table_id
+                ? (row.table_name || 'Deleted table') + (row.source ? ` (${row.source})` : '')
+                : (row.source || 'Main QR / direct link'),
+            scans: row.scans,
+            visitors: row.visitors
+        })),
+        devices: devices.filter(row => row.device !== 'bot'),
+        referrers
+    };
+}
+
+module.exports = {
+    classifyUserAgent,
+    recordScan,
+    parseReportOptions,
+    getScanReport
+};
@@ -0,0 +1,213 @@
+/**
+ * Sessions Service
+ * Every login starts a session. Requests carry a short-lived access token
+ * (a JWT with the session id, `sid`); a refresh token, stored here only as a
+ * hash, gets new ones. Each refresh replaces the refresh token - presenting
+ * any replaced one again means it leaked, so the session ends. Revoked
+ * sessions stop working at once because authenticateToken checks them.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Signs access tokens here and verifies them in middleware/auth. Resolved on
+// load so a production deployment without a secret fails to boot.
+function resolveJwtSecret(env = process.env) {
+    if (env.JWT_SECRET) return env.JWT_SECRET;
+    if (env.NODE_ENV === 'production') {
+        throw new Error('JWT_SECRET must be set in production');
+    }
+    return 'your-secret-key';
+}
+
+const JWT_SECRET = resolveJwtSecret();
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// Browser tabs sharing a refresh token may refresh at the same time; the
+// late one within this window is told to retry, not treated as a leak
+const ROTATION_GRACE_SECONDS = 10;
+
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+function signAccessToken(user, sessionId) {
+    return jwt.sign(
+        { id: user.id, email: user.email, role: user.role, sid: sessionId },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+}
+
+/**
+ * Browser and system from a user agent, e.g. "Chrome on Windows"
+ */
+function describeDevice(userAgent) {
+    if (!userAgent) return 'Unknown device';
+    
+    const browsers = [
+        [/Edg\//, 'Edge'], [/OPR\/|Opera/, 'Opera'], [/Firefox\//, 'Firefox'],
+        [/Chrome\//, 'Chrome'], [/Safari\//, 'Safari'], [/curl\//, 'curl']
+    ];
+    const systems = [
+        [/Windows/, 'Windows'], [/Android/, 'Android'], [/iPhone|iPad|iPod/, 'iOS'],
+        [/Mac OS X|Macintosh/, 'macOS'], [/CrOS/, 'ChromeOS'], [/Linux/, 'Linux']
+    ];
+    const browser = browsers.find(([pattern]) => pattern.test(userAgent));
+    const system = systems.find(([pattern]) => pattern.test(userAgent));
+    
+    if (!browser && !system) return 'Unknown device';
+    return [browser && browser[1], system && system[1]].filter(Boolean).join(' on ');
+}
+
+/**
+ * Start a session for a user signing in; returns { token, refreshToken }
+ */
+async function createSession(db, user, req) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    
+    // Forget sessions that ended a while ago
+    const ended = `
+        SELECT id FROM sessions WHERE user_id = ?
+        AND (expires_at < datetime('now', '-30 days') OR revoked_at < datetime('now', '-30 days'))
+    `;
+    await db.prepare(`DELETE FROM spent_refresh_tokens WHERE session_id IN (${ended})`).run(user.id);
+    await db.prepare(`DELETE FROM sessions WHERE id IN (${ended})`).run(user.id);
+    
+    const result = await db.prepare(`
+        INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip, expires_at)
+        VALUES (?, ?, ?, ?, datetime('now', ?))
+    `).run(user.id, hashToken(refreshToken), String(req.get('user-agent') || '').slice(0, 255), req.ip, `+${REFRESH_TOKEN_DAYS} days`);
+    
+    return { token: signAccessToken(user, Number(result.lastInsertRowid)), refreshToken };
+}
+
+const ROTATED = { error: 'Session was just refreshed, use the new tokens', code: 'token_rotated' };
+const REVOKED = { error: 'Session ended, please sign in again', code: 'session_revoked' };
+
+/**
+ * Swap a refresh token for new tokens. Returns { token, refreshToken, user },
+ * or { error, code } - 'token_rotated' when another tab just refreshed
+ */
+async function rotateSession(db, refreshToken) {
+    const tokenHash = hashToken(refreshToken);
+    
+    const session = await db.prepare(`
+        SELECT s.id, u.id as user_id, u.email, u.role FROM sessions s
+        JOIN users u ON u.id = s.user_id AND u.is_active = 1
+        WHERE s.refresh_token_hash = ? AND s.revoked_at IS NULL AND s.expires_at > datetime('now')
+    `).get(tokenHash);
+    
+    if (!session) {
+        return rejectSpentToken(db, tokenHash);
+    }
+    
+    // Only one of several requests with the same token may rotate it
+    const nextToken = crypto.randomBytes(48).toString('hex');
+    const rotated = await db.transaction(async tx => {
+        const result = await tx.prepare(`
+            UPDATE sessions SET
+                refresh_token_hash = ?,
+                previous_token_hash = ?,
+                rotated_at = CURRENT_TIMESTAMP,
+                last_used_at = CURRENT_TIMESTAMP,
+                expires_at = datetime('now', ?)
+            WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL
+        `).run(hashToken(nextToken), tokenHash, `+${REFRESH_TOKEN_DAYS} days`, session.id, tokenHash);
+        if (result.changes === 0) return false;
+        
+        await tx.prepare('INSERT OR IGNORE INTO spent_refresh_tokens (token_hash, session_id) VALUES (?, ?)').run(tokenHash, session.id);
+        return true;
+    });
+    
+    if (!rotated) {
+        return rejectSpentToken(db, tokenHash);
+    }
+    
+    const user = { id: session.user_id, email: session.email, role: session.role };
+    return { token: signAccessToken(user, session.id), refreshToken: nextToken, user };
+}
+
+/**
+ * A refresh token that is not current: the one just replaced is let through
+ * as 'token_rotated' for ROTATION_GRACE_SECONDS, any other replaced one ends
+ * its session
+ */
+async function rejectSpentToken(db, tokenHash) {
+    const spent = await db.prepare(`
+        SELECT s.id, s.revoked_at, s.previous_token_hash = t.token_hash AND t.spent_at > datetime('now', ?) as recent
+        FROM spent_refresh_tokens t JOIN sessions s ON s.id = t.session_id
+        WHERE t.token_hash = ?
+    `).get(`-${ROTATION_GRACE_SECONDS} seconds`, tokenHash);
+    
+    if (!spent || spent.revoked_at) return REVOKED;
+    if (spent.recent) return ROTATED;
+    
+    await db.prepare('UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL').run(spent.id);
+    return REVOKED;
+}
+
+/**
+ * Whether a session can still be used
+ */
+async function isSessionActive(db, sessionId, userId) {
+    const session = await db.prepare(`
+        SELECT id FROM sessions
+        WHERE id = ? AND user_id = ? AND revoked_at IS NULL AND expires_at > datetime('now')
+    `).get(sessionId, userId);
+    return !!session;
+}
+
+/**
+ * A user's active sessions, most recently used first
+ */
+async function listSessions(db, userId, currentSessionId) {
+    const sessions = await db.prepare(`
+        SELECT id, user_agent, ip, created_at, last_used_at FROM sessions
+        WHERE user_id = ? AND revoked_at IS NULL AND expires_at > datetime('now')
+        ORDER BY last_used_at DESC, id DESC
+    `).all(userId);
+    
+    return sessions.map(session => ({
+        id: session.id,
+        device: describeDevice(session.user_agent),
+        userAgent: session.user_agent,
+        ip: session.ip,
+        createdAt: session.created_at,
+        lastUsedAt: session.last_used_at,
+        current: session.id === currentSessionId
+    }));
+}
+
+/**
+ * End one of a user's sessions; false when there is no such active session
+ */
+async function revokeSession(db, userId, sessionId) {
+    const result = await db.prepare(`
+        UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+    `).run(sessionId, userId);
+    return result.changes > 0;
+}
+
+/**
+ * End every session of a user, except `exceptSessionId` when given;
+ * returns how many ended
+ */
+async function revokeAllSessions(db, userId, exceptSessionId = null) {
+    const result = await db.prepare(`
+        UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+        WHERE user_id = ? AND revoked_at IS NULL AND id != ?
+    `).run(userId, exceptSessionId || 0);
+    return result.changes;
+}
+
+module.exports = {
+    JWT_SECRET,
+    describeDevice,
+    createSession,
+    rotateSession,
+    isSessionActive,
+    listSessions,
+    revokeSession,
+    revokeAllSessions
+};
@@ -0,0 +1,302 @@
+/**
+ * Translation Files Service
+ * Exchange a cafe's translations with translators and CAT tools as XLIFF 1.2,
+ * gettext PO or CSV. Every text is identified by a stable key built from its
+ * category/item ID ("item.12.name"), so a file can be re-imported after the
+ * menu was reordered or renamed. Files carry the source text next to each
+ * translation: a translation made from an older source is imported as stale.
+ */
+
+const cheerio = require('cheerio');
+const { parseCSV } = require('./menuImport');
+const { normalizeLanguage } = require('./menuTranslations');
+
+const FORMATS = {
+    xliff: { extension: 'xlf', type: 'application/x-xliff+xml; charset=utf-8' },
+    po: { extension: 'po', type: 'text/x-gettext-translation; charset=utf-8' },
+    csv: { extension: 'csv', type: 'text/csv; charset=utf-8' }
+};
+const KEY_PATTERN = /^(cafe|category|item)\.(\d+)\.([a-z_]+)$/;
+
+// "item.12.name" -> { type, id, field }, or null
+function parseKey(key) {
+    const match = KEY_PATTERN.exec(String(key || '').trim());
+    return match ? { type: match[1], id: parseInt(match[2]), field: match[3] } : null;
+}
+
+// Format from ?format= or the uploaded file's name, content as a last resort
+function detectFormat(format, fileName, text) {
+    if (format) return FORMATS[format] ? format : null;
+    
+    const extension = String(fileName || '').split('.').pop().toLowerCase();
+    if (['xlf', 'xliff'].includes(extension)) return 'xliff';
+    if (['po', 'pot'].includes(extension)) return 'po';
+    if (['csv', 'txt'].includes(extension) && !/^\s*</.test(text)) return 'csv';
+    
+    if (/^\uFEFF?\s*</.test(text)) return 'xliff';
+    if (/^\s*(#|msgid|msgctxt)/m.test(text)) return 'po';
+    return 'csv';
+}
+
+// ===============================
+// XLIFF 1.2
+// ===============================
+
+function xmlEscape(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+const XLIFF_STATES = { translated: 'translated', stale: 'needs-review-translation' };
+
+function toXliff(sheet, { cafe, sourceLanguage, language }) {
+    const units = sheet.map(entry => [
+        `      <trans-unit id="${xmlEscape(entry.key)}">`,
+        `        <source>${xmlEscape(entry.source)}</source>`,
+        entry.value ? `        <target state="${XLIFF_STATES[entry.status]}">${xmlEscape(entry.value)}</target>` : null,
+        `        <note from="menu">${xmlEscape(entry.context)}</note>`,
+        '      </trans-unit>'
+    ].filter(line => line !== null).join('\n'));
+    
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+        `  <file original="${xmlEscape(cafe.slug)}" datatype="plaintext" source-language="${sourceLanguage}" target-language="${language}">`,
+        '    <body>',
+        ...units,
+        '    </body>',
+        '  </file>',
+        '</xliff>',
+        ''
+    ].join('\n');
+}
+
+function fromXliff(text) {
+    const $ = cheerio.load(text, { xmlMode: true });
+    const file = $('file').first();
+    if (file.length === 0) {
+        return { error: 'Not an XLIFF file' };
+    }
+    
+    const entries = $('trans-unit').toArray().map(unit => {
+        const source = $(unit).children('source');
+        const target = $(unit).children('target');
+        return {
+            key: $(unit).attr('id'),
+            source: source.length ? source.text() : null,
+            value: target.text(),
+            fuzzy: /^needs-review/.test(target.attr('state') || '')
+        };
+    });
+    
+    return { language: normalizeLanguage(file.attr('target-language')), entries };
+}
+
+// ===============================
+// GETTEXT PO
+// ===============================
+
+function poString(text) {
+    const escaped = String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\t/g, '\\t')
+        .replace(/\r/g, '')
+        .replace(/\n/g, '\\n');
+    return `"${escaped}"`;
+}
+
+function poUnescape(text) {
+    return text.replace(/\\(.)/g, (match, char) => ({ n: '\n', t: '\t', r: '' }[char] ?? char));
+}
+
+function toPo(sheet, { cafe, sourceLanguage, language }) {
+    const header = [
+        `# ${cafe.name} menu, ${sourceLanguage} -> ${language}`,
+        'msgid ""',
+        'msgstr ""',
+        `"Language: ${language}\\n"`,
+        '"MIME-Version: 1.0\\n"',
+        '"Content-Type: text/plain; charset=UTF-8\\n"',
+        '"Content-Transfer-Encoding: 8bit\\n"',
+        `"X-Source-Language: ${sourceLanguage}\\n"`
+    ].join('\n');
+    
+    const entries = sheet.map(entry => [
+        `#. ${entry.context.replace(/\s+/g, ' ')}`,
+        entry.status === 'stale' ? '#, fuzzy' : null,
+        `msgctxt ${poString(entry.key)}`,
+        `msgid ${poString(entry.source)}`,
+        `msgstr ${poString(entry.value)}`
+    ].filter(line => line !== null).join('\n'));
+    
+    return [header, ...entries].join('\n\n') + '\n';
+}
+
+function fromPo(text) {
+    const entries = [];
+    let language = null;
+    let entry = {};
+    let last = null;
+    
+    const finish = () => {
+        if (entry.msgctxt === undefined && entry.msgid === '') {
+            const match = /^Language:\s*(\S+)/m.exec(entry.msgstr || '');
+            if (match) language = normalizeLanguage(match[1]);
+        } else if (entry.msgctxt !== undefined) {
+            entries.push({ key: entry.msgctxt, source: entry.msgid ?? null, value: entry.msgstr || '', fuzzy: !!entry.fuzzy });
+        }
+        entry = {};
+        last = null;
+    };
+    
+    for (const rawLine of text.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line) {
+            finish();
+            continue;
+        }
+        // A new entry can start without a blank line in between
+        const startsEntry = line.startsWith('#') || /^(msgctxt|msgid)\s/.test(line);
+        if (startsEntry && last === 'msgstr') finish();
+        
+        if (line.startsWith('#')) {
+            if (/^#,.*\bfuzzy\b/.test(line)) entry.fuzzy = true;
+            continue;
+        }
+        
+        const keyword = /^(msgctxt|msgid|msgstr)\s+"(.*)"$/.exec(line);
+        if (keyword) {
+            last = keyword[1];
+            entry[last] = poUnescape(keyword[2]);
+        } else if (/^".*"$/.test(line) && last) {
+            entry[last] += poUnescape(line.slice(1, -1));
+        } else {
+            return { error: `Invalid PO line: ${line.slice(0, 60)}` };
+        }
+    }
+    finish();
+    
+    return { language, entries };
+}
+
+// ===============================
+// CSV
+// ===============================
+
+function csvCell(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(sheet) {
+    const lines = [['key', 'context', 'source', 'translation', 'status'].join(',')];
+    sheet.forEach(entry => {
+        lines.push([entry.key, entry.context, entry.source, entry.value, entry.status].map(csvCell).join(','));
+    });
+    
+    // BOM so Excel opens UTF-8 (accents, non-Latin scripts) correctly
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+function fromCsv(text) {
+    const [header, ...rows] = parseCSV(text);
+    const columns = (header || []).map(cell => cell.trim().toLowerCase());
+    const keyIndex = columns.indexOf('key');
+    const valueIndex = columns.indexOf('translation');
+    const sourceIndex = columns.indexOf('source');
+    
+    if (keyIndex === -1 || valueIndex === -1) {
+        return { error: 'CSV needs "key" and "translation" columns' };
+    }
+    
+    return {
+        language: null,
+        entries: rows.map(row => ({
+            key: row[keyIndex],
+            source: sourceIndex === -1 ? null : (row[sourceIndex] ?? null),
+            value: row[valueIndex] || ''
+        }))
+    };
+}
+
+/**
+ * Write a translation sheet (services/menuTranslations) as a file.
+ * `meta` is { cafe, sourceLanguage, language }.
+ */
+function formatTranslations(format, sheet, meta) {
+    if (format === 'xliff') return toXliff(sheet, meta);
+    if (format === 'po') return toPo(sheet, meta);
+    return toCsv(sheet);
+}
+
+/**
+ * Read a translation file.
+ * Returns { error } or { language (from the file, or null), entries: [{ key, source, value }] }
+ */
+function parseTranslationFile(format, text) {
+    try {
+        if (format === 'xliff') return fromXliff(text);
+        if (format === 'po') return fromPo(text);
+        return fromCsv(text);
+    } catch (error) {
+        return { error: `Could not read the ${format.toUpperCase()} file` };
+    }
+}
+
+/**
+ * Match a parsed file against the cafe's current sheet.
+ * Empty translations in the file are ignored rather than deleting existing
+ * ones, as are entries still marked for review (PO fuzzy, XLIFF
+ * needs-review-*); re-importing an unchanged stale translation keeps it stale.
+ * Returns { changes (for saveTranslations), unchanged, needsReview, unknownKeys }
+ */
+function planTranslationImport(sheet, entries) {
+    const byKey = new Map(sheet.map(entry => [entry.key, entry]));
+    const plan = { changes: [], unchanged: 0, needsReview: 0, unknownKeys: [] };
+    const seen = new Set();
+    
+    for (const imported of entries) {
+        const key = String(imported.key || '').trim();
+        const parsedKey = parseKey(key);
+        const current = byKey.get(key);
+        if (!parsedKey || !current) {
+            if (key && !plan.unknownKeys.includes(key)) plan.unknownKeys.push(key);
+            continue;
+        }
+        
+        const value = (imported.value || '').trim();
+        if (!value || seen.has(key)) continue;
+        seen.add(key);
+        
+        if (imported.fuzzy) {
+            plan.needsReview++;
+            continue;
+        }
+        if (value === current.value) {
+            plan.unchanged++;
+            continue;
+        }
+        
+        // Spreadsheets and editors may change line endings or padding of the source
+        const source = typeof imported.source === 'string' ? imported.source.replace(/\r\n?/g, '\n') : '';
+        plan.changes.push({
+            ...parsedKey,
+            value,
+            source: source.trim() && source.trim() !== current.source.trim() ? source : current.source
+        });
+    }
+    
+    return plan;
+}
+
+module.exports = {
+    FORMATS,
+    detectFormat,
+    formatTranslations,
+    parseTranslationFile,
+    planTranslationImport
+};
@@ -0,0 +1,78 @@
+/**
+ * Schedules: a malformed schedule is rejected and never clears a saved one
+ */
+
+process.env.DATABASE_URL = ':memory:';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { getDb, initializeDatabase } = require('../database/init');
+const { createSession } = require('../services/sessions');
+const { parseSchedule } = require('../services/menuSchedule');
+const menuRoutes = require('../routes/menu');
+
+const SAVED = { windows: [{ days: [1, 2], start: '12:00', end: '15:00' }], startDate: null, endDate: null, whenClosed: 'hide' };
+
+let server;
+let baseUrl;
+let token;
+let categoryId;
+
+before(async () => {
+    await initializeDatabase();
+    const db = await getDb();
+    
+    const admin = await db.prepare("SELECT id, email, role FROM users WHERE role = 'admin'").get();
+    ({ token } = await createSession(db, admin, { get: () => 'node:test', ip: '127.0.0.1' }));
+    
+    const cafe = await db.prepare('INSERT INTO cafes (name, slug) VALUES (?, ?)').run('Schedule Cafe', 'schedule-cafe');
+    const category = await db.prepare('INSERT INTO categories (cafe_id, name, schedule) VALUES (?, ?, ?)')
+        .run(cafe.lastInsertRowid, 'Breakfast', JSON.stringify(SAVED));
+    categoryId = Number(category.lastInsertRowid);
+    
+    const app = express();
+    app.use(express.json());
+    app.use('/api/menu', menuRoutes);
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/menu/${Number(cafe.lastInsertRowid)}`;
+});
+
+after(() => {
+    server.close();
+});
+
+const putSchedule = schedule => fetch(`${baseUrl}/categories/${categoryId}/schedule`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ schedule })
+});
+
+test('parseSchedule rejects unknown shapes and clears only on null or {}', () => {
+    assert.deepStrictEqual(parseSchedule({ days: [1], start: '08:00', end: '11:00' }), { error: 'Unrecognized schedule format' });
+    assert.deepStrictEqual(parseSchedule({ windows: [], colour: 'red' }), { error: 'Unrecognized schedule format' });
+    assert.deepStrictEqual(parseSchedule({ whenClosed: 'hint' }), { error: 'Unrecognized schedule format' });
+    assert.ok(parseSchedule(undefined).error);
+    assert.deepStrictEqual(parseSchedule(null), { schedule: null });
+    assert.deepStrictEqual(parseSchedule({}), { schedule: null });
+    assert.deepStrictEqual(parseSchedule(SAVED), { schedule: SAVED });
+});
+
+test('an unknown schedule shape is a 400 and the stored schedule stays', async () => {
+    const response = await putSchedule({ days: [1, 2], start: '08:00', end: '11:00' });
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(await response.json(), { error: 'Unrecognized schedule format' });
+    
+    const db = await getDb();
+    const category = await db.prepare('SELECT schedule FROM categories WHERE id = ?').get(categoryId);
+    assert.deepStrictEqual(JSON.parse(category.schedule), SAVED);
+});
+
+test('null clears the stored schedule', async () => {
+    const response = await putSchedule(null);
+    assert.strictEqual(response.status, 200);
+    
+    const db = await getDb();
+    const category = await db.prepare('SELECT schedule FROM categories WHERE id = ?').get(categoryId);
+    assert.strictEqual(category.schedule, null);
+});